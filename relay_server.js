@@ -0,0 +1,90 @@
+import http from 'http';
+import os from 'os';
+
+// Usage:
+//   node relay_server.js [--port 8787]
+// A tiny relay for table sync across devices. Every device in a session opens
+// GET /s/<CODE> as a Server-Sent Events stream and POSTs its messages to the same URL;
+// the relay fans each message out to every device in that session. It keeps no game
+// state of its own: the host device is the source of truth and re-sends the board to joiners.
+// Browsers won't let an https page call an http relay, so on a LAN serve the app over http
+// as well (npm run preview -- --host).
+const args = process.argv.slice(2);
+const argValue = (flag) => { const i = args.indexOf(flag); return i >= 0 ? args[i + 1] : undefined; };
+
+const PORT = parseInt(argValue('--port'), 10) || 8787;
+const MAX_BODY = 1024 * 1024;
+const HEARTBEAT_MS = 25000;
+
+// session code -> Set of open SSE responses
+const sessions = new Map();
+
+const CORS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type',
+};
+
+const join = (code, res) => {
+    if (!sessions.has(code)) sessions.set(code, new Set());
+    sessions.get(code).add(res);
+};
+
+const leave = (code, res) => {
+    const listeners = sessions.get(code);
+    if (!listeners) return;
+    listeners.delete(res);
+    if (listeners.size === 0) sessions.delete(code);
+};
+
+const broadcast = (code, body) => {
+    for (const res of sessions.get(code) || []) res.write(`data: ${body}\n\n`);
+};
+
+const server = http.createServer((req, res) => {
+    const match = req.url.match(/^\/s\/([A-Za-z0-9_-]{1,32})$/);
+    if (req.method === 'OPTIONS') { res.writeHead(204, CORS); return res.end(); }
+    if (!match) { res.writeHead(404, CORS); return res.end('Not found'); }
+    const code = match[1].toUpperCase();
+
+    if (req.method === 'GET') {
+        res.writeHead(200, { ...CORS, 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+        res.write(': connected\n\n');
+        join(code, res);
+        req.on('close', () => leave(code, res));
+        return;
+    }
+
+    if (req.method === 'POST') {
+        let body = '';
+        req.on('data', (chunk) => {
+            body += chunk;
+            if (body.length > MAX_BODY) { res.writeHead(413, CORS); res.end(); req.destroy(); }
+        });
+        req.on('end', () => {
+            if (res.writableEnded) return;
+            let message;
+            try { message = JSON.parse(body); } catch { res.writeHead(400, CORS); return res.end('Bad JSON'); }
+            // Re-serialising drops any pretty-printing: an SSE data line can't contain newlines.
+            broadcast(code, JSON.stringify(message));
+            res.writeHead(204, CORS);
+            res.end();
+        });
+        return;
+    }
+
+    res.writeHead(405, CORS);
+    res.end();
+});
+
+// Idle proxies and phones drop quiet connections; a comment line every so often keeps them open.
+setInterval(() => {
+    for (const listeners of sessions.values()) for (const res of listeners) res.write(': ping\n\n');
+}, HEARTBEAT_MS);
+
+server.listen(PORT, () => {
+    console.log(`🛰️  Relay listening on port ${PORT}`);
+    for (const addrs of Object.values(os.networkInterfaces())) {
+        for (const a of addrs || []) if (a.family === 'IPv4' && !a.internal) console.log(`   http://${a.address}:${PORT}`);
+    }
+});
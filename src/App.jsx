@@ -1,13 +1,34 @@
-import React, { useState, useEffect, useMemo } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import { motion, AnimatePresence, useAnimation } from 'framer-motion';
 import { 
   Shield, Zap, Skull, Brain, Plus, Minus, Settings, X, 
   BookOpen, Search, Dice5, ChevronRight, AlertTriangle, 
-  AlertOctagon, Flame, Activity, RotateCcw, Check, Crosshair, Hexagon, RefreshCw, ArrowRightCircle
+  AlertOctagon, Flame, Activity, RotateCcw, Check, Crosshair, Hexagon, RefreshCw, ArrowRightCircle, Crown,
+  Undo2, Redo2, History, Trophy, BarChart3, Download, Upload, Package, Copy, Layers, Megaphone, Save, Pencil, Trash2, Link2, Radio, HardDrive, Swords, Sword, ShieldAlert, Footprints, Anchor, Mountain, Paperclip, Tags, Hash, Users, Timer, ScrollText, Flag, Lock, Unlock, Play, SlidersHorizontal, LineChart, Monitor, Tv
 } from 'lucide-react';
 import marvelData from './marvel_data.json';
+import { filterOwned, ownedModularSets, buildPackList, encodeCollection, decodeCollection } from './collection.js';
+import { initialSlots, loadActiveLog, readSlotLog, writeSlotLog, removeSlotLog, newSlotId, addSlot, renameSlot, deleteSlot, copyName, summarizeSlot } from './slots.js';
+import { loadStored, saveStored, repairLog } from './persistence.js';
+import { gameLink, readGameLink, restoreGame, exportGame, importGame } from './share.js';
+import { useTableSync, newSessionCode } from './sync.js';
+import { getCardImage, BACKGROUND_TEXTURE, artCacheAvailable, scenarioArtCodes, precacheArt, artCacheStats, clearArtCache, formatBytes } from './artCache.js';
+import { buildRecord, upsertRecord, computeStats, exportRecords, importRecords } from './stats.js';
+import { countIcons, roundThreatBreakdown, encounterDealCount, describeDifficulty, resizeHeroes, createLog, appendAction, undo, redo, jumpTo, useGameLog, gameReducer, newSeed, EMPTY_ENCOUNTER, newUnitId, getOutcome, rematchState, DEFAULT_DIFFICULTY, DIFFICULTY_MODES, STATUSES, ATTACHMENT_STATS, hpBonus, getTarget, allVillains, isVillainDefeated, villainTitle, currentStep, formatDuration, phaseClock, describeAction } from './gameLog.js';
+import { stepTitle, stepReminders } from './phases.js';
+import { isAlterEgo, formName, formCode, formStats, heroMechanics, mechanicValue } from './heroes.js';
+import { villainGroups, groupedVillainCodes } from './villainGroups.js';
+import { EMPTY_QUERY, isEmptyQuery, searchCards, cardFacets, facetOptions, setName, packName } from './cardSearch.js';
+import { buildTimeline, timelineCsv } from './timeline.js';
+import { LANGUAGES, browserLanguage, setLanguage, hasCardTranslations, t, cardName, traitName } from './i18n.js';
+import { randomPool, rollGame, FAVOR_MODES, RECENT_OPTIONS } from './randomizer.js';
+import { CAMPAIGNS, findCampaign, scenarioName, newCampaign, nextScenarioIndex, scenarioBoard, recordScenario } from './campaigns.js';
 
-const getCardImage = (code) => `https://marvelcdb.com/bundles/cards/${code}.png`;
+const safeData = marvelData || { heroes: [], villains: [], schemes: [], minions: [], allies: [], side_schemes: [] };
+
+// The saved language is in place before the first render; after that only changeLanguage (and
+// the spectator view's storage listener) switch it, ahead of the state update that re-renders.
+setLanguage(loadStored('mc_language', browserLanguage()).value, safeData);
 
 // --- ANIMATIONS ---
 const modalVariants = {
@@ -22,19 +43,43 @@ const shakeVariant = {
 };
 
 // --- HELPER: ROBUST PERSISTENCE ---
+// Stored values are migrated to the current schema on load (see persistence.js);
+// anything that couldn't be recovered comes back as the third item so it can be shown.
 const useStickyState = (defaultValue, key) => {
-  const [value, setValue] = useState(() => {
-    try {
-      const stickyValue = window.localStorage.getItem(key);
-      return stickyValue !== null ? JSON.parse(stickyValue) : defaultValue;
-    } catch (error) {
-      return defaultValue;
-    }
-  });
-  useEffect(() => {
-    try { window.localStorage.setItem(key, JSON.stringify(value)); } catch (e) {}
-  }, [key, value]);
-  return [value, setValue];
+  const [loaded] = useState(() => loadStored(key, typeof defaultValue === 'function' ? defaultValue() : defaultValue));
+  const [value, setValue] = useState(loaded.value);
+  useEffect(() => { saveStored(key, value); }, [key, value]);
+  return [value, setValue, loaded.issues];
+};
+
+// --- HELPER: LONG PRESS ---
+// Holding a card opens its details; the click that ends the hold is swallowed so it doesn't
+// also press whatever button was under the finger. A right-click does the same on desktop.
+const LONG_PRESS_MS = 500;
+
+const useLongPress = (onLongPress) => {
+  const timer = useRef(null);
+  const fired = useRef(false);
+  const cancel = () => clearTimeout(timer.current);
+  const fire = () => { cancel(); if (!fired.current) { fired.current = true; onLongPress(); } };
+  return {
+    onPointerDown: () => { fired.current = false; cancel(); timer.current = setTimeout(fire, LONG_PRESS_MS); },
+    onPointerUp: cancel,
+    onPointerLeave: cancel,
+    onPointerCancel: cancel,
+    onContextMenu: (e) => { e.preventDefault(); fire(); },
+    onClickCapture: (e) => { if (fired.current) e.stopPropagation(); },
+  };
+};
+
+// --- HELPER: FILES ---
+const downloadFile = (filename, text, type = 'application/json') => {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
 };
 
 // --- HELPER: VISUALS ---
@@ -54,6 +99,32 @@ const getStatusStyles = (statusArray) => {
   return "border-white/10";
 };
 
+// --- HELPER: SCHEME STAGES ---
+const parseCode = (code) => { const m = /^(\d+)([a-z]?)$/.exec(code || ""); return m ? { num: parseInt(m[1], 10), side: m[2], width: m[1].length } : null; };
+const shiftCode = (code, step) => { const p = parseCode(code); return p ? String(p.num + step).padStart(p.width, '0') + p.side : null; };
+
+// Returns the ordered main scheme stages (1A→2A→3A) the card belongs to.
+// Prefers the set/stage fields from the fetcher; older data falls back to consecutive card numbers,
+// since a scenario's scheme stages are always printed back to back.
+const getSchemeSequence = (card, schemes) => {
+  if (card.set_code && card.set_code !== 'unknown' && card.stage !== undefined) {
+    // Both faces of a stage can be in the data; keep the side that carries the target.
+    const byStage = new Map();
+    for (const s of schemes) {
+      if (s.set_code !== card.set_code || s.stage === undefined) continue;
+      const current = byStage.get(s.stage);
+      if (!current || (!current.target && s.target) || s.code === card.code) byStage.set(s.stage, s);
+    }
+    return [...byStage.values()].sort((a, b) => a.stage - b.stage);
+  }
+  const byCode = new Map(schemes.map(s => [s.code, s]));
+  let first = card;
+  while (byCode.has(shiftCode(first.code, -1))) first = byCode.get(shiftCode(first.code, -1));
+  const sequence = [first];
+  while (byCode.has(shiftCode(sequence[sequence.length - 1].code, 1))) sequence.push(byCode.get(shiftCode(sequence[sequence.length - 1].code, 1)));
+  return sequence;
+};
+
 // --- UI COMPONENTS ---
 const TactileButton = ({ onClick, children, color = "bg-blue-600", className, disabled, size="normal" }) => (
   <motion.button 
@@ -86,27 +157,30 @@ const AnimatedNumber = ({ value, color }) => (
   </motion.div>
 );
 
-const StatDial = ({ value, max, label, onChange, icon }) => {
+const StatDial = ({ value, max, label, onChange, icon, compact }) => {
   const colorClass = getHealthColor(value, max);
+  const btnClass = compact ? "w-8 h-8 !rounded-lg !p-0 border border-white/10" : "w-10 h-10 !rounded-lg !p-0 border border-white/10";
   return (
     <div className="relative group/dial">
       <div className="absolute inset-0 bg-gradient-to-b from-white/5 to-transparent rounded-xl pointer-events-none" />
-      <div className="flex flex-col items-center p-2 bg-gray-900/80 backdrop-blur-xl rounded-xl border border-white/10 shadow-2xl relative z-10">
+      <div className={`flex flex-col items-center ${compact ? 'p-1' : 'p-2'} bg-gray-900/80 backdrop-blur-xl rounded-xl border border-white/10 shadow-2xl relative z-10`}>
         <div className="flex items-center gap-1.5 mb-1 opacity-70">
           {icon}
           <h3 className="text-gray-400 uppercase tracking-[0.2em] text-[8px] font-bold">{label}</h3>
         </div>
-        <div className="flex items-center justify-between w-full gap-3 px-1">
-          <TactileButton onClick={() => onChange(-1)} color="bg-gray-800 hover:bg-gray-700" className="w-10 h-10 !rounded-lg !p-0 border border-white/10"><Minus size={16} /></TactileButton>
-          <AnimatedNumber value={value} color={colorClass} />
-          <TactileButton onClick={() => onChange(1)} color="bg-gray-800 hover:bg-gray-700" className="w-10 h-10 !rounded-lg !p-0 border border-white/10"><Plus size={16} /></TactileButton>
+        <div className={`flex items-center justify-between w-full ${compact ? 'gap-1' : 'gap-3 px-1'}`}>
+          <TactileButton onClick={() => onChange(-1)} color="bg-gray-800 hover:bg-gray-700" className={btnClass}><Minus size={compact ? 12 : 16} /></TactileButton>
+          <AnimatedNumber value={value} color={`${colorClass} ${compact ? '!text-2xl' : ''}`} />
+          <TactileButton onClick={() => onChange(1)} color="bg-gray-800 hover:bg-gray-700" className={btnClass}><Plus size={compact ? 12 : 16} /></TactileButton>
         </div>
       </div>
     </div>
   );
 };
 
-const UnitCard = ({ unit, type, onDamage, onDefeat, onRestore }) => {
+// `large` is the table display's card: taller, with more of the art showing.
+const UnitCard = ({ unit, type, large, onDamage, onDefeat, onRestore, onTokens, onDetails }) => {
+  const press = useLongPress(() => onDetails(unit));
   const isZero = unit.val <= 0;
   const isScheme = type === 'side_scheme';
   const isAlly = type === 'ally';
@@ -114,13 +188,14 @@ const UnitCard = ({ unit, type, onDamage, onDefeat, onRestore }) => {
   const [imgError, setImgError] = useState(false);
 
   const baseBorder = isScheme ? "border-yellow-500/30 bg-yellow-900/20 shadow-yellow-900/10" : isAlly ? "border-blue-500/30 bg-blue-900/20 shadow-blue-900/10" : "border-orange-500/30 bg-orange-900/20 shadow-orange-900/10";
-  const hpColor = !isScheme ? getHealthColor(unit.val, unit.max) : "text-white";
+  const hpColor = !isScheme ? getHealthColor(unit.val, unit.max + hpBonus(unit)) : "text-white";
 
   return (
-    <motion.div layout initial={{ scale: 0.95, opacity: 0 }} animate={{ scale: 1, opacity: 1 }} exit={{ scale: 0.8, opacity: 0 }} className={`relative overflow-hidden rounded-xl border ${baseBorder} flex flex-col justify-between shadow-lg h-24 backdrop-blur-md group`}>
-      {unit.code && !imgError ? (<><img src={getCardImage(unit.code)} onError={() => setImgError(true)} className="absolute inset-0 w-full h-full object-cover object-[center_25%] opacity-40 mix-blend-overlay pointer-events-none transition-transform group-hover:scale-110 duration-700" alt="" /><div className={`absolute inset-0 bg-gradient-to-t from-black via-black/40 to-transparent`} /></>) : (<div className={`absolute inset-0 opacity-10 bg-gray-800 flex items-center justify-center overflow-hidden`}><div className="absolute inset-0 bg-[url('https://www.transparenttextures.com/patterns/carbon-fibre.png')] opacity-50"></div><Hexagon size={32} className="text-white/20 rotate-12" /></div>)}
+    <motion.div layout initial={{ scale: 0.95, opacity: 0 }} animate={{ scale: 1, opacity: 1 }} exit={{ scale: 0.8, opacity: 0 }} {...press} className={`relative overflow-hidden rounded-xl border ${baseBorder} flex flex-col justify-between shadow-lg ${large ? 'h-40' : 'h-24'} backdrop-blur-md group`}>
+      {unit.code && !imgError ? (<><img src={getCardImage(unit.code)} onError={() => setImgError(true)} className={`absolute inset-0 w-full h-full object-cover object-[center_25%] ${large ? 'opacity-60' : 'opacity-40'} mix-blend-overlay pointer-events-none transition-transform group-hover:scale-110 duration-700`} alt="" /><div className={`absolute inset-0 bg-gradient-to-t from-black via-black/40 to-transparent`} /></>) : (<div className={`absolute inset-0 opacity-10 bg-gray-800 flex items-center justify-center overflow-hidden`}><div className="absolute inset-0 opacity-50" style={{ backgroundImage: `url(${BACKGROUND_TEXTURE})` }}></div><Hexagon size={32} className="text-white/20 rotate-12" /></div>)}
       <div className="flex justify-between items-start relative z-10 p-1.5">
-        <div className="flex-1 pr-1"><span className={`font-black text-[9px] uppercase tracking-wide leading-tight line-clamp-2 text-white drop-shadow-md`}>{unit.name}</span>{icons.length > 0 && (<div className="flex gap-1 mt-0.5">{icons.includes('crisis') && <AlertOctagon size={8} className="text-red-500 animate-pulse" fill="currentColor" />}{icons.includes('hazard') && <Flame size={8} className="text-orange-500" fill="currentColor" />}{icons.includes('acceleration') && <Activity size={8} className="text-yellow-500" />}</div>)}</div>
+        <div className="flex-1 pr-1"><span className={`font-black text-[9px] uppercase tracking-wide leading-tight line-clamp-2 text-white drop-shadow-md`}>{cardName(unit)}</span>{icons.length > 0 && (<div className="flex gap-1 mt-0.5">{icons.includes('crisis') && <AlertOctagon size={8} className="text-red-500 animate-pulse" fill="currentColor" />}{icons.includes('hazard') && <Flame size={8} className="text-orange-500" fill="currentColor" />}{icons.includes('acceleration') && <Activity size={8} className="text-yellow-500" />}{icons.includes('amplify') && <Megaphone size={8} className="text-purple-400" />}</div>)}<TokenBadges card={unit} compact /></div>
+        <button onClick={() => onTokens(unit.id)} className="text-white/30 hover:text-white bg-black/40 hover:bg-indigo-600/80 rounded p-0.5 mr-0.5 transition-colors backdrop-blur-sm"><Tags size={10} /></button>
         <button onClick={() => onDefeat(unit.id)} className="text-white/30 hover:text-white bg-black/40 hover:bg-red-600/80 rounded p-0.5 transition-colors backdrop-blur-sm"><X size={10} /></button>
       </div>
       <div className="p-1.5 relative z-10"><div className="flex items-center justify-between bg-black/60 backdrop-blur-xl rounded-lg p-0.5 border border-white/10"><button onClick={() => onDamage(unit.id, -1)} className="p-1.5 text-gray-400 hover:text-white active:scale-90 transition-transform"><Minus size={10}/></button><span className={`text-sm font-black ${isZero ? 'text-red-500 animate-pulse' : hpColor}`}>{unit.val}</span><button onClick={() => onDamage(unit.id, 1)} className="p-1.5 text-gray-400 hover:text-white active:scale-90 transition-transform"><Plus size={10}/></button></div></div>
@@ -129,38 +204,1082 @@ const UnitCard = ({ unit, type, onDamage, onDefeat, onRestore }) => {
   );
 };
 
+const STATUS_CONFIG = {
+  stunned: { color: "bg-green-500", Icon: Zap },
+  confused: { color: "bg-purple-500", Icon: Brain },
+  tough: { color: "bg-yellow-500", Icon: Shield },
+  retaliate: { color: "bg-red-600", Icon: Swords },
+  piercing: { color: "bg-orange-600", Icon: Sword },
+  guard: { color: "bg-sky-600", Icon: ShieldAlert },
+  patrol: { color: "bg-teal-600", Icon: Footprints },
+  steady: { color: "bg-slate-500", Icon: Anchor },
+  stalwart: { color: "bg-stone-500", Icon: Mountain },
+};
+// The three that come and go every round get buttons on the card; the rest live in the token editor.
+const QUICK_STATUSES = ['stunned', 'confused', 'tough'];
+
 const StatusToggle = ({ type, active, onToggle }) => {
-  const config = { stunned: { color: "bg-green-500", icon: <Zap size={12} fill="currentColor" /> }, confused: { color: "bg-purple-500", icon: <Brain size={12} fill="currentColor" /> }, tough: { color: "bg-yellow-500", icon: <Shield size={12} fill="currentColor" /> } };
-  const { color, icon } = config[type];
+  const { color, Icon } = STATUS_CONFIG[type];
+  const icon = <Icon size={12} fill={QUICK_STATUSES.includes(type) ? "currentColor" : "none"} />;
   return (
     <motion.button onClick={onToggle} animate={{ scale: active ? 1 : 0.9, opacity: active ? 1 : 0.3, filter: active ? 'grayscale(0%)' : 'grayscale(100%)' }} whileTap={{ scale: 0.85 }} className={`p-1.5 rounded-md text-white shadow-md border border-white/20 ${active ? color : 'bg-gray-800'} transition-all relative overflow-hidden group/btn`}><div className={`absolute inset-0 bg-white/20 translate-y-full group-hover/btn:translate-y-0 transition-transform duration-300`} />{icon}</motion.button>
   );
 };
 
+// --- STATUSES, ATTACHMENTS, COUNTERS ---
+const attachmentLabel = (a) => [a.name, ...ATTACHMENT_STATS.filter(stat => a[stat]).map(stat => `${a[stat] > 0 ? '+' : ''}${a[stat]} ${stat.toUpperCase()}`)].join(' · ');
+
+// Compact mode (unit cards) shows status icons only and counts attachments.
+const TokenBadges = ({ card, skip = [], compact }) => {
+  const statuses = (card.status || []).filter(s => !skip.includes(s) && STATUS_CONFIG[s]);
+  const attachments = card.attachments || [];
+  const counters = card.counters || [];
+  if (statuses.length === 0 && attachments.length === 0 && counters.length === 0) return null;
+  const chip = "rounded px-1 py-0.5 text-[8px] font-black uppercase flex items-center gap-0.5 text-white";
+  return (
+    <div className="flex flex-wrap gap-1 mt-1">
+      {statuses.map(s => { const { color, Icon } = STATUS_CONFIG[s]; return <span key={s} className={`${chip} ${color}`}><Icon size={8} />{!compact && t(s)}</span>; })}
+      {compact ? (attachments.length > 0 && <span className={`${chip} bg-gray-700`}><Paperclip size={8} />{attachments.length}</span>) : attachments.map(a => <span key={a.id} className={`${chip} bg-gray-700 normal-case`}><Paperclip size={8} />{attachmentLabel(a)}</span>)}
+      {counters.map(k => <span key={k.id} className={`${chip} bg-indigo-700 normal-case`}><Hash size={8} />{compact ? k.value : `${k.name} ${k.value}`}</span>)}
+    </div>
+  );
+};
+
+const EMPTY_ATTACHMENT = { name: "", hp: 0, atk: 0, thw: 0, sch: 0, def: 0 };
+const COUNTER_PRESETS = ['All-purpose', 'Drone', 'Sonic'];
+
+const TokenEditor = ({ card, suggestions, onStatus, onAttach, onDetach, onAddCounter, onCounter, onRemoveCounter, onClose }) => {
+  const [draft, setDraft] = useState(EMPTY_ATTACHMENT);
+  const [counterName, setCounterName] = useState("");
+  const stepper = "w-6 h-6 rounded bg-gray-800 border border-white/10 text-gray-300 flex items-center justify-center active:scale-90";
+
+  const attach = () => {
+    onAttach({ ...draft, name: draft.name.trim() });
+    setDraft(EMPTY_ATTACHMENT);
+  };
+  const addCounter = (name) => {
+    onAddCounter(name);
+    setCounterName("");
+  };
+
+  return (
+    <motion.div variants={modalVariants} initial="hidden" animate="visible" exit="exit" className="fixed inset-0 z-[105] bg-black/95 backdrop-blur-md flex items-center justify-center p-3">
+      <div className="w-full max-w-sm max-h-[90vh] flex flex-col relative">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="font-black text-xl text-white tracking-tight truncate pr-2">{card.name}</h2>
+          <TactileButton onClick={onClose} color="bg-gradient-to-r from-green-600 to-green-500" size="small">{t('DONE')}</TactileButton>
+        </div>
+        <div className="flex-1 overflow-y-auto space-y-3 pr-1 custom-scrollbar">
+          <div className="bg-gray-900/50 p-3 rounded-xl border border-white/10">
+            <div className="text-gray-500 text-[10px] font-bold uppercase tracking-widest mb-2">{t('Status')}</div>
+            <div className="grid grid-cols-3 gap-1.5">{STATUSES.map(s => { const active = (card.status || []).includes(s); const { color, Icon } = STATUS_CONFIG[s]; return <button key={s} onClick={() => onStatus(s)} className={`py-1.5 rounded-lg text-[10px] font-black uppercase flex items-center justify-center gap-1 border transition-all ${active ? `${color} border-white/30 text-white` : 'bg-gray-800 border-white/5 text-gray-500'}`}><Icon size={10} />{t(s)}</button>; })}</div>
+          </div>
+          <div className="bg-gray-900/50 p-3 rounded-xl border border-white/10 space-y-2">
+            <div className="text-gray-500 text-[10px] font-bold uppercase tracking-widest">{t('Attachments')}</div>
+            {(card.attachments || []).map(a => (<div key={a.id} className="flex items-center gap-2 bg-black/30 rounded-lg px-2 py-1.5"><Paperclip size={12} className="text-gray-500 shrink-0" /><span className="flex-1 text-xs font-bold text-white truncate">{attachmentLabel(a)}</span><button onClick={() => onDetach(a.id)} className="p-1 text-gray-500 hover:text-red-400"><X size={12} /></button></div>))}
+            <input type="text" list="attachment-names" placeholder={t('Attachment name...')} value={draft.name} onChange={e => setDraft({ ...draft, name: e.target.value })} className="w-full bg-black/40 border border-white/10 rounded-lg px-2 py-1.5 text-base text-white focus:border-blue-500 outline-none" />
+            <datalist id="attachment-names">{suggestions.map(n => <option key={n} value={n} />)}</datalist>
+            <div className="grid grid-cols-5 gap-1">{ATTACHMENT_STATS.map(stat => (<div key={stat} className="flex flex-col items-center gap-1"><span className="text-[9px] font-black text-gray-500">{stat.toUpperCase()}</span><button onClick={() => setDraft({ ...draft, [stat]: draft[stat] + 1 })} className={stepper}><Plus size={10} /></button><span className={`text-xs font-black tabular-nums ${draft[stat] ? 'text-white' : 'text-gray-600'}`}>{draft[stat] > 0 ? `+${draft[stat]}` : draft[stat]}</span><button onClick={() => setDraft({ ...draft, [stat]: draft[stat] - 1 })} className={stepper}><Minus size={10} /></button></div>))}</div>
+            <TactileButton onClick={attach} disabled={!draft.name.trim()} color="bg-blue-600" className="w-full" size="small">{t('ATTACH')}</TactileButton>
+          </div>
+          <div className="bg-gray-900/50 p-3 rounded-xl border border-white/10 space-y-2">
+            <div className="text-gray-500 text-[10px] font-bold uppercase tracking-widest">{t('Counters')}</div>
+            {(card.counters || []).map(k => (<div key={k.id} className="flex items-center gap-2 bg-black/30 rounded-lg px-2 py-1"><Hash size={12} className="text-indigo-400 shrink-0" /><span className="flex-1 text-xs font-bold text-white truncate">{k.name}</span><button onClick={() => onCounter(k.id, -1)} className={stepper}><Minus size={10} /></button><span className="w-6 text-center text-sm font-black text-white tabular-nums">{k.value}</span><button onClick={() => onCounter(k.id, 1)} className={stepper}><Plus size={10} /></button><button onClick={() => onRemoveCounter(k.id)} className="p-1 text-gray-500 hover:text-red-400"><X size={12} /></button></div>))}
+            <div className="flex gap-2"><input type="text" placeholder={t('Counter name...')} value={counterName} onChange={e => setCounterName(e.target.value)} className="flex-1 bg-black/40 border border-white/10 rounded-lg px-2 py-1.5 text-base text-white focus:border-blue-500 outline-none" /><TactileButton onClick={() => addCounter(counterName.trim())} disabled={!counterName.trim()} color="bg-indigo-600" size="small">{t('ADD')}</TactileButton></div>
+            <div className="flex gap-1.5">{COUNTER_PRESETS.map(n => <button key={n} onClick={() => addCounter(n)} className="text-[10px] font-black uppercase tracking-wider text-gray-400 hover:text-white px-2 py-1 bg-gray-800 rounded">{n}</button>)}</div>
+          </div>
+        </div>
+      </div>
+    </motion.div>
+  );
+};
+
+// --- MULTI-VILLAIN SCENARIOS ---
+// One compact card per villain; a defeated villain stays on the board under a cover until undone.
+const VillainCard = ({ villain, onDamage, onStage, onStatus, onTokens, onDetails }) => {
+  const press = useLongPress(() => onDetails(villain));
+  const stages = villain.stages && villain.stages.length > 0 ? villain.stages : [0, 0, 0];
+  return (
+    <motion.div layout {...press} className={`relative overflow-hidden rounded-xl border bg-gray-900 shadow-lg transition-all duration-500 ${getStatusStyles(villain.status)}`}>
+      <img src={getCardImage((villain.stage_codes && villain.stage_codes[villain.stageIdx]) || villain.code)} className="absolute inset-0 w-full h-full object-cover object-[center_20%] opacity-50 mix-blend-overlay pointer-events-none" alt="" />
+      <div className="absolute inset-0 bg-gradient-to-t from-[#050508] via-[#050508]/70 to-transparent" />
+      <div className="relative z-10 p-2 pt-5 flex flex-col gap-1.5">
+        <div className="flex justify-between items-start gap-1">
+          <div className="min-w-0"><h3 className="text-sm font-black uppercase text-white leading-none truncate drop-shadow-md">{cardName(villain)}</h3><div className="flex gap-1 mt-1">{stages.slice(0, 3).map((stage, idx) => <button key={idx} onClick={() => onStage(idx)} className={`text-[8px] font-black tracking-wider px-1.5 py-0.5 rounded border transition-all ${villain.stageIdx === idx ? 'bg-red-600 border-red-400 text-white' : 'bg-black/60 border-white/10 text-gray-500'} ${villain.stageRange && (idx < villain.stageRange[0] || idx > villain.stageRange[1]) ? 'opacity-30' : ''}`}>{["I", "II", "III"][idx]}</button>)}{villain.required === false && <span className="text-[8px] font-bold uppercase px-1.5 py-0.5 rounded border border-white/10 text-gray-400">{t('Optional')}</span>}</div></div>
+          <button onClick={onTokens} className="p-1 rounded-md text-gray-400 hover:text-white bg-gray-800 border border-white/20"><Tags size={10} /></button>
+        </div>
+        <div className="flex gap-1">{QUICK_STATUSES.map(s => (<StatusToggle key={s} type={s} active={villain.status.includes(s)} onToggle={() => onStatus(s)} />))}</div>
+        <TokenBadges card={villain} skip={QUICK_STATUSES} compact />
+        <StatDial compact label="HP" value={villain.hp} max={villain.maxHp + hpBonus(villain)} onChange={onDamage} icon={<Skull size={8} className="text-red-500"/>} />
+      </div>
+      {isVillainDefeated(villain) && (<div className="absolute inset-0 z-20 bg-black/85 flex flex-col items-center justify-center gap-2 backdrop-blur-sm"><Skull size={24} className="text-red-500" /><span className="text-[10px] font-black uppercase tracking-widest text-red-400">{t('Defeated')}</span><button onClick={() => onDamage(1)} className="bg-gray-700 hover:bg-gray-600 text-white p-1.5 rounded-full shadow-lg border border-gray-500 hover:scale-110 transition-transform"><RotateCcw size={12} /></button></div>)}
+    </motion.div>
+  );
+};
+
+// Counters get −/+; choices (sizes, armor levels) a button per option.
+const MechanicTracker = ({ mechanic, value, onChange }) => (
+  <div className="flex items-center gap-1 bg-black/50 border border-white/10 rounded-md px-1 py-0.5">
+    <span className="text-[8px] font-black uppercase tracking-wider text-indigo-300">{t(mechanic.label)}</span>
+    {mechanic.options
+      ? mechanic.options.map((option, i) => <button key={option} onClick={() => onChange({ value: i })} className={`text-[8px] font-bold px-1 rounded ${value === i ? 'bg-indigo-600 text-white' : 'text-gray-500 hover:text-white'}`}>{t(option)}</button>)
+      : <><button onClick={() => onChange({ delta: -1 })} className="p-0.5 text-gray-400 hover:text-white"><Minus size={8} /></button><span className="text-[10px] font-black text-white tabular-nums w-3 text-center">{value}</span><button onClick={() => onChange({ delta: 1 })} className="p-0.5 text-gray-400 hover:text-white"><Plus size={8} /></button></>}
+  </div>
+);
+
+// One panel per player. Compact mode packs 3-4 heroes into a two-column grid on a phone.
+const HeroPanel = ({ hero, slot, isFirst, compact, allies, onHp, onToggle, onTokens, onFlip, onMechanic, onUnitDamage, onUnitDefeat, onUnitRestore, onUnitTokens, onUnitDetails }) => {
+  const controls = useAnimation();
+  const changeHp = (n) => { if (n < 0) controls.start('shake'); onHp(slot, n); };
+  const stats = hero.code ? formStats(hero) : [];
+  const mechanics = hero.code ? heroMechanics(hero) : [];
+
+  return (
+    <div className="flex flex-col gap-2">
+      {allies.length > 0 && <div className={`grid ${compact ? 'grid-cols-2' : 'grid-cols-3'} gap-2`}>{allies.map(u => <UnitCard key={u.id} unit={u} type="ally" onDamage={onUnitDamage} onDefeat={onUnitDefeat} onRestore={onUnitRestore} onTokens={onUnitTokens} onDetails={onUnitDetails} />)}</div>}
+      <motion.section animate={controls} variants={shakeVariant} className={`relative rounded-2xl overflow-hidden shadow-2xl border bg-gray-900 ${compact ? 'min-h-[120px] p-2' : 'min-h-[140px] p-3'} flex flex-col justify-end transition-all duration-500 ${getStatusStyles(hero.status)}`}>
+        {hero.code ? (<><div className={`absolute inset-0 ${isAlterEgo(hero) ? 'bg-emerald-900/20' : 'bg-blue-900/20'} mix-blend-multiply`} /><img src={getCardImage(formCode(hero))} className="absolute inset-0 w-full h-full object-cover object-[center_20%] opacity-50 mix-blend-overlay" alt="" /><div className="absolute inset-0 bg-gradient-to-t from-[#050508] via-[#050508]/60 to-transparent" /></>) : (<div className="absolute inset-0 bg-blue-900/10 flex items-center justify-center mask-gradient-t"><Hexagon size={compact ? 48 : 80} className="text-blue-900/20 opacity-50" /></div>)}
+        <div className="absolute top-2 left-2 z-10 flex items-center gap-1">
+          <span className="text-[9px] font-black font-mono text-gray-400 bg-black/60 border border-white/10 px-1.5 py-0.5 rounded">P{slot + 1}</span>
+          {isFirst && <span className="flex items-center gap-0.5 text-[9px] font-black text-yellow-300 bg-yellow-600/30 border border-yellow-400/50 px-1.5 py-0.5 rounded shadow-[0_0_10px_rgba(250,204,21,0.3)]"><Crown size={9} fill="currentColor" />1ST</span>}
+          {hero.code && <button onClick={() => onFlip(slot)} className={`flex items-center gap-0.5 text-[9px] font-black uppercase px-1.5 py-0.5 rounded border transition-colors ${isAlterEgo(hero) ? 'text-emerald-300 bg-emerald-900/40 border-emerald-500/40' : 'text-blue-300 bg-blue-900/40 border-blue-500/40'}`}><RefreshCw size={9} />{isAlterEgo(hero) ? 'Alter-ego' : 'Hero'}</button>}
+        </div>
+        <div className="relative z-10">
+          <div className={`flex justify-between ${compact ? 'flex-col gap-1.5 items-start' : 'items-end'} mb-2`}><div className="min-w-0 max-w-full"><h2 className={`${compact ? 'text-sm truncate' : 'text-xl'} font-black uppercase text-transparent bg-clip-text bg-gradient-to-br from-blue-400 to-white leading-none`}>{hero.code ? formName(hero) : hero.name}</h2>{stats.length > 0 && <div className="flex flex-wrap gap-1 mt-1">{stats.map(st => <span key={st.key} className="text-[8px] font-black font-mono text-gray-300 bg-black/50 border border-white/10 px-1 py-0.5 rounded">{st.label} <span className="text-white">{st.value}</span></span>)}</div>}{mechanics.length > 0 && <div className="flex flex-wrap gap-1 mt-1">{mechanics.map(m => <MechanicTracker key={m.key} mechanic={m} value={mechanicValue(hero, m)} onChange={(change) => onMechanic(slot, m.key, change)} />)}</div>}<TokenBadges card={hero} skip={QUICK_STATUSES} /></div><div className="flex gap-1">{QUICK_STATUSES.map(s => (<StatusToggle key={s} type={s} active={hero.status.includes(s)} onToggle={() => onToggle(slot, s)} />))}{hero.code && <button onClick={() => onTokens(slot)} className="p-1.5 rounded-md text-gray-400 hover:text-white bg-gray-800 border border-white/20"><Tags size={12} /></button>}</div></div>
+          <StatDial label={t('Hero HP')} value={hero.hp} max={hero.maxHp + hpBonus(hero)} onChange={changeHp} compact={compact} icon={<Shield size={10} className="text-blue-400"/>} />
+        </div>
+      </motion.section>
+    </div>
+  );
+};
+
+const END_SCREENS = {
+  scheme: { title: "Scheme Completed!", text: "The final main scheme stage has reached its target threat level. The villain wins.", icon: <AlertTriangle size={48} className="text-red-500 mx-auto mb-4 animate-bounce" />, border: "border-red-500/50 shadow-[0_0_50px_rgba(220,38,38,0.2)]", bar: "from-red-600 to-yellow-500" },
+  defeat: { title: "Heroes Defeated", text: "Every hero has been knocked out. The villain wins.", icon: <Skull size={48} className="text-red-500 mx-auto mb-4 animate-pulse" />, border: "border-red-500/50 shadow-[0_0_50px_rgba(220,38,38,0.2)]", bar: "from-red-600 to-red-900" },
+  victory: { title: "Villain Defeated!", text: "The villain's final stage has been knocked out. The heroes win.", icon: <Trophy size={48} className="text-yellow-400 mx-auto mb-4 animate-bounce" />, border: "border-green-500/50 shadow-[0_0_50px_rgba(34,197,94,0.2)]", bar: "from-green-500 to-yellow-400" },
+};
+
+const EndGameModal = ({ outcome, onRematch, onPickScheme, onDismiss }) => {
+  const { title, text, icon, border, bar } = END_SCREENS[outcome];
+  return (
+    <motion.div variants={modalVariants} initial="hidden" animate="visible" exit="exit" className="fixed inset-0 z-[130] bg-black/95 backdrop-blur-md flex items-center justify-center p-4">
+      <div className={`bg-gray-900 border ${border} rounded-2xl p-6 w-full max-w-sm text-center relative overflow-hidden`}>
+          <div className={`absolute top-0 left-0 w-full h-1 bg-gradient-to-r ${bar}`} />
+          {icon}
+          <h2 className="text-2xl font-black text-white mb-2 uppercase tracking-tight">{t(title)}</h2>
+          <p className="text-gray-400 text-sm mb-6">{t(text)}</p>
+          <div className="flex flex-col gap-3">
+              <TactileButton onClick={onRematch} color="bg-gradient-to-r from-green-600 to-green-500" className="w-full"><RefreshCw size={14} /> {t('REMATCH')}</TactileButton>
+              {outcome === 'scheme' && <TactileButton onClick={onPickScheme} color="bg-yellow-600 hover:bg-yellow-500" className="w-full">{t('PICK ANOTHER SCHEME')}</TactileButton>}
+              <button onClick={onDismiss} className="text-gray-500 text-xs font-bold uppercase tracking-widest hover:text-white py-2">{t('Dismiss')}</button>
+          </div>
+      </div>
+    </motion.div>
+  );
+};
+
+const PACK_LIST = buildPackList(safeData);
+
+const CollectionScreen = ({ owned, onChange, onClose }) => {
+  const [codeInput, setCodeInput] = useState("");
+  const [notice, setNotice] = useState(null);
+  const shareCode = encodeCollection(owned, PACK_LIST);
+
+  const togglePack = (code) => {
+    const current = owned === null ? PACK_LIST.map(p => p.code) : owned;
+    onChange(current.includes(code) ? current.filter(c => c !== code) : [...current, code]);
+  };
+
+  const applyCode = () => {
+    try {
+      const { owned: next, unknown } = decodeCollection(codeInput, PACK_LIST);
+      onChange(next);
+      setCodeInput("");
+      setNotice({ text: unknown ? t('Loaded {count} packs ({unknown} unknown skipped).', { count: next.length, unknown }) : t('Loaded {count} packs.', { count: next.length }) });
+    } catch (err) {
+      setNotice({ error: err.message });
+    }
+  };
+
+  const copyCode = () => {
+    navigator.clipboard?.writeText(shareCode).then(() => setNotice({ text: t('Code copied.') }), () => setNotice({ error: t('Clipboard unavailable') }));
+  };
+
+  return (
+    <motion.div variants={modalVariants} initial="hidden" animate="visible" exit="exit" className="fixed inset-0 z-[115] bg-black/95 backdrop-blur-md flex items-center justify-center p-3">
+      <div className="w-full max-w-lg h-[90vh] flex flex-col relative">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="font-black text-2xl text-white tracking-tight">{t('COLLECTION')}</h2>
+          <TactileButton onClick={onClose} color="bg-gradient-to-r from-green-600 to-green-500" size="small">{t('DONE')}</TactileButton>
+        </div>
+        <div className="bg-gray-900/50 p-3 rounded-xl border border-white/10 mb-4 backdrop-blur-sm space-y-2">
+          <div className="text-gray-500 text-[10px] font-bold uppercase tracking-widest">{t('Share Code')}</div>
+          <div className="flex gap-2"><code className="flex-1 bg-black/40 border border-white/10 rounded-lg px-2 py-1.5 text-[10px] text-gray-300 font-mono truncate">{shareCode}</code><button onClick={copyCode} className="p-2 bg-gray-800 rounded-lg border border-white/5 hover:bg-gray-700"><Copy size={14} className="text-gray-400" /></button></div>
+          <div className="flex gap-2"><input type="text" placeholder={t('Paste a code...')} value={codeInput} onChange={e => setCodeInput(e.target.value)} className="flex-1 bg-black/40 border border-white/10 rounded-lg px-2 py-1.5 text-base text-white focus:border-blue-500 outline-none" /><TactileButton onClick={applyCode} disabled={!codeInput.trim()} color="bg-blue-600" size="small">{t('LOAD')}</TactileButton></div>
+          {notice && <div className={`text-[10px] font-bold ${notice.error ? 'text-red-400' : 'text-green-400'}`}>{notice.error || notice.text}</div>}
+        </div>
+        <div className="flex justify-between items-center mb-2">
+          <span className="text-gray-500 text-[10px] font-bold uppercase tracking-widest">{owned === null ? t('All packs') : t('{owned} / {total} packs', { owned: owned.length, total: PACK_LIST.length })}</span>
+          <div className="flex gap-2">
+            <button onClick={() => onChange(null)} className="text-[10px] font-black uppercase tracking-wider text-gray-400 hover:text-white px-2 py-1 bg-gray-800 rounded">{t('All')}</button>
+            <button onClick={() => onChange([])} className="text-[10px] font-black uppercase tracking-wider text-gray-400 hover:text-white px-2 py-1 bg-gray-800 rounded">{t('None')}</button>
+          </div>
+        </div>
+        <div className="flex-1 overflow-y-auto space-y-1 pr-1 custom-scrollbar">
+          {PACK_LIST.map(p => {
+            const active = owned === null || owned.includes(p.code);
+            return (
+              <button key={p.code} onClick={() => togglePack(p.code)} className={`w-full text-left p-2.5 rounded-lg border flex items-center gap-3 transition-all ${active ? 'border-blue-500/50 bg-blue-900/20' : 'border-white/5 bg-gray-900/40'}`}>
+                <span className={`w-4 h-4 rounded flex items-center justify-center border ${active ? 'bg-blue-600 border-blue-400' : 'border-white/20'}`}>{active && <Check size={10} />}</span>
+                <span className={`flex-1 text-xs font-bold ${active ? 'text-white' : 'text-gray-500'}`}>{p.name}</span>
+                <span className="text-[9px] text-gray-500 font-mono">{p.heroes > 0 && `${p.heroes}H `}{p.villains > 0 && `${p.villains}V`}</span>
+              </button>
+            );
+          })}
+        </div>
+      </div>
+    </motion.div>
+  );
+};
+
+// --- SAVE SLOTS ---
+// Saved logs are checked against the current card data before they are played.
+const openStoredLog = ({ value, issues }) => {
+  const repaired = repairLog(value || createLog(), safeData);
+  return { log: repaired.log, issues: [...issues, ...repaired.issues] };
+};
+
+const SaveSlotsScreen = ({ index, activeLog, game, onSwitch, onNew, onDuplicate, onRename, onDelete, onImport, onClose }) => {
+  const [editing, setEditing] = useState(null);
+  const [confirmDelete, setConfirmDelete] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const summaries = useMemo(() => index.slots.map(slot => {
+    const log = slot.id === index.active ? activeLog : readSlotLog(slot.id).value;
+    return log ? summarizeSlot(slot, log) : { ...slot, lastPlayed: slot.createdAt, villain: null };
+  }), [index, activeLog]);
+
+  const saveName = () => {
+    if (editing.name.trim()) onRename(editing.id, editing.name.trim());
+    setEditing(null);
+  };
+
+  const copyLink = () => {
+    const link = gameLink(game, `${window.location.origin}${window.location.pathname}`);
+    navigator.clipboard?.writeText(link).then(() => setNotice({ text: t('Link copied.') }), () => setNotice({ error: t('Clipboard unavailable') }));
+  };
+
+  const handleImport = (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    file.text().then(text => setNotice({ text: t('Opened as "{name}".', { name: onImport(importGame(text)) }) })).catch(err => setNotice({ error: err.message }));
+  };
+
+  return (
+    <motion.div variants={modalVariants} initial="hidden" animate="visible" exit="exit" className="fixed inset-0 z-[115] bg-black/95 backdrop-blur-md flex items-center justify-center p-3">
+      <div className="w-full max-w-lg h-[90vh] flex flex-col relative">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="font-black text-2xl text-white tracking-tight">{t('SAVES')}</h2>
+          <div className="flex gap-2">
+            <label className="p-2 bg-gray-800 rounded-lg border border-white/5 hover:bg-gray-700 cursor-pointer"><Upload size={16} className="text-gray-400" /><input type="file" accept="application/json,.json" className="hidden" onChange={handleImport} /></label>
+            <button onClick={() => downloadFile(`marvel-tracker-board-r${game.round}.json`, exportGame(game))} className="p-2 bg-gray-800 rounded-lg border border-white/5 hover:bg-gray-700"><Download size={16} className="text-gray-400" /></button>
+            <button onClick={copyLink} className="p-2 bg-gray-800 rounded-lg border border-white/5 hover:bg-gray-700"><Link2 size={16} className="text-gray-400" /></button>
+            <button onClick={onNew} className="p-2 bg-gray-800 text-gray-300 rounded-lg border border-white/5 hover:bg-gray-700 flex items-center gap-1 text-[10px] font-black uppercase tracking-wider"><Plus size={14} /> {t('New')}</button>
+            <TactileButton onClick={onClose} color="bg-gradient-to-r from-green-600 to-green-500" size="small">{t('DONE')}</TactileButton>
+          </div>
+        </div>
+        {notice && <div className={`text-xs font-bold rounded-lg px-3 py-2 mb-3 border ${notice.error ? 'bg-red-900/30 border-red-500/30 text-red-300' : 'bg-green-900/30 border-green-500/30 text-green-300'}`}>{notice.error ? t('Import failed: {error}', { error: notice.error }) : notice.text}</div>}
+        <div className="flex-1 overflow-y-auto space-y-2 pr-1 custom-scrollbar">
+          {summaries.map(s => {
+            const active = s.id === index.active;
+            return (
+              <div key={s.id} className={`p-3 rounded-xl border transition-all ${active ? 'border-green-500/50 bg-green-900/10' : 'border-white/10 bg-gray-900/50'}`}>
+                <div className="flex items-center gap-2">
+                  {editing && editing.id === s.id ? (
+                    <input autoFocus type="text" value={editing.name} onChange={e => setEditing({ ...editing, name: e.target.value })} onBlur={saveName} onKeyDown={e => e.key === 'Enter' && saveName()} className="flex-1 bg-black/40 border border-white/10 rounded-lg px-2 py-1 text-base text-white focus:border-blue-500 outline-none" />
+                  ) : (
+                    <button onClick={() => onSwitch(s.id)} className="flex-1 min-w-0 text-left">
+                      <div className={`text-sm font-black truncate ${active ? 'text-green-400' : 'text-white'}`}>{s.name}{active && <span className="ml-2 text-[9px] uppercase tracking-widest text-green-600">{t('Playing')}</span>}</div>
+                      <div className="text-[10px] text-gray-500 truncate">{s.villain ? `${s.villain} · R${s.round} · ${t('Threat {threat}/{target}', { threat: s.threat, target: s.target })}${s.heroes.length ? ` · ${s.heroes.join(', ')}` : ''}` : t('Empty')}</div>
+                    </button>
+                  )}
+                  <button onClick={() => setEditing({ id: s.id, name: s.name })} className="p-1.5 text-gray-500 hover:text-white"><Pencil size={12} /></button>
+                  <button onClick={() => onDuplicate(s.id)} className="p-1.5 text-gray-500 hover:text-white"><Copy size={12} /></button>
+                  {index.slots.length > 1 && (confirmDelete === s.id
+                    ? <button onClick={() => { onDelete(s.id); setConfirmDelete(null); }} className="px-2 py-1 bg-red-600 text-white rounded text-[9px] font-black uppercase">{t('Delete?')}</button>
+                    : <button onClick={() => setConfirmDelete(s.id)} className="p-1.5 text-gray-500 hover:text-red-400"><Trash2 size={12} /></button>)}
+                </div>
+                <div className="text-[9px] text-gray-600 font-mono mt-1">{s.difficulty && `${s.difficulty} · `}{t('Last played {date}', { date: new Date(s.lastPlayed).toLocaleString() })}</div>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </motion.div>
+  );
+};
+
+// --- STORAGE ---
+const StorageScreen = ({ game, onClose }) => {
+  const [stats, setStats] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const codes = useMemo(() => scenarioArtCodes(game, safeData), [game]);
+  const available = artCacheAvailable();
+
+  const refresh = () => artCacheStats().then(setStats, () => setStats(null));
+  // Reading the cache is async, so the first numbers arrive after mount.
+  useEffect(() => { if (available) refresh(); }, [available]);
+
+  const download = () => {
+    setNotice(null);
+    setProgress({ done: 0, failed: 0, total: codes.length });
+    precacheArt(codes, setProgress)
+      .then(result => setNotice(result.failed ? { error: t('{failed} of {total} images could not be downloaded.', result) } : { text: t('All {total} images are available offline.', result) }))
+      .catch(err => setNotice({ error: err.message }))
+      .finally(() => { setProgress(null); refresh(); });
+  };
+
+  const clear = () => clearArtCache().then(() => { setNotice({ text: t('Card art cleared.') }); refresh(); });
+
+  return (
+    <motion.div variants={modalVariants} initial="hidden" animate="visible" exit="exit" className="fixed inset-0 z-[115] bg-black/95 backdrop-blur-md flex items-center justify-center p-3">
+      <div className="w-full max-w-sm flex flex-col relative">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="font-black text-2xl text-white tracking-tight">{t('STORAGE')}</h2>
+          <TactileButton onClick={onClose} color="bg-gradient-to-r from-green-600 to-green-500" size="small">{t('DONE')}</TactileButton>
+        </div>
+        {!available ? (
+          <div className="text-gray-500 text-xs text-center py-8">{t("This browser can't store card art offline.")}</div>
+        ) : (
+          <div className="space-y-3">
+            <div className="bg-gray-900/50 p-3 rounded-xl border border-white/10 grid grid-cols-2 gap-2">
+              <div><div className="text-gray-500 text-[10px] font-bold uppercase tracking-widest">{t('Cached art')}</div><div className="text-xl font-black text-white">{stats ? stats.images : '—'}</div></div>
+              <div><div className="text-gray-500 text-[10px] font-bold uppercase tracking-widest">{t('Storage used')}</div><div className="text-xl font-black text-white">{stats ? formatBytes(stats.usage) : '—'}</div>{stats && stats.quota && <div className="text-[9px] text-gray-600">{t('of {quota}', { quota: formatBytes(stats.quota) })}</div>}</div>
+            </div>
+            <TactileButton onClick={download} disabled={!!progress || codes.length === 0} color="bg-blue-600" className="w-full">{progress ? t('DOWNLOADING {done}/{total}', progress) : t('DOWNLOAD ART FOR THIS SCENARIO ({count})', { count: codes.length })}</TactileButton>
+            <TactileButton onClick={clear} disabled={!!progress || !stats || stats.images === 0} color="bg-red-800" className="w-full">{t('CLEAR CARD ART')}</TactileButton>
+            {notice && <div className={`text-[10px] font-bold ${notice.error ? 'text-red-400' : 'text-green-400'}`}>{notice.error || notice.text}</div>}
+            <div className="text-[10px] text-gray-600">{t('Every card the app shows is kept for offline use automatically. Downloading ahead covers the villain, scheme, hero and minion art for the current setup before you lose signal.')}</div>
+          </div>
+        )}
+      </div>
+    </motion.div>
+  );
+};
+
+// --- RANDOM GAME ---
+// Locked picks survive a reroll; changing a filter rerolls everything that isn't locked.
+const MODULAR_COUNTS = [0, 1, 2, 3];
+
+const RollRow = ({ label, value, detail, locked, onLock }) => (
+  <div className={`flex items-center gap-2 p-2.5 rounded-lg border ${locked ? 'border-yellow-500/40 bg-yellow-900/10' : 'border-white/5 bg-gray-900/40'}`}>
+    <span className="text-[9px] font-black font-mono text-gray-500 w-8 shrink-0">{label}</span>
+    <div className="flex-1 min-w-0"><div className={`text-xs font-bold truncate ${value ? 'text-white' : 'text-gray-600'}`}>{value || t('Nothing to pick')}</div>{detail && <div className="text-[9px] text-gray-500 truncate">{detail}</div>}</div>
+    <button onClick={onLock} disabled={!value} className={`p-1.5 rounded-md ${locked ? 'text-yellow-400' : 'text-gray-600 hover:text-white'}`}>{locked ? <Lock size={14} /> : <Unlock size={14} />}</button>
+  </div>
+);
+
+const RandomizerScreen = ({ playerCount, difficulty, collection, records, onAccept, onClose }) => {
+  const pool = useMemo(() => randomPool(safeData, collection), [collection]);
+  const [settings, setSettings] = useState({ difficulty, favor: 'any', recent: 0, modularCount: pool.modulars.length > 0 ? 1 : 0 });
+  const [roll, setRoll] = useState(() => rollGame({ pool, records, playerCount, ...settings }));
+  const [locks, setLocks] = useState({ villain: false, heroes: [], modulars: [] });
+
+  const reroll = (changes = {}) => {
+    const next = { ...settings, ...changes };
+    setSettings(next);
+    setRoll(rollGame({ pool, records, playerCount, ...next, locked: { villain: locks.villain ? roll.villain : null, heroes: roll.heroes.map((h, i) => (locks.heroes[i] ? h : null)), modulars: roll.modulars.map((m, i) => (locks.modulars[i] ? m : null)) } }));
+  };
+  const toggleLock = (key, i) => setLocks(prev => (i === undefined ? { ...prev, [key]: !prev[key] } : { ...prev, [key]: Object.assign([...prev[key]], { [i]: !prev[key][i] }) }));
+
+  const villainGames = roll.villain ? records.filter(r => r.villain === roll.villain.name) : [];
+  const villainDetail = roll.villain && [roll.villain.group && roll.villain.group.villains.map(v => v.name).join(' · '), villainGames.length > 0 ? t('{played} played · {lost} lost', { played: villainGames.length, lost: villainGames.filter(r => r.result === 'loss').length }) : t('Never played')].filter(Boolean).join(' — ');
+  const ready = roll.villain && roll.heroes.every(Boolean);
+
+  return (
+    <motion.div variants={modalVariants} initial="hidden" animate="visible" exit="exit" className="fixed inset-0 z-[115] bg-black/95 backdrop-blur-md flex items-center justify-center p-3">
+      <div className="w-full max-w-md max-h-[90vh] flex flex-col relative">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="font-black text-2xl text-white tracking-tight">{t('RANDOM GAME')}</h2>
+          <button onClick={onClose}><X className="text-gray-400" size={20} /></button>
+        </div>
+        <div className="flex-1 overflow-y-auto space-y-3 pr-1 custom-scrollbar">
+          <div className="bg-gray-900/50 p-3 rounded-xl border border-white/10 space-y-2">
+            <div className="flex gap-2 items-center"><span className="text-[10px] font-bold uppercase tracking-widest text-gray-500 w-16">{t('Mode')}</span>{Object.entries(DIFFICULTY_MODES).map(([mode, cfg]) => <button key={mode} onClick={() => reroll({ difficulty: { ...settings.difficulty, mode } })} className={`flex-1 py-1.5 rounded-lg font-black text-[10px] uppercase border ${settings.difficulty.mode === mode ? 'bg-red-600 border-red-400 text-white' : 'bg-black/40 border-transparent text-gray-600'}`}>{t(cfg.label)}</button>)}</div>
+            <div className="flex gap-2 items-center"><span className="text-[10px] font-bold uppercase tracking-widest text-gray-500 w-16">{t('Favor')}</span>{Object.entries(FAVOR_MODES).map(([key, cfg]) => <button key={key} onClick={() => reroll({ favor: key })} className={`flex-1 py-1.5 rounded-lg font-black text-[10px] uppercase border ${settings.favor === key ? 'bg-blue-600 border-blue-400 text-white' : 'bg-black/40 border-transparent text-gray-600'}`}>{t(cfg.label)}</button>)}</div>
+            <div className="flex gap-2 items-center"><span className="text-[10px] font-bold uppercase tracking-widest text-gray-500 w-16">{t('Skip last')}</span>{RECENT_OPTIONS.map(n => <button key={n} onClick={() => reroll({ recent: n })} className={`flex-1 py-1.5 rounded-lg font-black text-[10px] uppercase border ${settings.recent === n ? 'bg-blue-600 border-blue-400 text-white' : 'bg-black/40 border-transparent text-gray-600'}`}>{n === 0 ? t('Off') : t('{count} games', { count: n })}</button>)}</div>
+            {pool.modulars.length > 0 && <div className="flex gap-2 items-center"><span className="text-[10px] font-bold uppercase tracking-widest text-gray-500 w-16">{t('Modulars')}</span>{MODULAR_COUNTS.map(n => <button key={n} onClick={() => reroll({ modularCount: n })} className={`flex-1 py-1.5 rounded-lg font-black text-[10px] border ${settings.modularCount === n ? 'bg-purple-600 border-purple-400 text-white' : 'bg-black/40 border-transparent text-gray-600'}`}>{n}</button>)}</div>}
+            {collection !== null && <div className="text-[9px] text-gray-600">{t('Only packs in your collection are rolled.')}</div>}
+          </div>
+          <div className="space-y-1.5">
+            <RollRow label="VIL" value={roll.villain && roll.villain.name} detail={villainDetail} locked={locks.villain} onLock={() => toggleLock('villain')} />
+            {roll.heroes.map((h, i) => <RollRow key={i} label={`P${i + 1}`} value={h && h.name} locked={!!locks.heroes[i]} onLock={() => toggleLock('heroes', i)} />)}
+            {roll.modulars.map((m, i) => <RollRow key={i} label="MOD" value={m.name} locked={!!locks.modulars[i]} onLock={() => toggleLock('modulars', i)} />)}
+          </div>
+        </div>
+        <div className="flex gap-2 mt-3">
+          <TactileButton onClick={() => reroll()} color="bg-gray-800" className="flex-1"><Dice5 size={14} className="inline mr-1" />{t('REROLL')}</TactileButton>
+          <TactileButton onClick={() => onAccept(roll)} disabled={!ready} color="bg-gradient-to-r from-green-600 to-green-500" className="flex-1">{t('ACCEPT')}</TactileButton>
+        </div>
+      </div>
+    </motion.div>
+  );
+};
+
+// --- CAMPAIGN ---
+const RESULT_STYLES = { win: 'text-green-400', loss: 'text-red-400' };
+
+const CampaignScreen = ({ campaign, heroes, onBegin, onChange, onPlay, onEnd, onClose }) => {
+  const [confirmEnd, setConfirmEnd] = useState(false);
+  const [obligation, setObligation] = useState({});
+  const [newValue, setNewValue] = useState("");
+  const [newReward, setNewReward] = useState("");
+  const definition = campaign && findCampaign(campaign.campaign);
+  const team = heroes.filter(h => h.code);
+  const next = campaign ? nextScenarioIndex(campaign) : -1;
+
+  const updateHero = (code, fn) => onChange(c => ({ ...c, heroes: c.heroes.map(h => (h.code === code ? fn(h) : h)) }));
+  const addObligation = (code) => {
+    const name = (obligation[code] || "").trim();
+    if (name) updateHero(code, h => ({ ...h, obligations: [...h.obligations, name] }));
+    setObligation(prev => ({ ...prev, [code]: "" }));
+  };
+  const addValue = () => {
+    if (newValue.trim()) onChange(c => ({ ...c, values: [...c.values, { label: newValue.trim(), value: 0 }] }));
+    setNewValue("");
+  };
+  const addReward = () => {
+    if (newReward.trim()) onChange(c => ({ ...c, rewards: [...c.rewards, { name: newReward.trim(), unlocked: true }] }));
+    setNewReward("");
+  };
+
+  return (
+    <motion.div variants={modalVariants} initial="hidden" animate="visible" exit="exit" className="fixed inset-0 z-[115] bg-black/95 backdrop-blur-md flex items-center justify-center p-3">
+      <div className="w-full max-w-lg h-[90vh] flex flex-col relative">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="font-black text-2xl text-white tracking-tight truncate">{campaign ? campaign.name.toUpperCase() : t('CAMPAIGN')}</h2>
+          <TactileButton onClick={onClose} color="bg-gradient-to-r from-green-600 to-green-500" size="small">{t('DONE')}</TactileButton>
+        </div>
+        {!campaign ? (
+          <div className="flex-1 overflow-y-auto space-y-2 pr-1 custom-scrollbar">
+            <div className="text-[10px] text-gray-500 mb-2">{team.length > 0 ? t('Starts a campaign log for {heroes}.', { heroes: team.map(cardName).join(', ') }) : t('Pick your heroes in setup first; the campaign follows them from scenario to scenario.')}</div>
+            {CAMPAIGNS.map(c => (
+              <button key={c.id} disabled={team.length === 0} onClick={() => onBegin(c)} className="w-full p-3 rounded-xl border border-white/10 bg-gray-900/50 text-left hover:border-blue-500/50 disabled:opacity-40">
+                <div className="text-sm font-black text-white">{c.name}</div>
+                <div className="text-[10px] text-gray-500 truncate">{c.scenarios.map(scenarioName).join(' → ')}</div>
+              </button>
+            ))}
+          </div>
+        ) : (
+          <div className="flex-1 overflow-y-auto space-y-3 pr-1 custom-scrollbar">
+            <div className="bg-gray-900/50 p-3 rounded-xl border border-white/10 space-y-1.5">
+              <div className="text-gray-500 text-[10px] font-bold uppercase tracking-widest mb-1">{t('Scenarios')}</div>
+              {(definition ? definition.scenarios : []).map((scenario, i) => {
+                const result = campaign.results.find(r => r.scenario === i);
+                const playing = campaign.scenario === i && campaign.gameId && !result;
+                return (
+                  <div key={i} className="flex items-center gap-2">
+                    <span className="text-[10px] font-mono text-gray-600 w-4">{i + 1}</span>
+                    <span className={`flex-1 text-xs font-bold truncate ${i === next ? 'text-white' : 'text-gray-400'}`}>{scenarioName(scenario)}</span>
+                    {result && <span className={`text-[9px] font-black uppercase tracking-wider ${RESULT_STYLES[result.result]}`}>{result.result === 'win' ? t('Won') : t('Lost')} · R{result.rounds}</span>}
+                    {playing && <span className="text-[9px] font-black uppercase tracking-wider text-blue-400">{t('Playing')}</span>}
+                    <button onClick={() => onPlay(i)} className="p-1.5 text-gray-500 hover:text-white"><Play size={12} /></button>
+                  </div>
+                );
+              })}
+            </div>
+            {next >= 0
+              ? <TactileButton onClick={() => onPlay(next)} color="bg-blue-600" className="w-full">{t('START {scenario}', { scenario: scenarioName(definition.scenarios[next]).toUpperCase() })}</TactileButton>
+              : definition && <div className="text-center text-green-400 text-xs font-black uppercase tracking-widest py-2"><Trophy size={14} className="inline mr-1" />{t('Campaign complete')}</div>}
+
+            <div className="bg-gray-900/50 p-3 rounded-xl border border-white/10 space-y-2">
+              <div className="flex justify-between items-center">
+                <span className="text-gray-500 text-[10px] font-bold uppercase tracking-widest">{t('Heroes')}</span>
+                <button onClick={() => onChange(c => ({ ...c, carryHp: !c.carryHp }))} className={`px-2 py-1 rounded text-[9px] font-black uppercase tracking-wider border ${campaign.carryHp ? 'bg-red-900/30 text-red-300 border-red-500/30' : 'bg-black/40 text-gray-500 border-white/5'}`}>{campaign.carryHp ? t('Carry HP on') : t('Carry HP off')}</button>
+              </div>
+              {campaign.heroes.map(h => (
+                <div key={h.code} className="border-t border-white/5 pt-2">
+                  <div className="flex items-center gap-2">
+                    <span className="flex-1 text-xs font-black text-white truncate">{h.name}</span>
+                    {campaign.carryHp && (h.hp === null
+                      ? <span className="text-[10px] text-gray-600">{t('Full HP')}</span>
+                      : <div className="flex items-center gap-1">
+                          <button onClick={() => updateHero(h.code, x => ({ ...x, hp: Math.max(0, x.hp - 1) }))} className="p-1 text-gray-500 hover:text-white"><Minus size={12} /></button>
+                          <span className="text-xs font-mono text-red-300 w-6 text-center">{h.hp}</span>
+                          <button onClick={() => updateHero(h.code, x => ({ ...x, hp: x.hp + 1 }))} className="p-1 text-gray-500 hover:text-white"><Plus size={12} /></button>
+                          <button onClick={() => updateHero(h.code, x => ({ ...x, hp: null }))} className="p-1 text-gray-500 hover:text-white"><RotateCcw size={12} /></button>
+                        </div>)}
+                  </div>
+                  <div className="flex flex-wrap gap-1 mt-1">
+                    {h.obligations.map((o, i) => <button key={i} onClick={() => updateHero(h.code, x => ({ ...x, obligations: x.obligations.filter((_, j) => j !== i) }))} className="px-2 py-0.5 rounded bg-orange-900/30 border border-orange-500/30 text-orange-300 text-[10px] font-bold flex items-center gap-1">{o}<X size={10} /></button>)}
+                    <input type="text" placeholder={t('Add obligation')} value={obligation[h.code] || ""} onChange={e => setObligation(prev => ({ ...prev, [h.code]: e.target.value }))} onKeyDown={e => e.key === 'Enter' && addObligation(h.code)} onBlur={() => addObligation(h.code)} className="flex-1 min-w-[6rem] bg-black/40 border border-white/10 rounded px-2 py-0.5 text-base text-white focus:border-blue-500 outline-none" />
+                  </div>
+                </div>
+              ))}
+            </div>
+
+            <div className="bg-gray-900/50 p-3 rounded-xl border border-white/10 space-y-1.5">
+              <div className="text-gray-500 text-[10px] font-bold uppercase tracking-widest mb-1">{t('Campaign values')}</div>
+              {campaign.values.map((v, i) => (
+                <div key={i} className="flex items-center gap-2">
+                  <span className="flex-1 text-xs font-bold text-gray-300 truncate">{t(v.label)}</span>
+                  <button onClick={() => onChange(c => ({ ...c, values: c.values.map((x, j) => (j === i ? { ...x, value: x.value - 1 } : x)) }))} className="p-1 text-gray-500 hover:text-white"><Minus size={12} /></button>
+                  <span className="text-xs font-mono text-white w-6 text-center">{v.value}</span>
+                  <button onClick={() => onChange(c => ({ ...c, values: c.values.map((x, j) => (j === i ? { ...x, value: x.value + 1 } : x)) }))} className="p-1 text-gray-500 hover:text-white"><Plus size={12} /></button>
+                  <button onClick={() => onChange(c => ({ ...c, values: c.values.filter((_, j) => j !== i) }))} className="p-1 text-gray-600 hover:text-red-400"><Trash2 size={12} /></button>
+                </div>
+              ))}
+              <input type="text" placeholder={t('Track a value…')} value={newValue} onChange={e => setNewValue(e.target.value)} onKeyDown={e => e.key === 'Enter' && addValue()} onBlur={addValue} className="w-full bg-black/40 border border-white/10 rounded px-2 py-1 text-base text-white focus:border-blue-500 outline-none" />
+            </div>
+
+            <div className="bg-gray-900/50 p-3 rounded-xl border border-white/10 space-y-1.5">
+              <div className="text-gray-500 text-[10px] font-bold uppercase tracking-widest mb-1">{t('Rewards')}</div>
+              {campaign.rewards.map((r, i) => (
+                <div key={i} className="flex items-center gap-2">
+                  <button onClick={() => onChange(c => ({ ...c, rewards: c.rewards.map((x, j) => (j === i ? { ...x, unlocked: !x.unlocked } : x)) }))} className={`flex-1 flex items-center gap-2 text-left text-xs font-bold ${r.unlocked ? 'text-yellow-300' : 'text-gray-600'}`}>{r.unlocked ? <Unlock size={12} /> : <Lock size={12} />}<span className="truncate">{t(r.name)}</span></button>
+                  <button onClick={() => onChange(c => ({ ...c, rewards: c.rewards.filter((_, j) => j !== i) }))} className="p-1 text-gray-600 hover:text-red-400"><Trash2 size={12} /></button>
+                </div>
+              ))}
+              <input type="text" placeholder={t('Unlock a reward…')} value={newReward} onChange={e => setNewReward(e.target.value)} onKeyDown={e => e.key === 'Enter' && addReward()} onBlur={addReward} className="w-full bg-black/40 border border-white/10 rounded px-2 py-1 text-base text-white focus:border-blue-500 outline-none" />
+            </div>
+
+            <div className="flex justify-between items-center text-[9px] text-gray-600 font-mono">
+              <span>{t('Started {date}', { date: new Date(campaign.startedAt).toLocaleDateString() })}</span>
+              {confirmEnd
+                ? <button onClick={onEnd} className="px-2 py-1 bg-red-600 text-white rounded text-[9px] font-black uppercase">{t('End campaign?')}</button>
+                : <button onClick={() => setConfirmEnd(true)} className="flex items-center gap-1 text-gray-500 hover:text-red-400 uppercase font-black tracking-wider"><Flag size={12} /> {t('End campaign')}</button>}
+            </div>
+          </div>
+        )}
+      </div>
+    </motion.div>
+  );
+};
+
+// --- TABLE SYNC ---
+const RELAY_LABELS = { connecting: 'Connecting to relay…', open: 'Relay connected', error: 'Relay unreachable' };
+
+const SyncScreen = ({ sync, relayUrl, onRelayUrl, onHost, onJoin, onClose }) => {
+  const [codeInput, setCodeInput] = useState("");
+  const { session, status } = sync;
+  const code = codeInput.trim().toUpperCase();
+
+  return (
+    <motion.div variants={modalVariants} initial="hidden" animate="visible" exit="exit" className="fixed inset-0 z-[115] bg-black/95 backdrop-blur-md flex items-center justify-center p-3">
+      <div className="w-full max-w-sm flex flex-col relative">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="font-black text-2xl text-white tracking-tight">{t('TABLE SYNC')}</h2>
+          <TactileButton onClick={onClose} color="bg-gradient-to-r from-green-600 to-green-500" size="small">{t('DONE')}</TactileButton>
+        </div>
+        {session ? (
+          <div className="bg-gray-900/50 p-4 rounded-xl border border-white/10 space-y-3 text-center">
+            <div className="text-gray-500 text-[10px] font-bold uppercase tracking-widest">{session.role === 'host' ? t('Hosting table') : t('Joined table')}</div>
+            <div className="text-4xl font-black tracking-[0.3em] text-white font-mono">{session.code}</div>
+            <div className="text-xs text-gray-400">{session.role === 'host' ? t(status.peers.length === 1 ? '{count} other device connected' : '{count} other devices connected', { count: status.peers.length }) : status.synced ? t("Showing the host's board") : t('Waiting for the host…')}</div>
+            {status.relay && <div className={`text-[10px] font-bold ${status.relay === 'open' ? 'text-green-400' : status.relay === 'error' ? 'text-red-400' : 'text-yellow-400'}`}>{t(RELAY_LABELS[status.relay])}</div>}
+            <TactileButton onClick={sync.stop} color="bg-red-700" className="w-full">{t('LEAVE')}</TactileButton>
+          </div>
+        ) : (
+          <div className="space-y-3">
+            <div className="bg-gray-900/50 p-3 rounded-xl border border-white/10 space-y-2">
+              <div className="text-gray-500 text-[10px] font-bold uppercase tracking-widest">{t('Relay server (other devices)')}</div>
+              <input type="url" placeholder={t('http://192.168.1.20:8787 — blank for this device only')} value={relayUrl} onChange={e => onRelayUrl(e.target.value)} className="w-full bg-black/40 border border-white/10 rounded-lg px-2 py-1.5 text-base text-white focus:border-blue-500 outline-none" />
+              <div className="text-[10px] text-gray-500">{t('Run {command} on a laptop on the same network. Without it, only tabs in this browser share the board.', { command: 'npm run relay' })}</div>
+            </div>
+            <TactileButton onClick={onHost} color="bg-blue-600" className="w-full">{t('HOST THIS GAME')}</TactileButton>
+            <div className="bg-gray-900/50 p-3 rounded-xl border border-white/10 space-y-2">
+              <div className="text-gray-500 text-[10px] font-bold uppercase tracking-widest">{t('Join a table')}</div>
+              <div className="flex gap-2"><input type="text" placeholder={t('CODE')} value={codeInput} onChange={e => setCodeInput(e.target.value)} className="flex-1 bg-black/40 border border-white/10 rounded-lg px-2 py-1.5 text-base text-white font-mono uppercase tracking-widest focus:border-blue-500 outline-none" /><TactileButton onClick={() => onJoin(code)} disabled={!/^[A-Z0-9]{4,8}$/.test(code)} color="bg-blue-600" size="small">{t('JOIN')}</TactileButton></div>
+            </div>
+          </div>
+        )}
+      </div>
+    </motion.div>
+  );
+};
+
+// --- ENCOUNTER DECK ---
+// Sets that are always part of the deck: the villain's own set plus Standard (and Expert when playing it).
+const requiredEncounterSets = (villains, difficulty) => [...villains.map(v => v.set_code), 'standard', ...(difficulty.mode === 'expert' ? ['expert'] : [])].filter(code => code && code !== 'unknown');
+
+const expandEncounterCards = (setCodes) => (safeData.encounter_cards || [])
+  .filter(c => setCodes.includes(c.set_code))
+  .flatMap(c => Array.from({ length: c.quantity || 1 }, () => ({ code: c.code, name: c.name, type_code: c.type_code, boost: c.boost || 0, boost_star: c.boost_star || false })));
+
+const EncounterBar = ({ encounter, onDeal, onBoost, onBuild }) => (
+  <div className="bg-gray-900/80 border border-purple-500/30 rounded-xl p-2 backdrop-blur-xl flex items-center gap-2">
+    <button onClick={onBuild} className="flex items-center gap-2 flex-1 min-w-0 text-left group">
+      <Layers size={14} className="text-purple-400 shrink-0" />
+      {encounter.sets.length === 0 ? (
+        <span className="text-[10px] font-bold uppercase tracking-widest text-gray-500 group-hover:text-white transition-colors">{t('Build encounter deck')}</span>
+      ) : (
+        <div className="flex gap-2 text-[9px] uppercase font-bold tracking-widest text-gray-500">
+          <span>{t('Deck')} <span className="text-white tabular-nums">{encounter.deck.length}</span></span>
+          <span>{t('Discard')} <span className="text-white tabular-nums">{encounter.discard.length}</span></span>
+          {encounter.accelTokens > 0 && <span className="flex items-center gap-0.5 text-yellow-500"><Activity size={8} />{encounter.accelTokens}</span>}
+        </div>
+      )}
+    </button>
+    {encounter.sets.length > 0 && (
+      <>
+        <TactileButton onClick={onBoost} disabled={encounter.deck.length + encounter.discard.length === 0} color="bg-gray-800" size="small">{t('BOOST')}</TactileButton>
+        <TactileButton onClick={onDeal} disabled={encounter.deck.length + encounter.discard.length === 0} color="bg-purple-700" size="small">{t('DEAL')}</TactileButton>
+      </>
+    )}
+  </div>
+);
+
+const EncounterBuilder = ({ requiredSets, currentSets, collection, onBuild, onClose }) => {
+  const modularSets = useMemo(() => ownedModularSets(safeData, collection), [collection]);
+  const [chosen, setChosen] = useState(() => currentSets.filter(code => !requiredSets.includes(code)));
+  const [search, setSearch] = useState("");
+  const sets = [...requiredSets, ...chosen];
+  const cardCount = expandEncounterCards(sets).length;
+  const toggle = (code) => setChosen(prev => (prev.includes(code) ? prev.filter(c => c !== code) : [...prev, code]));
+
+  return (
+    <motion.div variants={modalVariants} initial="hidden" animate="visible" exit="exit" className="fixed inset-0 z-[120] bg-black/90 backdrop-blur-xl flex items-center justify-center p-3">
+      <div className="w-full max-w-lg h-[90vh] bg-gray-900 border border-gray-700 rounded-2xl p-4 flex flex-col shadow-2xl relative overflow-hidden">
+        <div className="absolute top-0 left-0 w-full h-1 bg-gradient-to-r from-purple-600 to-purple-300" />
+        <div className="flex justify-between items-center mb-4"><h2 className="font-black text-xl text-purple-400 uppercase tracking-tighter">{t('Encounter Deck')}</h2><button onClick={onClose}><X className="text-gray-400" size={18}/></button></div>
+        {!safeData.encounter_cards ? (
+          <div className="flex-1 text-gray-500 text-xs text-center py-8">{t('This card data has no encounter cards. Run {command} to refresh it.', { command: 'node update_data.js' })}</div>
+        ) : (
+          <>
+            <div className="flex flex-wrap gap-1 mb-3">{requiredSets.map(code => <span key={code} className="text-[9px] font-black uppercase tracking-wider px-2 py-0.5 rounded border bg-purple-900/40 border-purple-500/40 text-purple-200">{(safeData.sets || []).find(s => s.code === code)?.name || code}</span>)}</div>
+            <div className="relative mb-3"><Search size={16} className="absolute left-3 top-3 text-gray-500" /><input type="text" placeholder={t('Modular sets...')} className="w-full bg-black/50 border border-white/10 rounded-xl py-2.5 pl-10 pr-4 text-base text-white focus:border-purple-500 outline-none" value={search} onChange={e => setSearch(e.target.value)}/></div>
+            <div className="flex-1 overflow-y-auto space-y-1 pr-1 custom-scrollbar">
+              {modularSets.filter(m => m.name.toLowerCase().includes(search.toLowerCase())).map(m => {
+                const active = chosen.includes(m.code);
+                return (
+                  <button key={m.code} onClick={() => toggle(m.code)} className={`w-full text-left p-2.5 rounded-lg border flex items-center gap-3 transition-all ${active ? 'border-purple-500/50 bg-purple-900/20' : 'border-white/5 bg-gray-900/40'}`}>
+                    <span className={`w-4 h-4 rounded flex items-center justify-center border ${active ? 'bg-purple-600 border-purple-400' : 'border-white/20'}`}>{active && <Check size={10} />}</span>
+                    <span className={`flex-1 text-xs font-bold ${active ? 'text-white' : 'text-gray-400'}`}>{m.name}</span>
+                  </button>
+                );
+              })}
+            </div>
+            <TactileButton onClick={() => onBuild(sets)} disabled={cardCount === 0} color="bg-gradient-to-r from-purple-700 to-purple-500" className="w-full mt-3">{t('SHUFFLE {count} CARDS', { count: cardCount })}</TactileButton>
+          </>
+        )}
+      </div>
+    </motion.div>
+  );
+};
+
+// --- ROUND PHASES ---
+// Where the round stands, what to remember at this step, and how long turns and rounds take.
+// The turn timer cycles off → stopwatch → 2/3/5 minute turns; it only runs on player turns.
+const TURN_TIMER_OPTIONS = [null, 0, 2, 3, 5];
+const turnTimerLabel = (limit) => (limit === null ? 'Turn timer off' : limit === 0 ? 'Stopwatch' : `${limit} minute turns`);
+
+const PhasePanel = ({ state, now, turnLimit, onTurnLimit }) => {
+  const [showTimes, setShowTimes] = useState(false);
+  const { index, step, steps, started } = currentStep(state);
+  const roundTimes = state.roundTimes || [];
+  const elapsed = started ? now - state.phase.stepStart : 0;
+  const timed = turnLimit !== null && started && step.kind === 'turn';
+  const over = timed && turnLimit > 0 && elapsed > turnLimit * 60000;
+  const average = roundTimes.length > 0 ? roundTimes.reduce((sum, r) => sum + r.ms, 0) / roundTimes.length : 0;
+  return (
+    <section className="bg-gray-900/80 border border-white/10 rounded-xl p-3 backdrop-blur-xl">
+      <div className="flex items-center justify-between gap-2 mb-2">
+        <div className="min-w-0"><div className="text-[9px] font-bold uppercase tracking-widest text-gray-500">{t('Round {round}', { round: state.round })} · {started ? t('Step {step}/{total}', { step: index + 1, total: steps.length }) : t('Not started')}</div><h3 className="text-sm font-black text-white truncate">{started ? stepTitle(state, step) : t('Tap Start when round {round} begins', { round: state.round })}</h3></div>
+        <div className="flex items-center gap-1.5 shrink-0">
+          {timed && <span className={`text-sm font-black font-mono tabular-nums ${over ? 'text-red-500 animate-pulse' : 'text-gray-300'}`}>{formatDuration(elapsed)}{turnLimit > 0 && <span className="text-[9px] text-gray-500">/{turnLimit}:00</span>}</span>}
+          <button onClick={() => onTurnLimit(TURN_TIMER_OPTIONS[(TURN_TIMER_OPTIONS.indexOf(turnLimit) + 1) % TURN_TIMER_OPTIONS.length])} title={turnTimerLabel(turnLimit)} className={`p-1.5 rounded-md border transition-colors ${turnLimit !== null ? 'bg-indigo-900/40 border-indigo-500/40 text-indigo-300' : 'bg-gray-800 border-white/10 text-gray-500'}`}><Timer size={12} /></button>
+        </div>
+      </div>
+      <div className="flex gap-0.5 mb-2">{steps.map((s, i) => <div key={i} className={`h-1 flex-1 rounded-full transition-colors ${started && i <= index ? (s.kind === 'turn' ? 'bg-blue-500' : 'bg-red-500') : 'bg-gray-800'} ${started && i < index ? 'opacity-40' : ''}`} />)}</div>
+      {started && <ul className="space-y-0.5">{stepReminders(state, step).map((r, i) => <li key={i} className="text-[10px] text-gray-400 flex gap-1"><ChevronRight size={10} className="shrink-0 mt-0.5 text-red-500/60" />{r}</li>)}</ul>}
+      {roundTimes.length > 0 && (
+        <div className="mt-2 pt-2 border-t border-white/5">
+          <button onClick={() => setShowTimes(v => !v)} className="w-full flex justify-between text-[9px] font-bold uppercase tracking-widest text-gray-500 hover:text-white"><span>{t('Round times')}</span><span className="font-mono normal-case">{t('avg')} {formatDuration(average)}</span></button>
+          {showTimes && <div className="mt-1 grid grid-cols-3 gap-1">{roundTimes.map(r => <div key={r.round} className="text-[10px] font-mono text-gray-400 bg-black/30 rounded px-1.5 py-0.5 flex justify-between"><span>R{r.round}</span><span className="text-white">{formatDuration(r.ms)}</span></div>)}</div>}
+        </div>
+      )}
+    </section>
+  );
+};
+
+// Shown after each round so the added threat is never a mystery.
+const RoundSummary = ({ summary, onClose }) => (
+  <motion.div initial={{ y: 20, opacity: 0 }} animate={{ y: 0, opacity: 1 }} exit={{ y: 20, opacity: 0 }} onClick={onClose} className="fixed bottom-24 left-3 right-3 z-[60] max-w-sm mx-auto bg-gray-900/95 border border-red-500/30 rounded-xl p-3 backdrop-blur-xl shadow-2xl cursor-pointer">
+    <div className="flex items-center justify-between mb-1.5"><span className="text-[10px] font-black uppercase tracking-widest text-red-300">{t('Round {round} · +{total} threat', { round: summary.round, total: summary.total })}</span><X size={12} className="text-gray-500" /></div>
+    <div className="space-y-0.5">{summary.sources.map((s, i) => (<div key={i} className="flex justify-between text-[10px] font-bold text-gray-400"><span className="truncate pr-2">{s.label}</span><span className="text-yellow-500 tabular-nums">+{s.amount}</span></div>))}</div>
+    {summary.hazard > 0 && <div className="mt-2 pt-1.5 border-t border-white/5 text-[10px] font-bold text-orange-400 flex items-center gap-1"><Flame size={10} fill="currentColor" /> {t('Hazard: deal {count} encounter cards ({extra} extra)', { count: summary.dealCount, extra: summary.hazard })}</div>}
+  </motion.div>
+);
+
+const DrawnCard = ({ card, amplify, onPlay, onClose }) => (
+  <motion.div variants={modalVariants} initial="hidden" animate="visible" exit="exit" onClick={onClose} className="fixed inset-0 z-[125] bg-black/90 backdrop-blur-md flex items-center justify-center p-6">
+    <div className="w-full max-w-xs flex flex-col items-center gap-3" onClick={e => e.stopPropagation()}>
+      <div className="text-[10px] font-black uppercase tracking-[0.3em] text-purple-300">{card.kind === 'boost' ? t('Boost') : t('Encounter')}</div>
+      <img src={getCardImage(card.code)} alt={cardName(card)} className="w-full rounded-xl border border-white/10 shadow-2xl" />
+      <h2 className="text-lg font-black text-white text-center">{cardName(card)}</h2>
+      {card.kind === 'boost' && <div className="flex items-center gap-1 text-yellow-400 font-black">{Array.from({ length: card.boost || 0 }, (_, i) => <Flame key={i} size={16} fill="currentColor" />)}{card.boost_star && <span className="text-lg">★</span>}{!card.boost && !card.boost_star && <span className="text-gray-500 text-xs">{t('No boost')}</span>}</div>}
+      {card.kind === 'boost' && amplify > 0 && <div className="text-[10px] font-bold text-purple-300 flex items-center gap-1"><Megaphone size={10} /> {t('+{amplify} boost from amplify', { amplify })}</div>}
+      {card.reshuffled && <div className="text-[10px] font-bold text-yellow-500 flex items-center gap-1"><Activity size={10} /> {t('Deck reshuffled — acceleration token added')}</div>}
+      <div className="flex gap-2 w-full">
+        {card.kind === 'deal' && onPlay && <TactileButton onClick={onPlay} color="bg-orange-700" className="flex-1">{t('PUT INTO PLAY')}</TactileButton>}
+        <TactileButton onClick={onClose} color="bg-gray-800" className="flex-1">{t('DONE')}</TactileButton>
+      </div>
+    </div>
+  </motion.div>
+);
+
+// --- CARD SEARCH ---
+// Menus only appear for traits, sets and packs that split the list; older card data has few.
+const SEARCH_FILTERS = [['trait', 'trait'], ['set', 'set'], ['pack', 'pack']];
+
+const CardSearch = ({ query, onChange, cards, accent = 'focus:border-blue-500', children }) => {
+  const [showFilters, setShowFilters] = useState(false);
+  const facets = useMemo(() => cardFacets(cards, safeData), [cards]);
+  const options = facetOptions(facets, safeData);
+  const filters = SEARCH_FILTERS.filter(([key]) => options[key].length > 1);
+  const active = SEARCH_FILTERS.filter(([key]) => query[key]);
+  const optionName = (key, code) => (options[key].find(o => o.code === code) || { name: code }).name;
+  return (
+    <div className="mb-4">
+      <div className="flex gap-2">
+        <div className="relative flex-1"><Search size={16} className="absolute left-3 top-3 text-gray-500" /><input type="text" placeholder={t('Search name, trait, set, text...')} value={query.text} className={`w-full bg-black/40 border border-white/10 rounded-xl py-2.5 pl-10 pr-4 text-base text-white outline-none ${accent}`} onChange={e => onChange({ ...query, text: e.target.value })} /></div>
+        {filters.length > 0 && <button onClick={() => setShowFilters(v => !v)} className={`w-11 rounded-xl border flex items-center justify-center ${showFilters || active.length > 0 ? 'bg-blue-900/30 text-blue-400 border-blue-500/30' : 'bg-gray-800 text-gray-400 border-white/10'}`}><SlidersHorizontal size={16} /></button>}
+        {children}
+      </div>
+      {showFilters && <div className="grid grid-cols-3 gap-2 mt-2">{filters.map(([key, label]) => <select key={key} value={query[key]} onChange={e => onChange({ ...query, [key]: e.target.value })} className="min-w-0 bg-black/40 border border-white/10 rounded-lg px-2 py-1.5 text-xs text-white outline-none"><option value="">{t(`Any ${label}`)}</option>{options[key].map(o => <option key={o.code} value={o.code}>{o.name}</option>)}</select>)}</div>}
+      {!showFilters && active.length > 0 && <div className="flex flex-wrap gap-1 mt-2">{active.map(([key, label]) => <button key={key} onClick={() => onChange({ ...query, [key]: '' })} className="text-[10px] font-bold px-2 py-0.5 rounded bg-blue-900/30 border border-blue-500/30 text-blue-300 flex items-center gap-1"><span className="text-blue-500/70 uppercase text-[8px]">{t(label)}</span>{optionName(key, query[key])}<X size={10} /></button>)}</div>}
+    </div>
+  );
+};
+
+// --- CARD DETAILS ---
+// Cards on the board are copies made when they came into play, so text missing from an older
+// save is filled in from the card data. Villains and schemes show the stage in play.
+const CARD_INDEX = new Map(['encounter_cards', 'side_schemes', 'minions', 'allies', 'schemes', 'villains', 'heroes'].flatMap(list => (safeData[list] || []).map(c => [c.code, c])));
+
+const CardDetail = ({ card, onClose }) => {
+  const details = { ...CARD_INDEX.get(card.code), ...card };
+  const stage = details.stageIdx || 0;
+  const code = (details.stage_codes && details.stage_codes[stage]) || details.code;
+  const text = (details.stage_text && details.stage_text[stage]) || details.text;
+  const source = [details.set_code && details.set_code !== 'unknown' && setName(safeData, details.set_code), details.pack_code && packName(safeData, details.pack_code)].filter(Boolean);
+  return (
+    <motion.div variants={modalVariants} initial="hidden" animate="visible" exit="exit" onClick={onClose} className="fixed inset-0 z-[125] bg-black/90 backdrop-blur-md flex items-center justify-center p-6">
+      <div className="w-full max-w-xs max-h-full overflow-y-auto custom-scrollbar flex flex-col items-center gap-3" onClick={e => e.stopPropagation()}>
+        <img src={getCardImage(code)} alt={cardName(details)} className="w-full rounded-xl border border-white/10 shadow-2xl" />
+        <h2 className="text-lg font-black text-white text-center leading-tight">{cardName(details)}</h2>
+        {(details.traits || []).length > 0 && <div className="text-[10px] font-bold uppercase tracking-widest text-gray-400 text-center">{details.traits.map(traitName).join(' · ')}</div>}
+        {(details.keywords || []).length > 0 && <div className="flex flex-wrap justify-center gap-1">{details.keywords.map(k => <span key={k} className="text-[9px] font-black uppercase tracking-wider px-2 py-0.5 rounded border bg-indigo-900/40 border-indigo-500/40 text-indigo-200">{k}</span>)}</div>}
+        {text ? <p className="text-xs text-gray-300 whitespace-pre-line bg-gray-900/80 border border-white/10 rounded-lg p-3 w-full">{text}</p> : <p className="text-[10px] text-gray-600 text-center">No card text in this data. Run <code className="text-gray-400">node update_data.js</code> to fetch it.</p>}
+        {(details.boost > 0 || details.boost_star) && <div className="flex items-center gap-1 text-yellow-400 font-black">{Array.from({ length: details.boost || 0 }, (_, i) => <Flame key={i} size={14} fill="currentColor" />)}{details.boost_star && <span>★</span>}</div>}
+        {source.length > 0 && <div className="text-[9px] font-mono text-gray-500 text-center">{source.join(' · ')}</div>}
+        <TactileButton onClick={onClose} color="bg-gray-800" className="w-full">{t('DONE')}</TactileButton>
+      </div>
+    </motion.div>
+  );
+};
+
+// --- TIMELINE ---
+// Hand-drawn SVG line charts, one value per round end. Rounds with a stage flip, a completed
+// scheme or a cleared side scheme get a dashed marker; the list below the charts says what happened.
+const CHART = { width: 320, height: 120, pad: 10 };
+const HERO_COLORS = ['#3b82f6', '#22c55e', '#a855f7', '#06b6d4'];
+const MARK_STYLES = { villain: 'text-red-400', scheme: 'text-yellow-400', side: 'text-orange-400', end: 'text-white' };
+
+const TimelineChart = ({ title, points, series, markedRounds }) => {
+  const values = series.flatMap(s => points.map(s.value)).filter(v => v !== null && v !== undefined);
+  const max = Math.max(1, ...values);
+  const x = (i) => (points.length > 1 ? CHART.pad + (i * (CHART.width - 2 * CHART.pad)) / (points.length - 1) : CHART.width / 2);
+  const y = (v) => CHART.height - CHART.pad - (v / max) * (CHART.height - 2 * CHART.pad);
+  return (
+    <div className="bg-gray-900/50 p-3 rounded-xl border border-white/10">
+      <div className="flex justify-between items-start gap-2 mb-2">
+        <span className="text-gray-500 text-[10px] font-bold uppercase tracking-widest">{title}</span>
+        <div className="flex flex-wrap justify-end gap-x-2 gap-y-0.5">{series.map(s => <span key={s.label} className="flex items-center gap-1 text-[9px] font-bold text-gray-400"><span className="w-2 h-2 rounded-full" style={{ background: s.color }} />{s.label}</span>)}</div>
+      </div>
+      <svg viewBox={`0 0 ${CHART.width} ${CHART.height}`} className="w-full h-32">
+        <line x1={CHART.pad} x2={CHART.width - CHART.pad} y1={y(0)} y2={y(0)} stroke="#374151" />
+        <text x={2} y={CHART.pad} fontSize={8} fill="#6b7280">{max}</text>
+        {points.map((p, i) => markedRounds.has(p.round) && <line key={i} x1={x(i)} x2={x(i)} y1={CHART.pad} y2={CHART.height - CHART.pad} stroke="#a855f7" strokeDasharray="2 3" opacity={0.7} />)}
+        {series.map(s => {
+          const plotted = points.map((p, i) => [i, s.value(p)]).filter(([, v]) => v !== null && v !== undefined);
+          return (
+            <g key={s.label}>
+              <polyline points={plotted.map(([i, v]) => `${x(i)},${y(v)}`).join(' ')} fill="none" stroke={s.color} strokeWidth={2} strokeLinejoin="round" strokeDasharray={s.dashed ? '4 3' : undefined} />
+              {plotted.map(([i, v]) => <circle key={i} cx={x(i)} cy={y(v)} r={2.5} fill={s.color} />)}
+            </g>
+          );
+        })}
+      </svg>
+      <div className="flex justify-between text-[8px] font-mono text-gray-600 px-1">{points.map((p, i) => <span key={i}>{p.final ? t('now') : `R${p.round}`}</span>)}</div>
+    </div>
+  );
+};
+
+const TimelineScreen = ({ title, timeline, onClose }) => {
+  const { points, marks, heroes } = timeline;
+  const markedRounds = new Set(marks.map(m => m.round));
+  const boardSeries = [
+    { label: t('Villain HP'), color: '#ef4444', value: p => p.villainHp },
+    { label: t('Threat'), color: '#eab308', value: p => p.threat },
+    { label: t('Side threat'), color: '#f97316', value: p => p.sideThreat },
+    { label: t('Minions'), color: '#9ca3af', value: p => p.minions, dashed: true },
+  ];
+  const heroSeries = heroes.map((name, i) => name && { label: name, color: HERO_COLORS[i % HERO_COLORS.length], value: p => p.heroHp[i] }).filter(Boolean);
+  return (
+    <motion.div variants={modalVariants} initial="hidden" animate="visible" exit="exit" className="fixed inset-0 z-[120] bg-black/95 backdrop-blur-md flex items-center justify-center p-3">
+      <div className="w-full max-w-lg h-[90vh] flex flex-col relative">
+        <div className="flex justify-between items-center mb-4 gap-2">
+          <div className="min-w-0"><h2 className="font-black text-2xl text-white tracking-tight">{t('TIMELINE')}</h2><div className="text-[10px] text-gray-500 truncate">{title}</div></div>
+          <div className="flex gap-2 shrink-0">
+            <button onClick={() => downloadFile('marvel-tracker-timeline.csv', timelineCsv(timeline), 'text/csv')} className="p-2 bg-gray-800 rounded-lg border border-white/5 hover:bg-gray-700 flex items-center gap-1 text-[10px] font-black uppercase tracking-wider text-gray-300"><Download size={14} /> CSV</button>
+            <button onClick={onClose} className="p-2 bg-gray-800 rounded-lg border border-white/5 hover:bg-gray-700"><X size={16} className="text-gray-400" /></button>
+          </div>
+        </div>
+        <div className="flex-1 overflow-y-auto space-y-3 pr-1 custom-scrollbar">
+          {points.length < 2 && <div className="text-gray-600 text-xs text-center py-2">{t('The charts fill in as rounds end.')}</div>}
+          <TimelineChart title={t('Villain & schemes')} points={points} series={boardSeries} markedRounds={markedRounds} />
+          {heroSeries.length > 0 && <TimelineChart title={t('Hero HP')} points={points} series={heroSeries} markedRounds={markedRounds} />}
+          {marks.length > 0 && (
+            <div className="bg-gray-900/50 p-3 rounded-xl border border-white/10 space-y-1">
+              <div className="text-gray-500 text-[10px] font-bold uppercase tracking-widest mb-1">{t('Key moments')}</div>
+              {marks.map((m, i) => <div key={i} className="flex gap-2 text-[11px]"><span className="font-mono text-gray-600 w-8 shrink-0">R{m.round}</span><span className={`font-bold ${MARK_STYLES[m.kind]}`}>{m.label}</span></div>)}
+            </div>
+          )}
+        </div>
+      </div>
+    </motion.div>
+  );
+};
+
+const pct = (rate) => `${Math.round(rate * 100)}%`;
+
+const StatRow = ({ row }) => (
+  <div className="bg-gray-900/60 border border-white/5 rounded-lg p-2">
+    <div className="flex justify-between items-baseline gap-2 mb-1"><span className="font-bold text-xs text-white truncate">{row.key}</span><span className="text-[10px] font-mono text-gray-400 shrink-0">{row.wins}/{row.games} · <span className="text-white">{pct(row.winRate)}</span>{row.avgWinRounds !== null && <> · {row.avgWinRounds.toFixed(1)} rnd</>}</span></div>
+    <div className="h-1 bg-red-900/40 rounded-full overflow-hidden"><div className="h-full bg-gradient-to-r from-green-600 to-green-400" style={{ width: pct(row.winRate) }} /></div>
+  </div>
+);
+
+const STAT_TABS = ['heroes', 'villains', 'matchups', 'scenarios', 'log'];
+
+const StatsScreen = ({ records, onImport, onDelete, onTimeline, onClose }) => {
+  const [tab, setTab] = useState('heroes');
+  const [notice, setNotice] = useState(null);
+  const stats = useMemo(() => computeStats(records), [records]);
+
+  const handleImport = (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    file.text().then(text => setNotice(onImport(text))).catch(err => setNotice({ error: err.message }));
+  };
+
+  return (
+    <motion.div variants={modalVariants} initial="hidden" animate="visible" exit="exit" className="fixed inset-0 z-[110] bg-black/95 backdrop-blur-md flex items-center justify-center p-3">
+      <div className="w-full max-w-lg h-[90vh] flex flex-col relative">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="font-black text-2xl text-white tracking-tight">{t('STATS')}</h2>
+          <div className="flex gap-2">
+            <label className="p-2 bg-gray-800 rounded-lg border border-white/5 hover:bg-gray-700 cursor-pointer"><Upload size={16} className="text-gray-400" /><input type="file" accept="application/json,.json" className="hidden" onChange={handleImport} /></label>
+            <button onClick={() => downloadFile('marvel-tracker-games.json', exportRecords(records))} disabled={records.length === 0} className="p-2 bg-gray-800 rounded-lg border border-white/5 hover:bg-gray-700 disabled:opacity-30"><Download size={16} className="text-gray-400" /></button>
+            <button onClick={onClose} className="p-2 bg-gray-800 rounded-lg border border-white/5 hover:bg-gray-700"><X size={16} className="text-gray-400" /></button>
+          </div>
+        </div>
+        {notice && <div className={`text-xs font-bold rounded-lg px-3 py-2 mb-3 border ${notice.error ? 'bg-red-900/30 border-red-500/30 text-red-300' : 'bg-green-900/30 border-green-500/30 text-green-300'}`}>{notice.error ? t('Import failed: {error}', { error: notice.error }) : t(notice.skipped ? (notice.added === 1 ? 'Imported {added} game, skipped {skipped}.' : 'Imported {added} games, skipped {skipped}.') : (notice.added === 1 ? 'Imported {added} game.' : 'Imported {added} games.'), notice)}</div>}
+        <div className="grid grid-cols-3 gap-2 mb-4">
+          {[[t('Games'), stats.games], [t('Win Rate'), stats.games ? pct(stats.winRate) : '—'], [t('Rnds to Win'), stats.avgWinRounds !== null ? stats.avgWinRounds.toFixed(1) : '—']].map(([label, value]) => (
+            <div key={label} className="bg-gray-900/50 p-3 rounded-xl border border-white/10 text-center"><div className="text-2xl font-black text-white tabular-nums">{value}</div><div className="text-gray-500 text-[9px] font-bold uppercase tracking-widest">{label}</div></div>
+          ))}
+        </div>
+        <div className="flex gap-1 mb-4 p-1 bg-gray-900 rounded-lg border border-white/10">{STAT_TABS.map(name => <button key={name} onClick={() => setTab(name)} className={`flex-1 py-2 rounded-md text-[9px] font-black uppercase tracking-wider transition-all ${tab === name ? 'bg-gray-700 text-white' : 'text-gray-500'}`}>{t(name)}</button>)}</div>
+        <div className="flex-1 overflow-y-auto space-y-2 pr-1 custom-scrollbar">
+          {records.length === 0 && <div className="text-gray-600 text-xs text-center py-8">{t('Finished games show up here.')}</div>}
+          {tab !== 'log' && stats[tab].map(row => <StatRow key={row.key} row={row} />)}
+          {tab === 'log' && [...records].reverse().map(r => (
+            <div key={r.id} className="bg-gray-900/60 border border-white/5 rounded-lg p-2 flex gap-2 items-start">
+              <span className={`text-[9px] font-black px-1.5 py-0.5 rounded shrink-0 ${r.result === 'win' ? 'bg-green-600/30 text-green-300' : 'bg-red-600/30 text-red-300'}`}>{r.result === 'win' ? t('WIN') : t('LOSS')}</span>
+              <div className="flex-1 min-w-0">
+                <div className="text-xs font-bold text-white truncate">{t('{heroes} vs {villain}', { heroes: r.heroes.join(', ') || t('No heroes'), villain: r.villain })}</div>
+                <div className="text-[10px] text-gray-500 truncate">{r.scheme} · {describeDifficulty(r.difficulty || {})} · {r.playerCount}P · {r.rounds} rnd · {r.endedAt ? new Date(r.endedAt).toLocaleDateString() : ''}</div>
+              </div>
+              {r.timeline && <button onClick={() => onTimeline(r)} className="text-white/30 hover:text-white p-0.5"><LineChart size={12} /></button>}
+              <button onClick={() => onDelete(r.id)} className="text-white/30 hover:text-white p-0.5"><X size={12} /></button>
+            </div>
+          ))}
+        </div>
+      </div>
+    </motion.div>
+  );
+};
+
+const HistoryDrawer = ({ entries, onJump, onClose }) => (
+  <motion.div initial={{ x: "100%" }} animate={{ x: 0 }} exit={{ x: "100%" }} transition={{ duration: 0.2, ease: "circOut" }} className="fixed top-0 right-0 bottom-0 z-[95] w-full max-w-xs bg-[#0a0a0f] border-l border-white/10 p-4 flex flex-col shadow-2xl">
+    <div className="flex justify-between items-center mb-4"><h2 className="font-black text-xl text-white">{t('HISTORY')}</h2><button onClick={onClose} className="p-1 bg-gray-800 rounded-full"><X className="text-gray-400" size={18}/></button></div>
+    <div className="flex-1 overflow-y-auto space-y-1 pr-1 custom-scrollbar">
+      {entries.length === 0 && <div className="text-gray-600 text-xs text-center py-8">{t('No actions yet.')}</div>}
+      <button onClick={() => onJump(0)} className="w-full text-left px-2 py-1.5 rounded-md text-[10px] font-bold uppercase tracking-widest text-gray-600 hover:bg-gray-800">{t('Game start')}</button>
+      {entries.map(e => (
+        <button key={e.index} onClick={() => onJump(e.index + 1)} className={`w-full text-left px-2 py-1.5 rounded-md text-xs flex gap-2 items-baseline hover:bg-gray-800 transition-colors ${e.undone ? 'text-gray-600 line-through' : 'text-gray-200'}`}>
+          <span className="font-mono text-[9px] text-gray-500 shrink-0">R{e.round}</span>
+          <span className="font-bold truncate">{describeAction(e.state, e.action)}</span>
+        </button>
+      )).reverse()}
+    </div>
+  </motion.div>
+);
+
+// --- SPECTATOR VIEW ---
+// A read-only board for a TV or a stream, opened as `?view=spectator` (see main.jsx) in another
+// window of the same browser. It keeps no log of its own: it shows the tracker's active save slot
+// and reloads it whenever the tracker saves, through the storage event other windows receive.
+const readFollowedGame = () => {
+  const index = loadStored('mc_slots', null).value || initialSlots();
+  return { log: openStoredLog(loadActiveLog(index.active)).log, language: loadStored('mc_language', browserLanguage()).value };
+};
+
+const useFollowedGame = () => {
+  const [followed, setFollowed] = useState(readFollowedGame);
+  useEffect(() => {
+    const onStorage = (e) => {
+      if (e.key !== null && !e.key.startsWith('mc_')) return;
+      const next = readFollowedGame();
+      setLanguage(next.language, safeData);
+      setFollowed(next);
+    };
+    window.addEventListener('storage', onStorage);
+    return () => window.removeEventListener('storage', onStorage);
+  }, []);
+  return followed;
+};
+
+const TILE_BORDERS = { villain: 'border-red-500/40', scheme: 'border-yellow-500/40', minion: 'border-orange-500/40', hero: 'border-blue-500/40', alter_ego: 'border-emerald-500/40' };
+
+const TableTile = ({ code, name, label, value, max, kind, out, tall, children }) => (
+  <div className={`relative overflow-hidden rounded-2xl border ${TILE_BORDERS[kind]} bg-gray-900 ${tall ? 'min-h-[15rem]' : 'min-h-[9rem]'} flex flex-col justify-end shadow-2xl ${out ? 'opacity-40 grayscale' : ''}`}>
+    {code && <img src={getCardImage(code)} alt="" className="absolute inset-0 w-full h-full object-cover object-[center_25%] opacity-70" />}
+    <div className="absolute inset-0 bg-gradient-to-t from-black via-black/50 to-transparent" />
+    <div className="relative z-10 p-3 flex items-end justify-between gap-2">
+      <div className="min-w-0"><div className="text-[10px] font-bold uppercase tracking-widest text-gray-400">{label}</div><div className="text-lg font-black uppercase leading-tight text-white truncate">{name}</div>{children}</div>
+      {value !== undefined && <div className="text-4xl font-black tabular-nums text-white shrink-0 drop-shadow-xl">{value}{max !== undefined && <span className="text-lg text-gray-400">/{max}</span>}</div>}
+    </div>
+  </div>
+);
+
+const SpectatorHero = ({ hero, slot, state }) => {
+  const allies = state.units.filter(u => u.type === 'ally' && (u.owner || 0) === slot);
+  return (
+    <TableTile code={formCode(hero)} name={formName(hero)} label={`P${slot + 1}${state.playerCount > 1 && state.firstPlayer === slot ? ' ★' : ''}`} value={hero.hp} max={hero.maxHp + hpBonus(hero)} kind={isAlterEgo(hero) ? 'alter_ego' : 'hero'} out={hero.hp <= 0} tall>
+      <TokenBadges card={hero} />
+      {allies.length > 0 && <div className="text-[10px] font-bold text-blue-300 mt-1">{allies.map(a => `${cardName(a)} ${a.val}`).join(' · ')}</div>}
+    </TableTile>
+  );
+};
+
+export const SpectatorView = () => {
+  const { log } = useFollowedGame();
+  const { state } = useGameLog(log);
+  const { mainScheme } = state;
+  const villains = allVillains(state).filter(v => v.code);
+  const heroes = resizeHeroes(state.heroes, state.playerCount).map((hero, slot) => ({ hero, slot })).filter(({ hero }) => hero.code);
+  const { step, started } = currentStep(state);
+  const outcome = getOutcome(state);
+  const sideHeroes = (side) => heroes.filter((_, i) => i % 2 === side).map(({ hero, slot }) => <SpectatorHero key={slot} hero={hero} slot={slot} state={state} />);
+  return (
+    <div className="min-h-screen bg-[#050508] text-white font-sans p-6 flex flex-col gap-4 overflow-hidden">
+      <header className="flex justify-between items-end gap-4">
+        <h1 className="text-2xl font-black italic tracking-tighter text-white">MARVEL <span className="text-transparent bg-clip-text bg-gradient-to-r from-red-500 to-red-600">CHAMPIONS</span></h1>
+        <div className="text-right min-w-0"><div className="text-xs font-bold uppercase tracking-widest text-gray-500">{t('Round {round}', { round: state.round })}</div><div className="text-2xl font-black truncate">{outcome ? t(END_SCREENS[outcome].title) : started ? stepTitle(state, step) : villainTitle(state)}</div></div>
+      </header>
+      <div className="grid grid-cols-[minmax(0,1fr)_minmax(0,1.5fr)_minmax(0,1fr)] gap-4 items-start">
+        <div className="flex flex-col gap-4">{sideHeroes(0)}</div>
+        <div className="flex flex-col gap-4">
+          <div className={`grid ${villains.length > 1 ? 'grid-cols-2' : 'grid-cols-1'} gap-4`}>{villains.map(v => <TableTile key={v.code} code={(v.stage_codes && v.stage_codes[v.stageIdx]) || v.code} name={cardName(v)} label={`${t('Villain HP')} · ${['I', 'II', 'III'][v.stageIdx] || v.stageIdx + 1}`} value={Math.max(0, v.hp)} max={v.maxHp + hpBonus(v)} kind="villain" out={isVillainDefeated(v)} tall><TokenBadges card={v} /></TableTile>)}</div>
+          <TableTile code={mainScheme.code} name={cardName(mainScheme)} label={`${t('Main Scheme')}${mainScheme.stages && mainScheme.stages.length > 1 ? ` · ${mainScheme.stageIdx + 1}/${mainScheme.stages.length}` : ''}`} value={mainScheme.threat} max={mainScheme.target} kind="scheme" />
+          <div className="grid grid-cols-3 gap-3">{state.units.filter(u => u.type !== 'ally').map(u => <TableTile key={u.id} code={u.code} name={cardName(u)} label={u.type === 'side_scheme' ? t('schemes') : t('minions')} value={u.val} max={u.type === 'minion' ? u.max + hpBonus(u) : undefined} kind={u.type === 'side_scheme' ? 'scheme' : 'minion'}><TokenBadges card={u} compact /></TableTile>)}</div>
+        </div>
+        <div className="flex flex-col gap-4">{sideHeroes(1)}</div>
+      </div>
+    </div>
+  );
+};
+
 export default function App() {
-  const safeData = marvelData || { heroes: [], villains: [], schemes: [], minions: [], allies: [], side_schemes: [] };
 
-  const [villain, setVillain] = useStickyState({ name: "Setup Game", hp: 0, maxHp: 0, status: [], stages: [0,0,0], stageIdx: 0, set_code: "" }, 'mc_villain');
-  const [hero, setHero] = useStickyState({ name: "Select Hero", hp: 0, maxHp: 0, status: [] }, 'mc_hero');
-  const [mainScheme, setMainScheme] = useStickyState({ name: "Select Main Scheme", threat: 0, target: 0, baseTarget: 0, accel: 0 }, 'mc_scheme');
-  const [units, setUnits] = useStickyState([], 'mc_units');
-  const [round, setRound] = useStickyState(1, 'mc_round');
-  const [playerCount, setPlayerCount] = useStickyState(1, 'mc_players');
+  const [slotIndex, setSlotIndex, slotIssues] = useStickyState(initialSlots, 'mc_slots');
+  const [boot] = useState(() => openStoredLog(loadActiveLog(slotIndex.active)));
+  const [log, setLog] = useState(boot.log);
+  useEffect(() => { writeSlotLog(slotIndex.active, log); }, [slotIndex.active, log]);
+  const { state: game, entries: historyEntries } = useGameLog(log);
+  const { villain, heroes, firstPlayer, mainScheme, units, round, playerCount } = game;
+  const villainList = allVillains(game);
+  const multiVillain = villainList.length > 1;
+  const difficulty = game.difficulty || DEFAULT_DIFFICULTY;
+  const encounter = game.encounter || EMPTY_ENCOUNTER;
+  const [records, setRecords, recordIssues] = useStickyState([], 'mc_records');
+  const [collection, setCollection, collectionIssues] = useStickyState(null, 'mc_collection');
+  const [campaign, setCampaign, campaignIssues] = useStickyState(null, 'mc_campaign');
+  const [sharedLink, setSharedLink] = useState(() => readGameLink(window.location.hash));
+  const [notices, setNotices] = useState(() => [...slotIssues, ...boot.issues, ...recordIssues, ...collectionIssues, ...campaignIssues]);
+
+  // Records the game the moment an action ends it (villain beaten, heroes down, final scheme stage done).
+  // At a synced table only the host records the result; a joined device's taps go to the host too.
+  // A game started from the campaign screen also writes its result to the campaign log.
+  const dispatch = (action) => {
+    const next = gameReducer(game, action);
+    const ending = getOutcome(next);
+    if (ending && !getOutcome(game) && !sync.joined) {
+      const timeline = buildTimeline({ ...log, actions: [...log.actions.slice(0, log.cursor), action], cursor: log.cursor + 1 });
+      setRecords(prev => upsertRecord(prev, buildRecord(next, ending, log.id, timeline)));
+      if (campaign && campaign.gameId === log.id) setCampaign(prev => recordScenario(prev, next, ending));
+    }
+    sync.submit(action);
+    setLog(prev => appendAction(prev, action));
+  };
+  const sync = useTableSync({ log, setLog, applyRemote: dispatch });
+  const [relayUrl, setRelayUrl] = useStickyState("", 'mc_relay');
+  const [turnLimit, setTurnLimit] = useStickyState(null, 'mc_turn_timer');
+  const [layout, setLayout] = useStickyState('phone', 'mc_layout');
+  const tableLayout = layout === 'table';
+  const [language, setLanguageChoice] = useStickyState(browserLanguage, 'mc_language');
+  useEffect(() => { document.documentElement.lang = language; }, [language]);
+
+  // Undo, redo and restarts on a joined device are the host's to carry out.
+  const replaceLog = (next) => { if (!sync.command('replace', { log: next })) setLog(next); };
+  const undoAction = () => { if (!sync.command('undo')) setLog(undo); };
+  const redoAction = () => { if (!sync.command('redo')) setLog(redo); };
+  const jumpToAction = (cursor) => { if (!sync.command('jump', { cursor })) setLog(prev => jumpTo(prev, cursor)); };
 
   const [showSetup, setShowSetup] = useState(false);
   const [showSummon, setShowSummon] = useState(false);
   const [showSchemeSelect, setShowSchemeSelect] = useState(false);
-  const [showSchemeComplete, setShowSchemeComplete] = useState(false);
+  const [endScreen, setEndScreen] = useState(null);
+  const [showHistory, setShowHistory] = useState(false);
+  const [showStats, setShowStats] = useState(false);
+  const [showCollection, setShowCollection] = useState(false);
+  const [showSlots, setShowSlots] = useState(false);
+  const [showSync, setShowSync] = useState(false);
+  const [showStorage, setShowStorage] = useState(false);
+  const [showCampaign, setShowCampaign] = useState(false);
+  const [showRandomizer, setShowRandomizer] = useState(false);
+  const [showEncounterBuilder, setShowEncounterBuilder] = useState(false);
+  const [drawnCard, setDrawnCard] = useState(null);
+  const [roundSummary, setRoundSummary] = useState(null);
+  const [tokenTarget, setTokenTarget] = useState(null);
   const [setupTab, setSetupTab] = useState('heroes'); 
+  const [heroSlot, setHeroSlot] = useState(0);
+  const [allyOwner, setAllyOwner] = useState(0);
 
-  const [schemeSearch, setSchemeSearch] = useState("");
+  const [schemeQuery, setSchemeQuery] = useState(EMPTY_QUERY);
   const [activeTab, setActiveTab] = useState('minions');
-  const [searchTerm, setSearchTerm] = useState("");
-  const [summonTerm, setSummonTerm] = useState("");
+  const [setupQuery, setSetupQuery] = useState(EMPTY_QUERY);
+  const [summonQuery, setSummonQuery] = useState(EMPTY_QUERY);
+  const [detailCard, setDetailCard] = useState(null);
+  const [timelineView, setTimelineView] = useState(null);
   const [listSeed, setListSeed] = useState(0);
 
   const villainControls = useAnimation();
-  const heroControls = useAnimation();
   const schemeControls = useAnimation();
 
   useEffect(() => {
@@ -174,122 +1293,277 @@ export default function App() {
     return () => { if (wakeLock) wakeLock.release(); document.removeEventListener('visibilitychange', handleVisibilityChange); };
   }, []);
 
-  // --- MATH SYNC LOGIC ---
-  useEffect(() => {
-    if (!safeData || !safeData.schemes) return;
-
-    const originalScheme = safeData.schemes.find(s => (s.code && s.code === mainScheme.code) || s.name === mainScheme.name);
-    if (originalScheme) {
-        const base = originalScheme.target || 0;
-        const newTarget = base * playerCount;
-        if (mainScheme.target !== newTarget) {
-             setMainScheme(prev => ({ ...prev, baseTarget: base, target: newTarget }));
-        }
-    }
-
-    if (villain.stages && villain.stages.length > 0) {
-         const baseHp = villain.stages[villain.stageIdx] || 0;
-         const newMax = baseHp * playerCount;
-         if (villain.maxHp !== newMax) {
-             setVillain(prev => ({ ...prev, maxHp: newMax, hp: (round === 1) ? newMax : prev.hp }));
-         }
-    }
-  }, [playerCount, mainScheme.name, villain.name, villain.stageIdx]); 
+  // Player-count scaling of villain HP and scheme targets lives in gameReducer ('players/set').
 
   useEffect(() => { 
     if (villain && villain.name === "Setup Game") setShowSetup(true); 
   }, [villain.name]); 
 
+  // Non-final villain and scheme stages flip inside gameReducer, so only real game ends surface here.
+  const outcome = getOutcome(game);
   useEffect(() => {
-    if (mainScheme.target > 0 && mainScheme.threat >= mainScheme.target) {
-      setShowSchemeComplete(true);
+    setEndScreen(outcome);
+  }, [outcome, mainScheme.threat]);
+
+  const openSetup = () => { setSetupQuery(EMPTY_QUERY); setShowSetup(true); };
+  // Trait, set and pack filters belong to the list they were picked from; the typed text carries over.
+  const changeLanguage = (lang) => { setLanguage(lang, safeData); setLanguageChoice(lang); };
+  const switchSetupTab = (tab) => { setSetupTab(tab); setSetupQuery(q => ({ ...EMPTY_QUERY, text: q.text })); };
+  const switchSummonTab = (tab) => { setActiveTab(tab); setSummonQuery(q => ({ ...EMPTY_QUERY, text: q.text })); };
+
+  const resetGame = () => {
+    replaceLog(createLog());
+    setHeroSlot(0);
+    setAllyOwner(0);
+    setEndScreen(null);
+  };
+
+  // Switching slots swaps the whole log; per-game UI state belongs to the game being left,
+  // and so does a table joined from it (its board would otherwise land in the new slot).
+  const openSlotLog = (id, nextLog) => {
+    if (sync.joined) sync.stop();
+    const opened = nextLog ? { log: nextLog, issues: [] } : openStoredLog(readSlotLog(id));
+    setLog(opened.log);
+    setNotices(opened.issues);
+    setHeroSlot(0);
+    setAllyOwner(0);
+    setEndScreen(null);
+    setDrawnCard(null);
+    setRoundSummary(null);
+  };
+
+  const switchSlot = (id) => {
+    if (id === slotIndex.active) return;
+    setSlotIndex(prev => ({ ...prev, active: id }));
+    openSlotLog(id);
+  };
+
+  const newSlot = () => {
+    const id = newSlotId();
+    setSlotIndex(prev => ({ ...addSlot(prev, { id, name: `Game ${prev.slots.length + 1}`, createdAt: Date.now() }), active: id }));
+    openSlotLog(id, createLog());
+  };
+
+  // The copy gets a fresh game id so finishing it records a separate game.
+  const duplicateSlot = (id) => {
+    const source = id === slotIndex.active ? log : readSlotLog(id).value;
+    if (!source) return;
+    const copyId = newSlotId();
+    writeSlotLog(copyId, { ...source, id: createLog().id });
+    setSlotIndex(prev => addSlot(prev, { id: copyId, name: copyName(prev, prev.slots.find(s => s.id === id).name), createdAt: Date.now() }));
+  };
+
+  const removeSlot = (id) => {
+    const next = deleteSlot(slotIndex, id);
+    if (next === slotIndex) return;
+    removeSlotLog(id);
+    setSlotIndex(next);
+    if (next.active !== slotIndex.active) openSlotLog(next.active);
+  };
+
+  // Shared boards always open in a new slot, so nobody's game in progress is overwritten.
+  const openSharedGame = (snapshot) => {
+    const { state, issues } = restoreGame(snapshot, safeData);
+    const id = newSlotId();
+    const name = `Shared: ${state.villain.code ? villainTitle(state) : 'board'}`;
+    setSlotIndex(prev => ({ ...addSlot(prev, { id, name, createdAt: Date.now() }), active: id }));
+    openSlotLog(id, createLog(state));
+    setNotices(issues);
+    return name;
+  };
+
+  // Each campaign scenario gets its own slot, set up from the campaign log; the campaign
+  // remembers which game it is so the result comes back to the right scenario.
+  const playScenario = (index) => {
+    const { state, missing, notes, name } = scenarioBoard(campaign, index, safeData, { difficulty, stagesFor: (card) => getSchemeSequence(card, safeData.schemes || []) });
+    const id = newSlotId();
+    const scenarioLog = createLog(state);
+    setSlotIndex(prev => ({ ...addSlot(prev, { id, name: `${campaign.name}: ${name}`, createdAt: Date.now() }), active: id }));
+    openSlotLog(id, scenarioLog);
+    setCampaign(prev => ({ ...prev, gameId: scenarioLog.id, scenario: index }));
+    setNotices([...missing.map(m => `${m} isn't in the card data; pick it by hand.`), ...notes]);
+    setShowCampaign(false);
+  };
+
+  const closeSharedLink = (open) => {
+    if (open) {
+      try { openSharedGame(sharedLink); } catch (err) { setNotices([`The shared link could not be opened: ${err.message}.`]); }
+    }
+    setSharedLink(null);
+    window.history.replaceState(null, '', `${window.location.pathname}${window.location.search}`);
+  };
+
+  // A joined table gets its own slot, reused on rejoin, so the host's board never overwrites a local game.
+  const joinTable = (code) => {
+    const name = `Table ${code}`;
+    const existing = slotIndex.slots.find(s => s.name === name);
+    if (existing) {
+      if (existing.id !== slotIndex.active) switchSlot(existing.id);
     } else {
-      setShowSchemeComplete(false);
+      const id = newSlotId();
+      setSlotIndex(prev => ({ ...addSlot(prev, { id, name, createdAt: Date.now() }), active: id }));
+      openSlotLog(id, createLog());
     }
-  }, [mainScheme.threat, mainScheme.target]);
+    sync.start({ role: 'join', code, relayUrl: relayUrl.trim() });
+  };
 
-  const openSetup = () => { setSearchTerm(""); setShowSetup(true); };
+  const activeSlot = slotIndex.slots.find(s => s.id === slotIndex.active) || slotIndex.slots[0];
 
-  const resetGame = () => {
-    setVillain({ name: "Setup Game", hp: 0, maxHp: 0, status: [], stages: [0,0,0], stageIdx: 0, set_code: "" });
-    setHero({ name: "Select Hero", hp: 0, maxHp: 0, status: [] });
-    setMainScheme({ name: "Select Main Scheme", threat: 0, target: 0, baseTarget: 0, accel: 0 });
-    setUnits([]);
-    setRound(1);
-    setPlayerCount(1);
-    setShowSchemeComplete(false);
-  };
-
-  const selectVillain = (v) => {
-    const startHp = (v.stages[0] || 10) * playerCount;
-    setVillain({ ...v, hp: startHp, maxHp: startHp, status: [], stageIdx: 0 });
-    setSchemeSearch("");
+  const startRematch = () => {
+    replaceLog(createLog(rematchState(game)));
+    setEndScreen(null);
+  };
+
+  const changePlayerCount = (n) => {
+    if (n === playerCount) return;
+    dispatch({ type: 'players/set', count: n });
+    setHeroSlot(s => (s < n ? s : 0));
+    setAllyOwner(o => (o < n ? o : 0));
+  };
+
+  const changeDifficulty = (change) => {
+    if (Object.keys(change).every(k => difficulty[k] === change[k])) return;
+    dispatch({ type: 'difficulty/set', difficulty: change });
+  };
+
+  const selectHero = (h) => {
+    dispatch({ type: 'hero/select', slot: heroSlot, hero: h });
+    setHeroSlot(s => (s + 1 < playerCount ? s + 1 : s));
+  };
+
+  const pickVillains = (action) => {
+    dispatch(action);
+    setSchemeQuery(EMPTY_QUERY);
     setShowSchemeSelect(true); 
   };
+  const selectVillain = (v) => pickVillains({ type: 'villain/select', villain: v });
+  const selectVillainGroup = (g) => pickVillains({ type: 'villains/select', name: g.name, villains: g.villains, optional: g.optional });
 
-  const setStage = (idx) => { 
-    if (!villain.stages) return; 
-    setVillain(prev => ({ ...prev, stageIdx: idx }));
+  const setStage = (idx, slot = 0) => { 
+    const target = villainList[slot];
+    if (!target.stages || idx === target.stageIdx) return; 
+    dispatch({ type: 'villain/stage', slot, idx });
   };
 
   const selectScheme = (card) => {
-    const base = card.target || 0;
-    const finalTarget = base * playerCount;
-    setMainScheme({ name: card.name, threat: card.init || 0, target: finalTarget, baseTarget: base, accel: card.accel || 0, fixed: card.fixed, code: card.code });
+    dispatch({ type: 'scheme/select', scheme: card, stages: getSchemeSequence(card, safeData.schemes || []) });
     setShowSchemeSelect(false);
-    setShowSchemeComplete(false);
-  };
-
-  const modThreat = (n) => { if (n > 0) schemeControls.start('shake'); setMainScheme(prev => ({ ...prev, threat: Math.max(0, prev.threat + n) })); };
-  const modVillainHp = (n) => { if (n < 0) villainControls.start('shake'); setVillain(p => ({ ...p, hp: Math.max(0, p.hp + n) })); };
-  const modHeroHp = (n) => { if (n < 0) heroControls.start('shake'); setHero(p => ({ ...p, hp: Math.max(0, p.hp + n) })); };
-  const advanceGame = () => { modThreat(1 + mainScheme.accel); setRound(r => r + 1); };
-  const toggleStatus = (setter, type) => setter(p => ({ ...p, status: p.status.includes(type) ? p.status.filter(s => s !== type) : [...p.status, type] }));
-  const addUnit = (template, type) => { const startVal = type === 'side_scheme' ? (template.init || 0) : (template.hp || 0); setUnits(prev => [...prev, { ...template, id: Date.now(), val: startVal, max: startVal, type }]); setShowSummon(false); };
-  const modUnitVal = (id, amount) => setUnits(prev => prev.map(u => { if (u.id !== id) return u; return { ...u, val: Math.max(0, u.val + amount) }; }));
-  const restoreUnit = (id) => setUnits(prev => prev.map(u => { if (u.id !== id) return u; return { ...u, val: 1 }; }));
-  const removeUnit = (id) => setUnits(prev => prev.filter(u => u.id !== id));
+    setEndScreen(null);
+  };
+
+  const buildEncounterDeck = (sets) => {
+    dispatch({ type: 'encounter/build', sets, cards: expandEncounterCards(sets), seed: newSeed() });
+    setShowEncounterBuilder(false);
+  };
+  // A rolled game goes through the same actions as picking it by hand, scheme picker included.
+  const acceptRandomGame = (roll) => {
+    changeDifficulty(roll.difficulty);
+    roll.heroes.forEach((hero, slot) => dispatch({ type: 'hero/select', slot, hero }));
+    setHeroSlot(0);
+    const villains = roll.villain.group ? roll.villain.group.villains : [roll.villain.villain];
+    if (roll.modulars.length > 0 && safeData.encounter_cards) buildEncounterDeck([...requiredEncounterSets(villains, roll.difficulty), ...roll.modulars.map(m => m.code)]);
+    if (roll.villain.group) selectVillainGroup(roll.villain.group);
+    else selectVillain(roll.villain.villain);
+    setShowRandomizer(false);
+  };
+  // The reveal is shown from the tap itself, so undo/redo never pops an old card back up.
+  const drawEncounterCard = (type) => {
+    const action = { type, seed: newSeed() };
+    const drawn = gameReducer(game, action).encounter.lastDrawn;
+    dispatch(action);
+    setDrawnCard(drawn !== encounter.lastDrawn ? drawn : null);
+  };
+  const drawnTemplate = drawnCard && (drawnCard.type_code === 'minion' ? safeData.minions : drawnCard.type_code === 'side_scheme' ? safeData.side_schemes : [])?.find(c => c.code === drawnCard.code || c.name === drawnCard.name);
+
+  const crisis = countIcons(game, 'crisis') > 0;
+  const modThreat = (n) => { if (n < 0 && crisis) return; if (n > 0) schemeControls.start('shake'); dispatch({ type: 'scheme/threat', delta: n }); };
+  const modVillainHp = (n, slot = 0) => { if (n < 0) villainControls.start('shake'); dispatch({ type: 'villain/hp', slot, delta: n }); };
+  const modHeroHp = (slot, n) => dispatch({ type: 'hero/hp', slot, delta: n });
+  // The threat summary pops up when the villain phase puts its threat on the scheme.
+  const phaseInfo = currentStep(game);
+  const advancePhase = () => {
+    if (phaseInfo.started && phaseInfo.step.kind === 'threat') {
+      const sources = roundThreatBreakdown(game);
+      setRoundSummary({ round: game.round, sources, total: sources.reduce((sum, s) => sum + s.amount, 0), hazard: countIcons(game, 'hazard'), dealCount: encounterDealCount(game) });
+      schemeControls.start('shake');
+    }
+    dispatch({ type: 'phase/next', time: phaseClock() });
+  };
+  const [now, setNow] = useState(() => Date.now());
+  const ticking = turnLimit !== null && phaseInfo.started;
+  useEffect(() => {
+    if (!ticking) return undefined;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [ticking]);
+  const toggleVillainStatus = (type, slot = 0) => dispatch({ type: 'villain/status', slot, status: type });
+  const toggleHeroStatus = (slot, type) => dispatch({ type: 'hero/status', slot, status: type });
+  const flipHero = (slot) => dispatch({ type: 'hero/form', slot });
+  const changeMechanic = (slot, key, change) => dispatch({ type: 'hero/mechanic', slot, key, ...change });
+
+  // Token editor: statuses, attachments and counters on whichever card was opened.
+  const openUnitTokens = (id) => setTokenTarget({ kind: 'unit', id });
+  const tokenCard = tokenTarget && getTarget(game, tokenTarget);
+  const toggleTokenStatus = (status) => {
+    if (tokenTarget.kind === 'villain') toggleVillainStatus(status, tokenTarget.slot);
+    else if (tokenTarget.kind === 'hero') toggleHeroStatus(tokenTarget.slot, status);
+    else dispatch({ type: 'unit/status', id: tokenTarget.id, status });
+  };
+  const attachmentNames = [...new Set((safeData.encounter_cards || []).filter(c => c.type_code === 'attachment' && [...encounter.sets, ...villainList.map(v => v.set_code)].includes(c.set_code)).map(c => c.name))];
+  const addUnit = (template, type, encounterCard) => { const startVal = type === 'side_scheme' ? (template.init || 0) : (template.hp || 0); dispatch({ type: 'unit/add', unit: { ...template, id: newUnitId(), val: startVal, max: startVal, type, ...(type === 'ally' ? { owner: allyOwner } : {}) }, ...(encounterCard ? { encounterCard } : {}) }); setShowSummon(false); };
+  const modUnitVal = (id, amount) => dispatch({ type: 'unit/val', id, delta: amount });
+  const restoreUnit = (id) => dispatch({ type: 'unit/restore', id });
+  const removeUnit = (id) => dispatch({ type: 'unit/remove', id });
   
-  const filteredHeroes = useMemo(() => (safeData.heroes || []).filter(h => h.name.toLowerCase().includes(searchTerm)), [searchTerm, safeData]);
-  const filteredVillains = useMemo(() => (safeData.villains || []).filter(v => v.name.toLowerCase().includes(searchTerm)), [searchTerm, safeData]);
-  const filteredSchemes = useMemo(() => { let list = safeData.schemes || []; if (schemeSearch) return list.filter(s => s.name.toLowerCase().includes(schemeSearch.toLowerCase())).slice(0, 50); if (villain.set_code) list = [...list].sort((a, b) => (a.set_code === villain.set_code ? -1 : 1)); return list.slice(0, 50); }, [schemeSearch, villain.set_code, safeData]);
-  const getFilteredList = (list) => { if (!list) return []; let filtered = list.filter(item => item.name.toLowerCase().includes(summonTerm)); if (!summonTerm && listSeed > 0) filtered = [...filtered].sort(() => Math.random() - 0.5); return filtered.slice(0, 20); };
+  const ownedHeroes = useMemo(() => filterOwned(safeData.heroes || [], collection), [collection]);
+  const ownedVillains = useMemo(() => filterOwned(safeData.villains || [], collection), [collection]);
+  const ownedSchemes = useMemo(() => filterOwned(safeData.schemes || [], collection), [collection]);
+  const summonCards = useMemo(() => filterOwned((activeTab === 'minions' ? safeData.minions : activeTab === 'allies' ? safeData.allies : safeData.side_schemes) || [], collection), [activeTab, collection]);
+  const filteredHeroes = useMemo(() => searchCards(ownedHeroes, setupQuery, safeData, language), [ownedHeroes, setupQuery, language]);
+  // Members of a multi-villain scenario are picked as their group, never alone.
+  const allGroups = useMemo(() => villainGroups(safeData), []);
+  // A group is listed when its name or any of its villains matches.
+  const filteredGroups = useMemo(() => allGroups.filter(g => filterOwned(g.villains, collection).length === g.villains.length && searchCards([{ name: g.name }, ...g.villains], setupQuery, safeData, language).length > 0), [allGroups, setupQuery, collection, language]);
+  const filteredVillains = useMemo(() => { const grouped = groupedVillainCodes(allGroups); return searchCards(ownedVillains.filter(v => !grouped.has(v.code)), setupQuery, safeData, language); }, [allGroups, ownedVillains, setupQuery, language]);
+  const filteredSchemes = useMemo(() => { if (!isEmptyQuery(schemeQuery)) return searchCards(ownedSchemes, schemeQuery, safeData, language).slice(0, 50); let list = ownedSchemes; if (villain.set_code) list = [...list].sort((a, b) => (a.set_code === villain.set_code ? -1 : 1)); return list.slice(0, 50); }, [schemeQuery, villain.set_code, ownedSchemes, language]);
+  const getFilteredList = () => { let filtered = searchCards(summonCards, summonQuery, safeData, language); if (isEmptyQuery(summonQuery) && listSeed > 0) filtered = [...filtered].sort(() => Math.random() - 0.5); return filtered.slice(0, 20); };
+  const villainPress = useLongPress(() => { if (villain.code) setDetailCard(villain); });
+  const schemePress = useLongPress(() => { if (mainScheme.code) setDetailCard(mainScheme); });
 
   const sideSchemes = units.filter(u => u.type === 'side_scheme');
   const minions = units.filter(u => u.type === 'minion');
   const allies = units.filter(u => u.type === 'ally');
+  const heroSlots = resizeHeroes(heroes, playerCount);
+  const compactHeroes = playerCount > 1;
+  const heroPanels = heroSlots.map((h, i) => <HeroPanel key={i} hero={h} slot={i} isFirst={playerCount > 1 && firstPlayer === i} compact={compactHeroes && !tableLayout} allies={allies.filter(u => (u.owner || 0) === i)} onHp={modHeroHp} onToggle={toggleHeroStatus} onTokens={(slot) => setTokenTarget({ kind: 'hero', slot })} onFlip={flipHero} onMechanic={changeMechanic} onUnitDamage={modUnitVal} onUnitDefeat={removeUnit} onUnitRestore={restoreUnit} onUnitTokens={openUnitTokens} onUnitDetails={setDetailCard} />);
 
   return (
-    <div className="min-h-screen bg-[#050508] text-white font-sans p-3 pb-24 max-w-xl mx-auto overflow-x-hidden relative selection:bg-red-500 selection:text-white">
+    <div className={`min-h-screen bg-[#050508] text-white font-sans p-3 pb-24 ${tableLayout ? 'max-w-none lg:px-6' : 'max-w-xl'} mx-auto overflow-x-hidden relative selection:bg-red-500 selection:text-white`}>
       <div className="fixed inset-0 z-0 pointer-events-none">
         <div className="absolute top-[-20%] left-[-20%] w-[80%] h-[50%] bg-blue-900/10 rounded-full blur-[120px] animate-pulse" />
         <div className="absolute bottom-[-20%] right-[-20%] w-[80%] h-[50%] bg-red-900/10 rounded-full blur-[120px] animate-pulse" style={{ animationDelay: '2s' }} />
-        <div className="absolute inset-0 bg-[url('https://www.transparenttextures.com/patterns/carbon-fibre.png')] opacity-10 mix-blend-overlay" />
+        <div className="absolute inset-0 opacity-10 mix-blend-overlay" style={{ backgroundImage: `url(${BACKGROUND_TEXTURE})` }} />
       </div>
 
       <header className="flex justify-between items-center mb-4 z-50 relative">
         <div><h1 className="text-xl font-black italic tracking-tighter text-white drop-shadow-xl">MARVEL <span className="text-transparent bg-clip-text bg-gradient-to-r from-red-500 to-red-600">CHAMPIONS</span></h1></div>
         <div className="flex items-center gap-2">
-          <div className="text-[10px] font-bold text-gray-400 bg-gray-900/80 border border-white/10 px-2 py-1 rounded-lg font-mono shadow-inner">RND <span className="text-white">{round}</span></div>
+          <div className="flex bg-gray-900/80 border border-white/10 rounded-lg overflow-hidden shadow-inner">
+            <button onClick={undoAction} disabled={log.cursor === 0} className="p-1.5 text-gray-400 hover:text-white disabled:opacity-30 transition-colors"><Undo2 size={14} /></button>
+            <button onClick={redoAction} disabled={log.cursor >= log.actions.length} className="p-1.5 text-gray-400 hover:text-white disabled:opacity-30 transition-colors"><Redo2 size={14} /></button>
+            <button onClick={() => setShowHistory(true)} className="p-1.5 text-gray-400 hover:text-white border-l border-white/10 transition-colors"><History size={14} /></button>
+          </div>
+          <button onClick={() => setShowSync(true)} className={`p-2 rounded-lg border transition-colors shadow-lg ${sync.session ? (sync.status.synced && sync.status.relay !== 'error' ? 'bg-green-900/30 border-green-500/30 hover:bg-green-900/50' : 'bg-yellow-900/30 border-yellow-500/30 hover:bg-yellow-900/50') : 'bg-gray-800 border-white/5 hover:bg-gray-700'}`}><Radio size={16} className={sync.session ? (sync.status.synced ? 'text-green-400' : 'text-yellow-400 animate-pulse') : 'text-gray-400'} /></button>
+          <button onClick={() => setShowStats(true)} className="p-2 bg-gray-800 rounded-lg hover:bg-gray-700 border border-white/5 transition-colors shadow-lg"><BarChart3 size={16} className="text-gray-400"/></button>
+          <button onClick={() => setLayout(tableLayout ? 'phone' : 'table')} title={tableLayout ? 'Phone layout' : 'Table display'} className={`p-2 rounded-lg border transition-colors shadow-lg ${tableLayout ? 'bg-blue-900/30 border-blue-500/30 hover:bg-blue-900/50' : 'bg-gray-800 border-white/5 hover:bg-gray-700'}`}><Monitor size={16} className={tableLayout ? 'text-blue-400' : 'text-gray-400'} /></button>
+          {tableLayout && <button onClick={() => window.open(`${window.location.pathname}?view=spectator`, 'mc_spectator', 'popup')} title="Spectator view" className="p-2 bg-gray-800 rounded-lg hover:bg-gray-700 border border-white/5 transition-colors shadow-lg"><Tv size={16} className="text-gray-400"/></button>}
+          <button onClick={() => setTimelineView({ title: `${villainTitle(game)} · round ${round}`, timeline: buildTimeline(log) })} className="text-[10px] font-bold text-gray-400 bg-gray-900/80 border border-white/10 px-2 py-1 rounded-lg font-mono shadow-inner hover:text-white hover:border-white/30 transition-colors">RND <span className="text-white">{round}</span></button>
           <button onClick={openSetup} className="p-2 bg-gray-800 rounded-lg hover:bg-gray-700 border border-white/5 transition-colors shadow-lg"><Settings size={16} className="text-gray-400"/></button>
         </div>
       </header>
 
       <AnimatePresence>
-        {showSchemeComplete && (
-          <motion.div variants={modalVariants} initial="hidden" animate="visible" exit="exit" className="fixed inset-0 z-[130] bg-black/95 backdrop-blur-md flex items-center justify-center p-4">
-            <div className="bg-gray-900 border border-red-500/50 rounded-2xl p-6 w-full max-w-sm shadow-[0_0_50px_rgba(220,38,38,0.2)] text-center relative overflow-hidden">
-                <div className="absolute top-0 left-0 w-full h-1 bg-gradient-to-r from-red-600 to-yellow-500" />
-                <AlertTriangle size={48} className="text-red-500 mx-auto mb-4 animate-bounce" />
-                <h2 className="text-2xl font-black text-white mb-2 uppercase tracking-tight">Scheme Completed!</h2>
-                <p className="text-gray-400 text-sm mb-6">The main scheme has reached its target threat level.</p>
-                <div className="flex flex-col gap-3">
-                    <TactileButton onClick={() => { setShowSchemeComplete(false); setShowSchemeSelect(true); }} color="bg-yellow-600 hover:bg-yellow-500" className="w-full">SELECT NEXT STAGE</TactileButton>
-                    <button onClick={() => setShowSchemeComplete(false)} className="text-gray-500 text-xs font-bold uppercase tracking-widest hover:text-white py-2">Dismiss / Game Over</button>
-                </div>
-            </div>
-          </motion.div>
-        )}
+        {endScreen && <EndGameModal outcome={endScreen} onRematch={startRematch} onPickScheme={() => { setEndScreen(null); setShowSchemeSelect(true); }} onDismiss={() => setEndScreen(null)} />}
       </AnimatePresence>
 
       <AnimatePresence>
@@ -297,26 +1571,39 @@ export default function App() {
           <motion.div variants={modalVariants} initial="hidden" animate="visible" exit="exit" className="fixed inset-0 z-[100] bg-black/95 backdrop-blur-md flex items-center justify-center p-3">
             <div className="w-full max-w-lg h-[90vh] flex flex-col relative">
               <div className="flex justify-between items-center mb-4">
-                <h2 className="font-black text-2xl text-white tracking-tight">SETUP</h2>
+                <h2 className="font-black text-2xl text-white tracking-tight">{t('SETUP')}</h2>
                 <div className="flex gap-2">
+                    <button onClick={() => setShowSlots(true)} className="p-2 bg-gray-800 text-gray-300 rounded-lg border border-white/5 hover:bg-gray-700 flex items-center gap-1.5 max-w-[8rem]"><Save size={16} className="shrink-0" /><span className="text-[10px] font-black uppercase tracking-wider truncate">{activeSlot.name}</span></button>
+                    <button onClick={() => setShowCampaign(true)} className={`p-2 rounded-lg border hover:bg-gray-700 ${campaign ? 'bg-yellow-900/30 text-yellow-400 border-yellow-500/20' : 'bg-gray-800 text-gray-400 border-white/5'}`}><ScrollText size={16} /></button>
+                    <button onClick={() => setShowStorage(true)} className="p-2 bg-gray-800 text-gray-400 rounded-lg border border-white/5 hover:bg-gray-700"><HardDrive size={16} /></button>
+                    <button onClick={() => setShowCollection(true)} className={`p-2 rounded-lg border hover:bg-gray-700 ${collection ? 'bg-blue-900/30 text-blue-400 border-blue-500/20' : 'bg-gray-800 text-gray-400 border-white/5'}`}><Package size={16} /></button>
                     <button onClick={resetGame} className="p-2 bg-red-900/30 text-red-500 rounded-lg border border-red-500/20 hover:bg-red-900/50"><RefreshCw size={16} /></button>
-                    <TactileButton onClick={() => setShowSetup(false)} color="bg-gradient-to-r from-green-600 to-green-500" size="small">START</TactileButton>
+                    <TactileButton onClick={() => setShowSetup(false)} color="bg-gradient-to-r from-green-600 to-green-500" size="small">{t('START')}</TactileButton>
                 </div>
               </div>
               <div className="bg-gray-900/50 p-3 rounded-xl border border-white/10 mb-4 backdrop-blur-sm">
-                <div className="text-gray-500 text-[10px] font-bold uppercase tracking-widest mb-2">Team Size</div>
-                <div className="flex gap-2">{[1,2,3,4].map(n => <button key={n} onClick={()=>setPlayerCount(n)} className={`flex-1 py-2 rounded-lg font-black text-xs transition-all border ${playerCount===n ? 'bg-blue-600 border-blue-400 text-white shadow-lg' : 'bg-black/40 border-transparent text-gray-600'}`}>{n}</button>)}</div>
+                <div className="text-gray-500 text-[10px] font-bold uppercase tracking-widest mb-2">{t('Team Size')}</div>
+                <div className="flex gap-2">{[1,2,3,4].map(n => <button key={n} onClick={()=>changePlayerCount(n)} className={`flex-1 py-2 rounded-lg font-black text-xs transition-all border ${playerCount===n ? 'bg-blue-600 border-blue-400 text-white shadow-lg' : 'bg-black/40 border-transparent text-gray-600'}`}>{n}</button>)}</div>
+                <div className="text-gray-500 text-[10px] font-bold uppercase tracking-widest mb-2 mt-3">{t('Difficulty')}</div>
+                <div className="flex gap-2">{Object.entries(DIFFICULTY_MODES).map(([mode, cfg]) => <button key={mode} onClick={()=>changeDifficulty({ mode })} className={`flex-1 py-2 rounded-lg font-black text-xs uppercase transition-all border ${difficulty.mode===mode ? 'bg-red-600 border-red-400 text-white shadow-lg' : 'bg-black/40 border-transparent text-gray-600'}`}>{t(cfg.label)} <span className="opacity-60 font-mono">{cfg.stages.map(i => ["I", "II", "III"][i]).join('→')}</span></button>)}</div>
+                <div className="flex gap-2 mt-2 items-center"><span className="text-[10px] font-bold uppercase tracking-widest text-gray-500 w-14">{t('Heroic')}</span>{[0,1,2,3,4].map(n => <button key={n} onClick={()=>changeDifficulty({ heroic: n })} className={`flex-1 py-1.5 rounded-lg font-black text-xs transition-all border ${difficulty.heroic===n ? 'bg-purple-600 border-purple-400 text-white shadow-lg' : 'bg-black/40 border-transparent text-gray-600'}`}>{n === 0 ? t('OFF') : n}</button>)}</div>
+                <div className="flex gap-2 mt-2 items-center"><span className="text-[10px] font-bold uppercase tracking-widest text-gray-500 w-14">{t('Language')}</span>{LANGUAGES.map(l => <button key={l.code} onClick={() => changeLanguage(l.code)} title={l.label} className={`flex-1 py-1.5 rounded-lg font-black text-xs uppercase transition-all border ${language === l.code ? 'bg-blue-600 border-blue-400 text-white shadow-lg' : 'bg-black/40 border-transparent text-gray-600'}`}>{l.code}</button>)}</div>
+                {!hasCardTranslations(safeData, language) && <div className="text-[10px] text-gray-500 mt-1.5">{t('Card names stay in English until the card data is fetched with its translations.')}</div>}
               </div>
               <div className="flex gap-2 mb-4 p-1 bg-gray-900 rounded-lg border border-white/10">
-                <button onClick={() => setSetupTab('heroes')} className={`flex-1 py-2 rounded-md text-xs font-black uppercase tracking-wider transition-all ${setupTab === 'heroes' ? 'bg-blue-600 text-white shadow-lg' : 'text-gray-500 hover:text-white'}`}>HEROES</button>
-                <button onClick={() => setSetupTab('villains')} className={`flex-1 py-2 rounded-md text-xs font-black uppercase tracking-wider transition-all ${setupTab === 'villains' ? 'bg-red-600 text-white shadow-lg' : 'text-gray-500 hover:text-white'}`}>VILLAINS</button>
+                <button onClick={() => switchSetupTab('heroes')} className={`flex-1 py-2 rounded-md text-xs font-black uppercase tracking-wider transition-all ${setupTab === 'heroes' ? 'bg-blue-600 text-white shadow-lg' : 'text-gray-500 hover:text-white'}`}>{t('HEROES')}</button>
+                <button onClick={() => switchSetupTab('villains')} className={`flex-1 py-2 rounded-md text-xs font-black uppercase tracking-wider transition-all ${setupTab === 'villains' ? 'bg-red-600 text-white shadow-lg' : 'text-gray-500 hover:text-white'}`}>{t('VILLAINS')}</button>
+                <button onClick={() => setShowRandomizer(true)} className="px-3 py-2 rounded-md text-gray-500 hover:text-white hover:bg-gray-800 transition-all"><Dice5 size={14} /></button>
               </div>
-              <div className="relative mb-4"><Search size={16} className="absolute left-3 top-3 text-gray-500" /><input type="text" placeholder="Search..." value={searchTerm} className="w-full bg-black/40 border border-white/10 rounded-xl py-2.5 pl-10 pr-4 text-base text-white focus:border-blue-500 outline-none" onChange={e=>setSearchTerm(e.target.value.toLowerCase())}/></div>
+              {setupTab === 'heroes' && playerCount > 1 && (
+                <div className="grid grid-cols-4 gap-2 mb-4">{heroSlots.map((h, i) => <button key={i} onClick={() => setHeroSlot(i)} className={`p-2 rounded-lg text-left transition-all border ${heroSlot === i ? 'border-blue-500 bg-blue-900/20' : 'border-white/5 bg-gray-900/40'}`}><div className="text-[9px] font-black font-mono text-gray-500">P{i + 1}</div><div className={`text-[10px] font-bold truncate ${h.code ? 'text-white' : 'text-gray-600'}`}>{cardName(h)}</div></button>)}</div>
+              )}
+              <CardSearch key={setupTab} query={setupQuery} onChange={setSetupQuery} cards={setupTab === 'heroes' ? ownedHeroes : ownedVillains} />
               <div className="flex-1 overflow-y-auto space-y-4 pr-1 custom-scrollbar">
                 {setupTab === 'heroes' ? (
-                  <section><div className="grid grid-cols-2 gap-2">{filteredHeroes.map(h => <motion.button key={h.name} onClick={()=>setHero({ ...h, hp: h.hp, maxHp: h.hp, status: [] })} className={`p-3 rounded-lg text-left text-xs font-bold transition-all border ${hero.name===h.name ? 'border-blue-500 bg-blue-900/20 text-white' : 'border-white/5 bg-gray-900/40 text-gray-400'}`}>{h.name}</motion.button>)}</div></section>
+                  <section><div className="grid grid-cols-2 gap-2">{filteredHeroes.map(h => <motion.button key={h.name} onClick={()=>selectHero(h)} className={`p-3 rounded-lg text-left text-xs font-bold transition-all border ${heroSlots[heroSlot]?.name===h.name ? 'border-blue-500 bg-blue-900/20 text-white' : heroSlots.some(p => p.name === h.name) ? 'border-blue-500/30 bg-blue-900/10 text-gray-300' : 'border-white/5 bg-gray-900/40 text-gray-400'}`}>{cardName(h)}</motion.button>)}</div></section>
                 ) : (
-                  <section><div className="grid grid-cols-2 gap-2">{filteredVillains.map(v => <motion.button key={v.name} onClick={()=>selectVillain(v)} className={`p-3 rounded-lg text-left text-xs font-bold transition-all border ${villain.name===v.name ? 'border-red-500 bg-red-900/20 text-white' : 'border-white/5 bg-gray-900/40 text-gray-400'}`}>{v.name}</motion.button>)}</div></section>
+                  <section><div className="grid grid-cols-2 gap-2">{filteredGroups.map(g => <motion.button key={g.name} onClick={()=>selectVillainGroup(g)} className={`col-span-2 p-3 rounded-lg text-left text-xs font-bold transition-all border ${multiVillain && villain.group===g.name ? 'border-red-500 bg-red-900/20 text-white' : 'border-white/5 bg-gray-900/40 text-gray-400'}`}><div className="flex items-center gap-1.5"><Users size={12} />{g.name}</div><div className="text-[10px] font-normal text-gray-500 mt-0.5">{g.villains.map(cardName).join(' · ')}</div></motion.button>)}{filteredVillains.map(v => <motion.button key={v.code} onClick={()=>selectVillain(v)} className={`p-3 rounded-lg text-left text-xs font-bold transition-all border ${!multiVillain && villain.name===v.name ? 'border-red-500 bg-red-900/20 text-white' : 'border-white/5 bg-gray-900/40 text-gray-400'}`}>{cardName(v)}</motion.button>)}</div></section>
                 )}
               </div>
             </div>
@@ -329,49 +1616,57 @@ export default function App() {
           <motion.div variants={modalVariants} initial="hidden" animate="visible" exit="exit" className="fixed inset-0 z-[120] bg-black/90 backdrop-blur-xl flex items-center justify-center p-3">
             <div className="w-full max-w-lg h-[90vh] bg-gray-900 border border-gray-700 rounded-2xl p-4 flex flex-col shadow-2xl relative overflow-hidden">
               <div className="absolute top-0 left-0 w-full h-1 bg-gradient-to-r from-yellow-600 to-yellow-300" />
-              <div className="flex justify-between items-center mb-4"><h2 className="font-black text-xl text-yellow-500 uppercase tracking-tighter">Main Scheme</h2><button onClick={()=>setShowSchemeSelect(false)}><X className="text-gray-400" size={18}/></button></div>
-              <div className="relative mb-4"><Search size={16} className="absolute left-3 top-3 text-gray-500" /><input type="text" placeholder="Search..." className="w-full bg-black/50 border border-white/10 rounded-xl py-2.5 pl-10 pr-4 text-base text-white focus:border-yellow-500 outline-none" value={schemeSearch} onChange={e=>setSchemeSearch(e.target.value)}/></div>
-              <div className="flex-1 overflow-y-auto space-y-2 pr-1 custom-scrollbar">{filteredSchemes.map(s => <motion.button key={s.code} onClick={()=>selectScheme(s)} className="w-full text-left p-3 bg-gray-800/50 rounded-lg border border-white/5 hover:bg-gray-700 hover:border-yellow-500/50 flex justify-between items-center group transition-all"><div><span className="font-bold text-sm text-white group-hover:text-yellow-400 transition-colors block mb-0.5">{s.name}</span><div className="flex gap-2 text-[9px] text-gray-500 font-mono"><span className="bg-black/30 px-1 py-0.5 rounded">TGT: {s.target}/p</span></div></div><ChevronRight size={14} className="text-gray-600 group-hover:text-yellow-500" /></motion.button>)}</div>
+              <div className="flex justify-between items-center mb-4"><h2 className="font-black text-xl text-yellow-500 uppercase tracking-tighter">{t('Main Scheme')}</h2><button onClick={()=>setShowSchemeSelect(false)}><X className="text-gray-400" size={18}/></button></div>
+              <CardSearch query={schemeQuery} onChange={setSchemeQuery} cards={ownedSchemes} accent="focus:border-yellow-500" />
+              <div className="flex-1 overflow-y-auto space-y-2 pr-1 custom-scrollbar">{filteredSchemes.map(s => <motion.button key={s.code} onClick={()=>selectScheme(s)} className="w-full text-left p-3 bg-gray-800/50 rounded-lg border border-white/5 hover:bg-gray-700 hover:border-yellow-500/50 flex justify-between items-center group transition-all"><div><span className="font-bold text-sm text-white group-hover:text-yellow-400 transition-colors block mb-0.5">{cardName(s)}</span><div className="flex gap-2 text-[9px] text-gray-500 font-mono"><span className="bg-black/30 px-1 py-0.5 rounded">INIT: {s.init}{s.fixed ? '' : '/p'}</span><span className="bg-black/30 px-1 py-0.5 rounded">TGT: {s.target}{s.target_fixed ? '' : '/p'}</span></div></div><ChevronRight size={14} className="text-gray-600 group-hover:text-yellow-500" /></motion.button>)}</div>
             </div>
           </motion.div>
         )}
       </AnimatePresence>
 
-      <div className="flex flex-col gap-3 relative z-10">
-        <motion.section animate={villainControls} variants={shakeVariant} className={`relative rounded-2xl overflow-hidden shadow-2xl border bg-gray-900 min-h-[140px] flex flex-col justify-end transition-all duration-500 ${getStatusStyles(villain.status)}`}>
-          {villain.code ? (<><div className="absolute inset-0 bg-red-900/20 mix-blend-multiply" /><img src={getCardImage(villain.code)} className="absolute inset-0 w-full h-full object-cover object-[center_20%] opacity-60 mix-blend-overlay" alt="" /><div className="absolute inset-0 bg-gradient-to-t from-[#050508] via-[#050508]/80 to-transparent" /></>) : (<div className="absolute inset-0 bg-red-900/10 flex items-center justify-center mask-gradient-b"><Hexagon size={80} className="text-red-900/20 opacity-50" /></div>)}
-          <div className="relative z-10 p-3 pt-12">
-            <div className="flex justify-between items-end mb-3">
-              <div><h2 className="text-2xl font-black uppercase text-transparent bg-clip-text bg-gradient-to-br from-red-500 to-white drop-shadow-sm leading-none">{villain.name}</h2><div className="flex gap-1 mt-1.5">{[0, 1, 2].map((stage, idx) => <button key={stage} onClick={() => setStage(idx)} className={`text-[9px] font-black tracking-wider px-2 py-0.5 rounded border transition-all ${villain.stageIdx === idx ? 'bg-red-600 border-red-400 text-white shadow-[0_0_10px_rgba(220,38,38,0.5)]' : 'bg-black/60 border-white/10 text-gray-500'}`}>{["I", "II", "III"][idx]}</button>)}</div></div>
-              <div className="flex gap-1">{['stunned', 'confused', 'tough'].map(s => (<StatusToggle key={s} type={s} active={villain.status.includes(s)} onToggle={() => toggleStatus(setVillain, s)} />))}</div>
-            </div>
-            <StatDial label="Villain HP" value={villain.hp} max={villain.maxHp} onChange={(v) => modVillainHp(v)} icon={<Skull size={10} className="text-red-500"/>} />
-          </div>
-        </motion.section>
+      {/* The table display puts the board in the middle and the heroes down both sides. */}
+      <div className={tableLayout ? 'grid grid-cols-[minmax(0,1fr)_minmax(0,1.5fr)_minmax(0,1fr)] gap-4 items-start relative z-10' : 'flex flex-col gap-3 relative z-10'}>
+        {tableLayout && <div className="flex flex-col gap-3">{heroPanels.filter((_, i) => i % 2 === 0)}</div>}
+        <div className="flex flex-col gap-3">
+          {multiVillain ? (
+            <motion.section animate={villainControls} variants={shakeVariant}>
+              <div className="flex items-center justify-between mb-2 px-1"><h2 className="text-lg font-black uppercase text-transparent bg-clip-text bg-gradient-to-br from-red-500 to-white leading-none">{villainTitle(game)}</h2><div className="flex items-center gap-1.5">{difficulty.heroic > 0 && <span className="text-[9px] font-black tracking-wider px-2 py-0.5 rounded border bg-purple-900/60 border-purple-500/50 text-purple-200">H{difficulty.heroic}</span>}<span className="text-[9px] font-bold uppercase tracking-widest text-gray-500">{t('Defeated')} <span className="text-white">{villainList.filter(isVillainDefeated).length}/{villainList.length}</span></span></div></div>
+              <div className="grid grid-cols-2 gap-2">{villainList.map((v, slot) => <VillainCard key={v.code} villain={v} onDamage={(n) => modVillainHp(n, slot)} onStage={(idx) => setStage(idx, slot)} onStatus={(type) => toggleVillainStatus(type, slot)} onTokens={() => setTokenTarget({ kind: 'villain', slot })} onDetails={setDetailCard} />)}</div>
+            </motion.section>
+          ) : (
+            <motion.section animate={villainControls} variants={shakeVariant} {...villainPress} className={`relative rounded-2xl overflow-hidden shadow-2xl border bg-gray-900 min-h-[140px] flex flex-col justify-end transition-all duration-500 ${getStatusStyles(villain.status)}`}>
+              {villain.code ? (<><div className="absolute inset-0 bg-red-900/20 mix-blend-multiply" /><img src={getCardImage((villain.stage_codes && villain.stage_codes[villain.stageIdx]) || villain.code)} className="absolute inset-0 w-full h-full object-cover object-[center_20%] opacity-60 mix-blend-overlay" alt="" /><div className="absolute inset-0 bg-gradient-to-t from-[#050508] via-[#050508]/80 to-transparent" /></>) : (<div className="absolute inset-0 bg-red-900/10 flex items-center justify-center mask-gradient-b"><Hexagon size={80} className="text-red-900/20 opacity-50" /></div>)}
+              <div className="relative z-10 p-3 pt-12">
+                <div className="flex justify-between items-end mb-3">
+                  <div><h2 className="text-2xl font-black uppercase text-transparent bg-clip-text bg-gradient-to-br from-red-500 to-white drop-shadow-sm leading-none">{cardName(villain)}</h2><div className="flex gap-1 mt-1.5">{(villain.stages && villain.stages.length > 0 ? villain.stages : [0, 0, 0]).slice(0, 3).map((stage, idx) => <button key={idx} onClick={() => setStage(idx)} className={`text-[9px] font-black tracking-wider px-2 py-0.5 rounded border transition-all ${villain.stageIdx === idx ? 'bg-red-600 border-red-400 text-white shadow-[0_0_10px_rgba(220,38,38,0.5)]' : 'bg-black/60 border-white/10 text-gray-500'} ${villain.stageRange && (idx < villain.stageRange[0] || idx > villain.stageRange[1]) ? 'opacity-30' : ''}`}>{["I", "II", "III"][idx]}</button>)}{difficulty.heroic > 0 && <span className="text-[9px] font-black tracking-wider px-2 py-0.5 rounded border bg-purple-900/60 border-purple-500/50 text-purple-200">H{difficulty.heroic}</span>}</div></div>
+                  <div className="flex gap-1">{QUICK_STATUSES.map(s => (<StatusToggle key={s} type={s} active={villain.status.includes(s)} onToggle={() => toggleVillainStatus(s)} />))}{villain.code && <button onClick={() => setTokenTarget({ kind: 'villain' })} className="p-1.5 rounded-md text-gray-400 hover:text-white bg-gray-800 border border-white/20"><Tags size={12} /></button>}</div>
+                </div>
+                <TokenBadges card={villain} skip={QUICK_STATUSES} />
+                <StatDial label={t('Villain HP')} value={villain.hp} max={villain.maxHp + hpBonus(villain)} onChange={(v) => modVillainHp(v)} icon={<Skull size={10} className="text-red-500"/>} />
+              </div>
+            </motion.section>
+          )}
 
-        <motion.section animate={schemeControls} variants={shakeVariant} className="relative">
-          <div className="bg-gray-900/80 border border-yellow-500/30 rounded-xl p-1 backdrop-blur-xl relative overflow-hidden">
-            <div className="p-3 flex items-center justify-between gap-3">
-              <div className="flex-1 min-w-0"><div className="flex items-center gap-2 mb-0.5 cursor-pointer group" onClick={() => { setSchemeSearch(""); setShowSchemeSelect(true); }}><h3 className="text-yellow-400 font-bold text-sm leading-tight truncate group-hover:text-white transition-colors">{mainScheme.name}</h3><Settings size={12} className="text-yellow-600 group-hover:text-yellow-400 transition-colors" /></div><div className="flex gap-2 text-[9px] uppercase font-bold tracking-widest text-gray-500"><span className="flex items-center gap-1"><Crosshair size={8}/> <span className="text-white">{mainScheme.target}</span></span><span className="flex items-center gap-1"><Activity size={8}/> <span className="text-white">+{mainScheme.accel}</span></span></div></div>
-              <div className="flex items-center gap-2 bg-black/40 rounded-lg p-1 border border-white/5"><TactileButton onClick={() => modThreat(-1)} color="bg-gray-800" className="w-8 h-8 !p-0"><Minus size={14}/></TactileButton><span className="text-xl font-black text-yellow-500 w-8 text-center tabular-nums">{mainScheme.threat}</span><TactileButton onClick={() => modThreat(1)} color="bg-gray-800" className="w-8 h-8 !p-0"><Plus size={14}/></TactileButton></div>
+          <motion.section animate={schemeControls} variants={shakeVariant} className="relative">
+            <div {...schemePress} className="bg-gray-900/80 border border-yellow-500/30 rounded-xl p-1 backdrop-blur-xl relative overflow-hidden">
+              <div className="p-3 flex items-center justify-between gap-3">
+                <div className="flex-1 min-w-0"><div className="flex items-center gap-2 mb-0.5 cursor-pointer group" onClick={() => { setSchemeQuery(EMPTY_QUERY); setShowSchemeSelect(true); }}><h3 className="text-yellow-400 font-bold text-sm leading-tight truncate group-hover:text-white transition-colors">{cardName(mainScheme)}</h3><Settings size={12} className="text-yellow-600 group-hover:text-yellow-400 transition-colors" /></div><div className="flex gap-2 text-[9px] uppercase font-bold tracking-widest text-gray-500"><span className="flex items-center gap-1"><Crosshair size={8}/> <span className="text-white">{mainScheme.target}</span></span><span className="flex items-center gap-1"><Activity size={8}/> <span className="text-white">+{mainScheme.accel}</span></span>{crisis && <span className="flex items-center gap-1 text-red-500"><AlertOctagon size={8} fill="currentColor"/> {t('Crisis')}</span>}{mainScheme.stages && mainScheme.stages.length > 1 && <span className="flex items-center gap-1">STG <span className="text-white">{mainScheme.stageIdx + 1}/{mainScheme.stages.length}</span></span>}</div></div>
+                <div className="flex items-center gap-2 bg-black/40 rounded-lg p-1 border border-white/5"><TactileButton onClick={() => modThreat(-1)} disabled={crisis} color="bg-gray-800" className="w-8 h-8 !p-0"><Minus size={14}/></TactileButton><span className="text-xl font-black text-yellow-500 w-8 text-center tabular-nums">{mainScheme.threat}</span><TactileButton onClick={() => modThreat(1)} color="bg-gray-800" className="w-8 h-8 !p-0"><Plus size={14}/></TactileButton></div>
+              </div>
             </div>
-          </div>
-        </motion.section>
+          </motion.section>
 
-        <div className="grid grid-cols-3 gap-2">
-            <AnimatePresence>{sideSchemes.map(u => <UnitCard key={u.id} unit={u} type="side_scheme" onDamage={modUnitVal} onDefeat={removeUnit} onRestore={restoreUnit} />)}{minions.map(u => <UnitCard key={u.id} unit={u} type="minion" onDamage={modUnitVal} onDefeat={removeUnit} onRestore={restoreUnit} />)}</AnimatePresence>
-        </div>
+          <PhasePanel state={game} now={now} turnLimit={turnLimit} onTurnLimit={setTurnLimit} />
 
-        <div className="pt-4 border-t border-white/10 relative">
-          {allies.length > 0 && <div className="grid grid-cols-3 gap-2 mb-3">{allies.map(u => <UnitCard key={u.id} unit={u} type="ally" onDamage={modUnitVal} onDefeat={removeUnit} onRestore={restoreUnit} />)}</div>}
-          <motion.section animate={heroControls} variants={shakeVariant} className={`relative rounded-2xl overflow-hidden shadow-2xl border bg-gray-900 min-h-[140px] flex flex-col justify-end p-3 transition-all duration-500 ${getStatusStyles(hero.status)}`}>
-            {hero.code ? (<><div className="absolute inset-0 bg-blue-900/20 mix-blend-multiply" /><img src={getCardImage(hero.code)} className="absolute inset-0 w-full h-full object-cover object-[center_20%] opacity-50 mix-blend-overlay" alt="" /><div className="absolute inset-0 bg-gradient-to-t from-[#050508] via-[#050508]/60 to-transparent" /></>) : (<div className="absolute inset-0 bg-blue-900/10 flex items-center justify-center mask-gradient-t"><Hexagon size={80} className="text-blue-900/20 opacity-50" /></div>)}
-            <div className="relative z-10">
-              <div className="flex justify-between items-end mb-2"><div><h2 className="text-xl font-black uppercase text-transparent bg-clip-text bg-gradient-to-br from-blue-400 to-white leading-none">{hero.name}</h2></div><div className="flex gap-1">{['stunned', 'confused', 'tough'].map(s => (<StatusToggle key={s} type={s} active={hero.status.includes(s)} onToggle={() => toggleStatus(setHero, s)} />))}</div></div>
-              <StatDial label="Hero HP" value={hero.hp} max={hero.maxHp} onChange={(v) => modHeroHp(v)} icon={<Shield size={10} className="text-blue-400"/>} />
-            </div>
-          </motion.section>
+          <EncounterBar encounter={encounter} onDeal={() => drawEncounterCard('encounter/deal')} onBoost={() => drawEncounterCard('encounter/boost')} onBuild={() => setShowEncounterBuilder(true)} />
+
+          <div className={`grid ${tableLayout ? 'grid-cols-4' : 'grid-cols-3'} gap-2`}>
+              <AnimatePresence>{sideSchemes.map(u => <UnitCard key={u.id} unit={u} type="side_scheme" large={tableLayout} onDamage={modUnitVal} onDefeat={removeUnit} onRestore={restoreUnit} onTokens={openUnitTokens} onDetails={setDetailCard} />)}{minions.map(u => <UnitCard key={u.id} unit={u} type="minion" large={tableLayout} onDamage={modUnitVal} onDefeat={removeUnit} onRestore={restoreUnit} onTokens={openUnitTokens} onDetails={setDetailCard} />)}</AnimatePresence>
+          </div>
+
+          {!tableLayout && <div className={`pt-4 border-t border-white/10 relative grid ${compactHeroes ? 'grid-cols-2 gap-2' : 'grid-cols-1'}`}>{heroPanels}</div>}
         </div>
+        {tableLayout && <div className="flex flex-col gap-3">{heroPanels.filter((_, i) => i % 2 === 1)}</div>}
       </div>
 
       <div className="fixed bottom-0 left-0 right-0 p-3 z-50 flex gap-3 justify-center items-end bg-gradient-to-t from-[#050508] via-[#050508]/95 to-transparent h-24">
@@ -379,24 +1674,103 @@ export default function App() {
         <TactileButton onClick={() => setShowSummon(true)} className="!rounded-xl w-12 h-12 !p-0 bg-gray-800 border-white/20 shadow-xl pointer-events-auto">
           <BookOpen size={20} className="text-blue-400" />
         </TactileButton>
-        <TactileButton onClick={advanceGame} color="bg-gradient-to-r from-red-600 to-red-500" className="flex-1 max-w-sm !rounded-xl shadow-red-900/40 shadow-lg border-red-400/30 group !py-3 pointer-events-auto">
-          <div className="flex items-center justify-between w-full px-2">
-            <span className="text-red-200/60 text-[9px] font-bold uppercase tracking-widest">End Phase</span>
-            <span className="text-sm font-black uppercase flex items-center gap-1">Advance <ArrowRightCircle size={16} className="group-hover:translate-x-1 transition-transform"/></span>
+        <TactileButton onClick={advancePhase} color="bg-gradient-to-r from-red-600 to-red-500" className="flex-1 max-w-sm !rounded-xl shadow-red-900/40 shadow-lg border-red-400/30 group !py-3 pointer-events-auto">
+          <div className="flex items-center justify-between w-full px-2 gap-2">
+            <span className="text-red-200/60 text-[9px] font-bold uppercase tracking-widest truncate">{phaseInfo.started ? stepTitle(game, phaseInfo.step) : t('Round {round}', { round })}</span>
+            <span className="text-sm font-black uppercase flex items-center gap-1 shrink-0">{!phaseInfo.started ? t('Start') : phaseInfo.step.kind === 'end' ? t('Next round') : t('Done')} <ArrowRightCircle size={16} className="group-hover:translate-x-1 transition-transform"/></span>
           </div>
         </TactileButton>
       </div>
 
+      <AnimatePresence>
+        {sharedLink && (
+          <motion.div variants={modalVariants} initial="hidden" animate="visible" exit="exit" className="fixed inset-0 z-[130] bg-black/90 backdrop-blur-md flex items-center justify-center p-6">
+            <div className="w-full max-w-xs bg-gray-900 border border-white/10 rounded-2xl p-5 text-center space-y-3">
+              <Link2 size={28} className="mx-auto text-blue-400" />
+              <h2 className="text-lg font-black text-white">{t('Shared board')}</h2>
+              <p className="text-xs text-gray-400">{t('Open it in a new save slot? Your current game stays where it is.')}</p>
+              <div className="flex gap-2"><TactileButton onClick={() => closeSharedLink(false)} color="bg-gray-800" className="flex-1">{t('IGNORE')}</TactileButton><TactileButton onClick={() => closeSharedLink(true)} color="bg-blue-600" className="flex-1">{t('OPEN')}</TactileButton></div>
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+
+      <AnimatePresence>
+        {notices.length > 0 && (
+          <motion.div initial={{ y: -20, opacity: 0 }} animate={{ y: 0, opacity: 1 }} exit={{ y: -20, opacity: 0 }} className="fixed top-16 left-3 right-3 z-[60] max-w-lg mx-auto bg-amber-950/95 border border-amber-500/40 rounded-xl p-3 backdrop-blur-xl shadow-2xl">
+            <div className="flex items-center justify-between mb-1"><span className="text-[10px] font-black uppercase tracking-widest text-amber-300 flex items-center gap-1"><AlertTriangle size={10} /> {t('Saved game partly restored')}</span><button onClick={() => setNotices([])} className="p-0.5 text-amber-300/60 hover:text-white"><X size={12} /></button></div>
+            <ul className="space-y-0.5">{notices.map((n, i) => <li key={i} className="text-[10px] text-amber-100/80">{n}</li>)}</ul>
+          </motion.div>
+        )}
+      </AnimatePresence>
+
+      <AnimatePresence>
+        {roundSummary && <RoundSummary summary={roundSummary} onClose={() => setRoundSummary(null)} />}
+      </AnimatePresence>
+
+      <AnimatePresence>
+        {showEncounterBuilder && <EncounterBuilder requiredSets={requiredEncounterSets(villainList, difficulty)} currentSets={encounter.sets} collection={collection} onBuild={buildEncounterDeck} onClose={() => setShowEncounterBuilder(false)} />}
+      </AnimatePresence>
+
+      <AnimatePresence>
+        {drawnCard && <DrawnCard card={drawnCard} amplify={countIcons(game, 'amplify')} onPlay={drawnTemplate ? () => { addUnit(drawnTemplate, drawnCard.type_code, drawnCard); setDrawnCard(null); } : null} onClose={() => setDrawnCard(null)} />}
+      </AnimatePresence>
+
+      <AnimatePresence>
+        {showSlots && <SaveSlotsScreen index={slotIndex} activeLog={log} game={game} onImport={openSharedGame} onSwitch={switchSlot} onNew={newSlot} onDuplicate={duplicateSlot} onRename={(id, name) => setSlotIndex(prev => renameSlot(prev, id, name))} onDelete={removeSlot} onClose={() => setShowSlots(false)} />}
+      </AnimatePresence>
+
+      <AnimatePresence>
+        {showSync && <SyncScreen sync={sync} relayUrl={relayUrl} onRelayUrl={setRelayUrl} onHost={() => sync.start({ role: 'host', code: newSessionCode(), relayUrl: relayUrl.trim() })} onJoin={joinTable} onClose={() => setShowSync(false)} />}
+      </AnimatePresence>
+
+      <AnimatePresence>
+        {tokenCard && <TokenEditor card={tokenCard} suggestions={attachmentNames} onStatus={toggleTokenStatus} onAttach={(attachment) => dispatch({ type: 'attachment/add', target: tokenTarget, attachment: { ...attachment, id: newUnitId() } })} onDetach={(tokenId) => dispatch({ type: 'attachment/remove', target: tokenTarget, tokenId })} onAddCounter={(name) => dispatch({ type: 'counter/add', target: tokenTarget, counter: { id: newUnitId(), name, value: 1 } })} onCounter={(tokenId, delta) => dispatch({ type: 'counter/val', target: tokenTarget, tokenId, delta })} onRemoveCounter={(tokenId) => dispatch({ type: 'counter/remove', target: tokenTarget, tokenId })} onClose={() => setTokenTarget(null)} />}
+      </AnimatePresence>
+
+      <AnimatePresence>
+        {showStorage && <StorageScreen game={game} onClose={() => setShowStorage(false)} />}
+      </AnimatePresence>
+
+      <AnimatePresence>
+        {detailCard && <CardDetail card={detailCard} onClose={() => setDetailCard(null)} />}
+      </AnimatePresence>
+
+      <AnimatePresence>
+        {showRandomizer && <RandomizerScreen playerCount={playerCount} difficulty={difficulty} collection={collection} records={records} onAccept={acceptRandomGame} onClose={() => setShowRandomizer(false)} />}
+      </AnimatePresence>
+
+      <AnimatePresence>
+        {showCampaign && <CampaignScreen campaign={campaign} heroes={heroes} onBegin={(definition) => setCampaign(newCampaign(definition, heroes))} onChange={setCampaign} onPlay={playScenario} onEnd={() => { setCampaign(null); setShowCampaign(false); }} onClose={() => setShowCampaign(false)} />}
+      </AnimatePresence>
+
+      <AnimatePresence>
+        {showCollection && <CollectionScreen owned={collection} onChange={setCollection} onClose={() => setShowCollection(false)} />}
+      </AnimatePresence>
+
+      <AnimatePresence>
+        {showStats && <StatsScreen records={records} onImport={(text) => { const result = importRecords(records, text); setRecords(result.records); return result; }} onDelete={(id) => setRecords(prev => prev.filter(r => r.id !== id))} onTimeline={(r) => setTimelineView({ title: `${r.heroes.join(', ') || 'No heroes'} vs ${r.villain}`, timeline: r.timeline })} onClose={() => setShowStats(false)} />}
+      </AnimatePresence>
+
+      <AnimatePresence>
+        {timelineView && <TimelineScreen title={timelineView.title} timeline={timelineView.timeline} onClose={() => setTimelineView(null)} />}
+      </AnimatePresence>
+
+      <AnimatePresence>
+        {showHistory && <HistoryDrawer entries={historyEntries} onJump={jumpToAction} onClose={() => setShowHistory(false)} />}
+      </AnimatePresence>
+
       <AnimatePresence>
         {showSummon && (
           <motion.div initial={{ y: "100%" }} animate={{ y: 0 }} exit={{ y: "100%" }} className="fixed bottom-0 left-0 right-0 z-[90] w-full max-w-xl mx-auto bg-[#0a0a0f] border-t border-white/10 rounded-t-2xl p-4 h-[85vh] flex flex-col shadow-2xl">
-            <div className="flex justify-between items-center mb-4"><h2 className="font-black text-xl text-white">REINFORCEMENTS</h2><button onClick={()=>setShowSummon(false)} className="p-1 bg-gray-800 rounded-full"><X className="text-gray-400" size={18}/></button></div>
-            <div className="flex gap-2 mb-4 p-1 bg-gray-900 rounded-lg">{['minions','allies','schemes'].map(t => <button key={t} onClick={()=>setActiveTab(t)} className={`flex-1 py-2 rounded-md text-[10px] font-black uppercase tracking-wider transition-all ${activeTab===t ? 'bg-gray-700 text-white' : 'text-gray-500'}`}>{t}</button>)}</div>
-            <div className="flex gap-2 mb-4"><div className="flex-1 bg-black/50 border border-white/10 rounded-lg flex items-center px-3"><Search size={16} className="text-gray-500 mr-2"/><input className="bg-transparent outline-none w-full text-white py-3" placeholder="Search cards..." onChange={e=>setSummonTerm(e.target.value.toLowerCase())}/></div><button onClick={()=>setListSeed(Math.random())} className="bg-gray-800 w-12 rounded-lg flex items-center justify-center"><Dice5 size={20} className="text-blue-400"/></button></div>
+            <div className="flex justify-between items-center mb-4"><h2 className="font-black text-xl text-white">{t('REINFORCEMENTS')}</h2><button onClick={()=>setShowSummon(false)} className="p-1 bg-gray-800 rounded-full"><X className="text-gray-400" size={18}/></button></div>
+            <div className="flex gap-2 mb-4 p-1 bg-gray-900 rounded-lg">{['minions','allies','schemes'].map(tab => <button key={tab} onClick={()=>switchSummonTab(tab)} className={`flex-1 py-2 rounded-md text-[10px] font-black uppercase tracking-wider transition-all ${activeTab===tab ? 'bg-gray-700 text-white' : 'text-gray-500'}`}>{t(tab)}</button>)}</div>
+            {activeTab === 'allies' && playerCount > 1 && <div className="flex items-center gap-2 mb-4"><span className="text-[10px] font-bold uppercase tracking-widest text-gray-500">{t('For')}</span>{heroSlots.map((h, i) => <button key={i} onClick={() => setAllyOwner(i)} className={`flex-1 py-1.5 rounded-md text-[10px] font-black truncate px-1 border transition-all ${allyOwner === i ? 'bg-blue-600 border-blue-400 text-white' : 'bg-black/40 border-transparent text-gray-500'}`}>{h.code ? cardName(h) : `P${i + 1}`}</button>)}</div>}
+            <CardSearch key={activeTab} query={summonQuery} onChange={setSummonQuery} cards={summonCards}><button onClick={()=>setListSeed(Math.random())} className="bg-gray-800 w-12 rounded-xl flex items-center justify-center"><Dice5 size={20} className="text-blue-400"/></button></CardSearch>
             <div className="flex-1 overflow-y-auto space-y-2 pr-1 custom-scrollbar">
-              {getFilteredList(activeTab === 'minions' ? safeData.minions : activeTab === 'allies' ? safeData.allies : safeData.side_schemes).map((u, i) => (
+              {getFilteredList().map((u, i) => (
                 <motion.button key={u.name} initial={{ opacity: 0, y: 10 }} animate={{ opacity: 1, y: 0 }} onClick={()=>addUnit(u, activeTab === 'minions' ? 'minion' : activeTab === 'allies' ? 'ally' : 'side_scheme')} className={`w-full text-left p-3 bg-gray-800/40 rounded-lg border-l-4 ${activeTab === 'minions' ? 'border-orange-500' : activeTab === 'allies' ? 'border-blue-500' : 'border-yellow-500'} hover:bg-gray-800 transition-colors flex justify-between`}>
-                  <span className="font-bold text-sm">{u.name}</span>
+                  <span className="min-w-0"><span className="font-bold text-sm block truncate">{cardName(u)}</span>{(u.traits || []).length > 0 && <span className="text-[9px] text-gray-500 uppercase tracking-wider">{u.traits.map(traitName).join(' · ')}</span>}</span>
                   <span className="text-[10px] text-gray-500 font-mono bg-black/40 px-1.5 py-0.5 rounded">{activeTab === 'side_scheme' ? `INIT: ${u.init}` : `HP: ${u.hp}`}</span>
                 </motion.button>
               ))}
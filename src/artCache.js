@@ -0,0 +1,76 @@
+import { localCardImage } from './i18n.js';
+
+// --- CARD ART CACHE ---
+// The service worker (vite.config.js) caches every card image the app shows, cache-first.
+// This module fills the same cache ahead of time and reports on it for the storage screen.
+// marvelcdb sends no CORS headers, so images are stored as opaque responses: they display
+// fine offline, but their size can't be read and browsers count each one generously.
+export const CARD_ART_CACHE = 'mc-card-art';
+
+// Translated art, where the card data has it, for the language in use.
+export const getCardImage = (code) => localCardImage(code) || `https://marvelcdb.com/bundles/cards/${code}.png`;
+
+export const BACKGROUND_TEXTURE = 'https://www.transparenttextures.com/patterns/carbon-fibre.png';
+
+export const artCacheAvailable = () => typeof window !== 'undefined' && 'caches' in window;
+
+// Every card the current setup can put on the table: villain and scheme stages, heroes,
+// units in play and the minions in the encounter deck (or the villains' sets before one is built).
+export const scenarioArtCodes = (state, data) => {
+  const { mainScheme, heroes, units } = state;
+  const villains = [state.villain, ...(state.coVillains || [])];
+  const encounter = state.encounter || { deck: [], discard: [] };
+  const deckCards = [...encounter.deck, ...encounter.discard];
+  const setMinions = (data.encounter_cards || []).filter(c => c.type_code === 'minion' && villains.some(v => c.set_code === v.set_code));
+  const codes = [
+    ...villains.flatMap(v => v.stage_codes || [v.code]),
+    ...(mainScheme.stages ? mainScheme.stages.map(s => s.code) : [mainScheme.code]),
+    ...heroes.map(h => h.code),
+    ...units.map(u => u.code),
+    ...(deckCards.length > 0 ? deckCards : setMinions).filter(c => c.type_code === 'minion').map(c => c.code),
+  ];
+  return [...new Set(codes.filter(Boolean))];
+};
+
+// Downloads whatever isn't cached yet, a few at a time, reporting progress as it goes.
+const PARALLEL = 4;
+
+export const precacheArt = async (codes, onProgress) => {
+  const cache = await caches.open(CARD_ART_CACHE);
+  const progress = { done: 0, failed: 0, total: codes.length };
+  const queue = [...codes];
+  const worker = async () => {
+    while (queue.length > 0) {
+      const url = getCardImage(queue.shift());
+      try {
+        if (!(await cache.match(url))) await cache.put(url, await fetch(url, { mode: 'no-cors' }));
+      } catch {
+        progress.failed += 1;
+      }
+      progress.done += 1;
+      onProgress({ ...progress });
+    }
+  };
+  await Promise.all(Array.from({ length: PARALLEL }, worker));
+  try {
+    if (!(await cache.match(BACKGROUND_TEXTURE))) await cache.put(BACKGROUND_TEXTURE, await fetch(BACKGROUND_TEXTURE, { mode: 'no-cors' }));
+  } catch { /* the board works without its texture */ }
+  return progress;
+};
+
+// `usage`/`quota` are the browser's estimate for all of the app's storage, not just card art.
+export const artCacheStats = async () => {
+  const cache = await caches.open(CARD_ART_CACHE);
+  const images = (await cache.keys()).filter(req => req.url !== BACKGROUND_TEXTURE).length;
+  const estimate = navigator.storage && navigator.storage.estimate ? await navigator.storage.estimate() : {};
+  return { images, usage: estimate.usage ?? null, quota: estimate.quota ?? null };
+};
+
+export const clearArtCache = () => caches.delete(CARD_ART_CACHE);
+
+export const formatBytes = (bytes) => {
+  if (bytes === null || bytes === undefined) return '—';
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+};
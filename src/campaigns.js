@@ -0,0 +1,144 @@
+import { gameReducer, DEFAULT_GAME, DEFAULT_DIFFICULTY } from './gameLog.js';
+import { villainGroups } from './villainGroups.js';
+
+// --- CAMPAIGNS ---
+// Campaign expansions and their scenario order. Each scenario names its villain (or a group
+// from villainGroups.js) and, where the card data can't tell, its opening main scheme.
+// Scenarios whose villain isn't in the card data are set up by hand from the setup screen.
+// `values` are campaign-specific numbers for the log and `rewards` the things a campaign can
+// unlock. Both are a starting list; the campaign screen can add more of either during play.
+export const CAMPAIGNS = [
+  {
+    id: 'red_skull', name: 'The Rise of Red Skull',
+    scenarios: [{ villain: 'Crossbones' }, { villain: 'Absorbing Man' }, { villain: 'Taskmaster' }, { villain: 'Zola' }, { villain: 'Red Skull' }],
+    values: ['Captive allies rescued'],
+    rewards: ['S.H.I.E.L.D. Tech'],
+  },
+  {
+    id: 'galaxy', name: "Galaxy's Most Wanted",
+    scenarios: [{ villain: 'Drang' }, { name: 'Infiltrate the Museum', villain: 'Collector' }, { name: 'Escape the Museum', villain: 'Collector', scheme: 'The Missing Milano' }, { villain: 'Nebula' }, { villain: 'Ronan the Accuser' }],
+    values: ['Units'],
+    rewards: ['Milano upgrade'],
+  },
+  {
+    id: 'mad_titan', name: "The Mad Titan's Shadow",
+    scenarios: [{ villain: 'Ebony Maw' }, { villain: 'Tower Defense' }, { villain: 'Thanos' }, { villain: 'Hela' }, { villain: 'Loki' }],
+    values: [],
+    rewards: ['Space Stone', 'Mind Stone', 'Reality Stone', 'Power Stone', 'Time Stone', 'Soul Stone'],
+  },
+  {
+    id: 'sinister_motives', name: 'Sinister Motives',
+    scenarios: [{ villain: 'Sandman' }, { villain: 'Venom' }, { villain: 'Mysterio' }, { villain: 'The Sinister Six' }, { villain: 'Venom Goblin' }],
+    values: ['Civilians rescued'],
+    rewards: ['Campaign upgrade'],
+  },
+  {
+    id: 'mutant_genesis', name: 'Mutant Genesis',
+    scenarios: [{ villain: 'Sabretooth' }, { name: 'Project Wideawake', villain: 'Sentinel' }, { villain: 'Master Mold' }, { name: 'Mansion Attack', villain: 'Brotherhood of Mutants' }, { villain: 'Magneto' }],
+    values: ['Mutants rescued', 'Mansion damage'],
+    rewards: ['X-Men recruit'],
+  },
+  {
+    id: 'next_evolution', name: 'NeXt Evolution',
+    scenarios: [{ villain: 'Juggernaut' }, { villain: 'Mister Sinister' }, { villain: 'Stryfe' }],
+    values: ['Mutants rescued'],
+    rewards: ['Campaign upgrade'],
+  },
+  {
+    id: 'age_of_apocalypse', name: 'Age of Apocalypse',
+    scenarios: [{ villain: 'Unus' }, { villain: 'Four Horsemen' }, { villain: 'Apocalypse' }, { villain: 'Dark Beast' }, { villain: 'En Sabah Nur' }],
+    values: ['Rebels rescued'],
+    rewards: ['Campaign upgrade'],
+  },
+];
+
+export const findCampaign = (id) => CAMPAIGNS.find(c => c.id === id) || null;
+
+export const scenarioName = (scenario) => scenario.name || scenario.villain;
+
+// The log for one run through a campaign, stored under `mc_campaign`. `gameId` and `scenario`
+// point at the game being played for it, so its result lands in the right place.
+export const newCampaign = (definition, heroes) => ({
+  id: `c${Date.now().toString(36)}`,
+  campaign: definition.id,
+  name: definition.name,
+  startedAt: Date.now(),
+  carryHp: false,
+  heroes: heroes.filter(h => h.code).map(h => ({ code: h.code, name: h.name, hp: null, obligations: [] })),
+  values: (definition.values || []).map(label => ({ label, value: 0 })),
+  rewards: (definition.rewards || []).map(name => ({ name, unlocked: false })),
+  results: [],
+  gameId: null,
+  scenario: null,
+});
+
+// The first scenario not yet won, or -1 once the campaign is complete.
+export const nextScenarioIndex = (campaign) => {
+  const definition = findCampaign(campaign.campaign);
+  if (!definition) return -1;
+  return definition.scenarios.findIndex((_, i) => !campaign.results.some(r => r.scenario === i && r.result === 'win'));
+};
+
+// Main schemes follow their villain's cards in the pack, so without a set code to go on the
+// scheme card just after the villain's stages is the scenario's opening stage. Anything further
+// away belongs to another scenario, and the scheme is left for the players to pick.
+const cardNumber = (code) => parseInt(code, 10);
+const SCHEME_REACH = 6;
+
+const openingScheme = (villain, schemes) => {
+  if (villain.set_code && villain.set_code !== 'unknown') {
+    const match = schemes.find(s => s.set_code === villain.set_code);
+    if (match) return match;
+  }
+  const pack = villain.code.slice(0, 2);
+  return schemes.filter(s => s.code.slice(0, 2) === pack && cardNumber(s.code) > cardNumber(villain.code) && cardNumber(s.code) <= cardNumber(villain.code) + SCHEME_REACH).sort((a, b) => cardNumber(a.code) - cardNumber(b.code))[0] || null;
+};
+
+// Card data for a scenario: { group } or { villain }, plus its opening scheme; any part may be missing.
+export const scenarioCards = (scenario, data) => {
+  const group = villainGroups(data).find(g => g.name === scenario.villain) || null;
+  const villain = group ? null : (data.villains || []).find(v => v.name === scenario.villain) || null;
+  const lead = group ? group.villains[0] : villain;
+  const schemes = data.schemes || [];
+  const scheme = scenario.scheme ? schemes.find(s => s.name === scenario.scheme) || null : lead && openingScheme(lead, schemes);
+  return { group, villain, scheme };
+};
+
+// The board a scenario starts on: the campaign's heroes at the given difficulty, its villain(s)
+// and scheme, and each hero's carried-over HP when the campaign keeps it. `stagesFor` expands
+// a scheme's first stage into its full sequence. Returns the state, anything left to pick by hand
+// and reminders for carried-over obligations.
+export const scenarioBoard = (campaign, index, data, { difficulty = DEFAULT_DIFFICULTY, stagesFor }) => {
+  const scenario = findCampaign(campaign.campaign).scenarios[index];
+  const { group, villain, scheme } = scenarioCards(scenario, data);
+  const heroes = campaign.heroes.map(h => (data.heroes || []).find(card => card.code === h.code)).filter(Boolean);
+  const missing = [];
+
+  let state = gameReducer(DEFAULT_GAME, { type: 'players/set', count: Math.max(1, heroes.length) });
+  state = gameReducer(state, { type: 'difficulty/set', difficulty });
+  heroes.forEach((hero, slot) => { state = gameReducer(state, { type: 'hero/select', slot, hero }); });
+  if (group) state = gameReducer(state, { type: 'villains/select', name: group.name, villains: group.villains, optional: group.optional });
+  else if (villain) state = gameReducer(state, { type: 'villain/select', villain });
+  else missing.push(`Villain: ${scenario.villain}`);
+  if (scheme) state = gameReducer(state, { type: 'scheme/select', scheme, stages: stagesFor(scheme) });
+  else missing.push('Main scheme');
+
+  if (campaign.carryHp) {
+    state = { ...state, heroes: state.heroes.map(h => {
+      const carried = campaign.heroes.find(c => c.code === h.code);
+      return carried && carried.hp !== null ? { ...h, hp: Math.min(carried.hp, h.maxHp) } : h;
+    }) };
+  }
+  const notes = campaign.heroes.filter(h => h.obligations.length > 0).map(h => `${h.name}: shuffle ${h.obligations.join(', ')} into the encounter deck.`);
+  return { state, missing, notes, name: scenarioName(scenario) };
+};
+
+// A finished game replaces any earlier result for its scenario, so a lost scenario can be
+// replayed. Heroes keep the HP they ended on when the campaign carries HP over.
+export const recordScenario = (campaign, state, outcome) => {
+  const result = { scenario: campaign.scenario, result: outcome === 'victory' ? 'win' : 'loss', reason: outcome, rounds: state.round, endedAt: new Date().toISOString() };
+  const heroes = campaign.carryHp
+    ? campaign.heroes.map(h => { const played = state.heroes.find(p => p.code === h.code); return played ? { ...h, hp: played.hp } : h; })
+    : campaign.heroes;
+  return { ...campaign, heroes, results: [...campaign.results.filter(r => r.scenario !== campaign.scenario), result] };
+};
@@ -0,0 +1,88 @@
+import { buildPackList, packsOf } from './collection.js';
+import { cardName, traitName, localSetName, localPackName } from './i18n.js';
+
+// --- CARD SEARCH ---
+// A query is free text plus optional trait, set and pack filters. Every word of the text has to
+// match somewhere: the name (allowing a typo), a trait, the set or pack name, or the card text.
+// Name matches rank first. Data fetched before card text was kept simply has less to match.
+// Names, traits, sets and packs are matched in the language in use; card text stays English.
+export const EMPTY_QUERY = { text: '', trait: '', set: '', pack: '' };
+
+export const isEmptyQuery = (query) => !query.text.trim() && !query.trait && !query.set && !query.pack;
+
+const normalize = (text) => (text || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^a-z0-9★ ]+/g, ' ').trim();
+
+// Set and pack names are looked up per data file, once.
+const lookups = new WeakMap();
+const namesFor = (data) => {
+  if (!lookups.has(data)) lookups.set(data, { sets: new Map((data.sets || []).map(s => [s.code, s.name])), packs: new Map(buildPackList(data).map(p => [p.code, p.name])) });
+  return lookups.get(data);
+};
+
+export const setName = (data, code) => localSetName(code) || namesFor(data).sets.get(code) || code;
+export const packName = (data, code) => localPackName(code) || namesFor(data).packs.get(code) || code;
+
+const hasSet = (card) => card.set_code && card.set_code !== 'unknown';
+
+// True when `a` becomes `b` with at most one insertion, deletion, substitution or swap of neighbours.
+const withinOneEdit = (a, b) => {
+  if (Math.abs(a.length - b.length) > 1) return false;
+  let i = 0;
+  let j = 0;
+  let edits = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) { i++; j++; continue; }
+    if (++edits > 1) return false;
+    if (a[i] === b[j + 1] && a[i + 1] === b[j]) { i += 2; j += 2; }
+    else if (a.length > b.length) i++;
+    else if (b.length > a.length) j++;
+    else { i++; j++; }
+  }
+  return edits + (a.length - i) + (b.length - j) <= 1;
+};
+
+const wordScore = (word, card, data) => {
+  const name = normalize(cardName(card));
+  const nameWords = name.split(' ');
+  if (nameWords.some(w => w.startsWith(word))) return 4;
+  if (name.includes(word) || name.replace(/ /g, '').includes(word)) return 3;
+  if (word.length >= 4 && nameWords.some(w => withinOneEdit(word, w.slice(0, word.length + 1)) || withinOneEdit(word, w))) return 2;
+  const labels = [...(card.traits || []).map(traitName), hasSet(card) ? setName(data, card.set_code) : '', ...packsOf(card).map(p => packName(data, p))];
+  if (labels.some(label => normalize(label).includes(word))) return 2;
+  if (word.length >= 3 && normalize([card.text, ...(card.keywords || [])].join(' ')).includes(word)) return 1;
+  return 0;
+};
+
+// `lang` orders equally good matches the way that language sorts their (translated) names; it
+// also ties a memoized search to the language in use.
+export const searchCards = (cards, query, data, lang) => {
+  const words = normalize(query.text).split(' ').filter(Boolean);
+  return cards
+    .filter(card => (!query.trait || (card.traits || []).includes(query.trait)) && (!query.set || card.set_code === query.set) && (!query.pack || packsOf(card).includes(query.pack)))
+    .map(card => {
+      const scores = words.map(word => wordScore(word, card, data));
+      return { card, score: scores.every(s => s > 0) ? scores.reduce((sum, s) => sum + s, 0) : 0 };
+    })
+    .filter(({ score }) => score > 0 || words.length === 0)
+    .sort((a, b) => b.score - a.score || cardName(a.card).localeCompare(cardName(b.card), lang))
+    .map(({ card }) => card);
+};
+
+// The traits, sets and packs a list of cards can be filtered by, for the filter menus. Only
+// codes (and English traits) are returned, so a list worked out once serves every language;
+// facetOptions names and orders them for the language in use.
+export const cardFacets = (cards, data) => {
+  const traits = [...new Set(cards.flatMap(c => c.traits || []))];
+  const sets = [...new Set(cards.filter(hasSet).map(c => c.set_code))];
+  const used = new Set(cards.flatMap(packsOf));
+  const packs = [...namesFor(data).packs.keys()].filter(code => used.has(code));
+  return { traits, sets, packs };
+};
+
+const byName = (a, b) => a.name.localeCompare(b.name);
+
+export const facetOptions = (facets, data) => ({
+  trait: facets.traits.map(trait => ({ code: trait, name: traitName(trait) })).sort(byName),
+  set: facets.sets.map(code => ({ code, name: setName(data, code) })).sort(byName),
+  pack: facets.packs.map(code => ({ code, name: packName(data, code) })),
+});
@@ -0,0 +1,51 @@
+// --- OWNED PACKS ---
+// The collection is stored under `mc_collection` as a list of owned pack codes.
+// `null` means it was never set up, in which case every pack counts as owned.
+
+// Data fetched before pack tracking has no pack fields; the first two digits of a
+// card code are its pack number on marvelcdb, which is close enough to group by.
+const packOf = (card) => card.pack_code || (card.code ? card.code.slice(0, 2) : 'unknown');
+export const packsOf = (card) => card.packs || [packOf(card)];
+
+export const isOwned = (card, owned) => owned === null || packsOf(card).some(p => owned.includes(p));
+
+export const filterOwned = (list, owned) => (owned === null ? list : list.filter(card => isOwned(card, owned)));
+
+// Modular encounter sets with at least one card from an owned pack.
+export const ownedModularSets = (data, owned) => (data.sets || []).filter(s => s.type === 'modular' && (owned === null || filterOwned((data.encounter_cards || []).filter(c => c.set_code === s.code), owned).length > 0));
+
+const CARD_LISTS = ['heroes', 'villains', 'schemes', 'minions', 'allies', 'side_schemes'];
+
+// Every pack the data knows about, with how many heroes and villains it adds.
+export const buildPackList = (data) => {
+  const packs = new Map((data.packs || []).map(p => [p.code, { code: p.code, name: p.name, heroes: 0, villains: 0, cards: 0 }]));
+  for (const key of CARD_LISTS) {
+    for (const card of data[key] || []) {
+      const code = packOf(card);
+      if (!packs.has(code)) packs.set(code, { code, name: card.pack_name || `Pack ${code}`, heroes: 0, villains: 0, cards: 0 });
+      const pack = packs.get(code);
+      pack.cards += 1;
+      if (key === 'heroes') pack.heroes += 1;
+      if (key === 'villains') pack.villains += 1;
+    }
+  }
+  const list = [...packs.values()].filter(p => p.cards > 0);
+  // packs.json is already in release order; derived pack numbers need sorting to match it.
+  return data.packs ? list : list.sort((a, b) => a.code.localeCompare(b.code));
+};
+
+// --- SHARE CODES ---
+// "MC1:core.gob.wc" — readable, and stable across data updates because it names packs rather than indexing them.
+const SHARE_PREFIX = 'MC1:';
+
+export const encodeCollection = (owned, packList) => `${SHARE_PREFIX}${(owned === null ? packList.map(p => p.code) : owned).join('.')}`;
+
+export const decodeCollection = (text, packList) => {
+  const trimmed = (text || '').trim();
+  if (!trimmed.startsWith(SHARE_PREFIX)) throw new Error("Not a collection code");
+  const known = new Set(packList.map(p => p.code));
+  const codes = trimmed.slice(SHARE_PREFIX.length).split('.').filter(Boolean);
+  const owned = codes.filter(c => known.has(c));
+  if (owned.length === 0) throw new Error("Code contains no known packs");
+  return { owned, unknown: codes.length - owned.length };
+};
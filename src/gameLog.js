@@ -0,0 +1,642 @@
+import { useMemo } from 'react';
+import { formName, heroMechanics, mechanicValue, mechanicLabel } from './heroes.js';
+import { t, cardName } from './i18n.js';
+
+// --- GAME STATE AS AN ACTION LOG ---
+// The board is never stored directly. We keep a base snapshot plus an ordered list of
+// actions and fold them through `gameReducer`. Undo/redo just moves `cursor`.
+
+export const EMPTY_VILLAIN = { name: "Setup Game", hp: 0, maxHp: 0, status: [], stages: [0,0,0], stageIdx: 0, set_code: "" };
+export const EMPTY_HERO = { name: "Select Hero", hp: 0, maxHp: 0, status: [] };
+export const EMPTY_SCHEME = { name: "Select Main Scheme", threat: 0, target: 0, baseTarget: 0, accel: 0 };
+
+export const DEFAULT_DIFFICULTY = { mode: 'standard', heroic: 0 };
+
+export const EMPTY_ENCOUNTER = { sets: [], deck: [], discard: [], accelTokens: 0, draws: 0, lastDrawn: null };
+
+// `roundStart` stays null until the table starts its first round through the phase stepper.
+export const EMPTY_PHASE = { step: 0, roundStart: null, stepStart: null };
+
+export const DEFAULT_GAME = { villain: EMPTY_VILLAIN, coVillains: [], heroes: [EMPTY_HERO], firstPlayer: 0, mainScheme: EMPTY_SCHEME, units: [], round: 1, playerCount: 1, difficulty: DEFAULT_DIFFICULTY, encounter: EMPTY_ENCOUNTER, phase: EMPTY_PHASE, roundTimes: [] };
+
+// Beyond this many actions the oldest are folded into the base snapshot.
+const MAX_ACTIONS = 500;
+// Taps on the same dial within this window collapse into one history entry.
+const MERGE_WINDOW_MS = 1500;
+
+// Grows or shrinks the hero slots to match the team size, keeping existing picks.
+export const resizeHeroes = (list, count) => Array.from({ length: count }, (_, i) => list[i] || EMPTY_HERO);
+
+// --- MAIN SCHEME STAGES ---
+// `fixed` marks a fixed starting threat and `target_fixed` a fixed target; otherwise both scale per player.
+const scaleInit = (card, n) => (card.fixed ? (card.init || 0) : (card.init || 0) * n);
+const scaleTarget = (card, n) => (card.target_fixed ? (card.target || 0) : (card.target || 0) * n);
+
+const enterSchemeStage = (stages, idx, playerCount) => {
+  const card = stages[idx];
+  return {
+    name: card.name,
+    code: card.code,
+    threat: scaleInit(card, playerCount),
+    target: scaleTarget(card, playerCount),
+    baseTarget: card.target || 0,
+    accel: card.accel || 0,
+    icons: card.icons || [],
+    fixed: card.fixed,
+    target_fixed: card.target_fixed,
+    stages,
+    stageIdx: idx,
+  };
+};
+
+export const isFinalSchemeStage = (scheme) => !scheme.stages || scheme.stageIdx >= scheme.stages.length - 1;
+
+// A completed non-final stage flips straight to the next one; excess threat is discarded.
+const settleScheme = (state) => {
+  const { mainScheme } = state;
+  if (!(mainScheme.target > 0 && mainScheme.threat >= mainScheme.target) || isFinalSchemeStage(mainScheme)) return state;
+  return { ...state, mainScheme: enterSchemeStage(mainScheme.stages, mainScheme.stageIdx + 1, state.playerCount) };
+};
+
+// --- DIFFICULTY ---
+// Standard plays villain stages I→II, Expert II→III. Heroic adds its level in threat every round.
+export const DIFFICULTY_MODES = { standard: { label: 'Standard', stages: [0, 1] }, expert: { label: 'Expert', stages: [1, 2] } };
+
+const stageRangeFor = (villain, difficulty) => {
+  const last = Math.max(0, (villain.stages || []).length - 1);
+  const [first, final] = (DIFFICULTY_MODES[difficulty.mode] || DIFFICULTY_MODES.standard).stages;
+  return [Math.min(first, last), Math.min(final, last)];
+};
+
+// --- SCHEME ICONS ---
+// Icons on the main scheme and every side scheme in play: acceleration (+1 threat per round),
+// crisis (no threat removal from the main scheme), hazard (+1 encounter card), amplify (+1 boost icon).
+const iconCount = (card, icon) => (card.icons || []).filter(i => i === icon).length;
+
+export const countIcons = (state, icon) => iconCount(state.mainScheme, icon) + state.units.reduce((sum, u) => sum + iconCount(u, icon), 0);
+
+// Every source of threat added at the end of a round, so the summary can explain the total.
+export const roundThreatBreakdown = (state) => {
+  const sources = [{ label: t('Base'), amount: 1 }];
+  if (state.mainScheme.accel) sources.push({ label: t('{name} acceleration', { name: cardName(state.mainScheme) }), amount: state.mainScheme.accel });
+  if (iconCount(state.mainScheme, 'acceleration')) sources.push({ label: t('{name} acceleration icon', { name: cardName(state.mainScheme) }), amount: iconCount(state.mainScheme, 'acceleration') });
+  for (const u of state.units) {
+    if (iconCount(u, 'acceleration')) sources.push({ label: t('{name} acceleration icon', { name: cardName(u) }), amount: iconCount(u, 'acceleration') });
+  }
+  const heroic = (state.difficulty || DEFAULT_DIFFICULTY).heroic || 0;
+  if (heroic) sources.push({ label: t('Heroic {level}', { level: heroic }), amount: heroic });
+  const tokens = (state.encounter || EMPTY_ENCOUNTER).accelTokens;
+  if (tokens) sources.push({ label: t('Acceleration tokens'), amount: tokens });
+  return sources;
+};
+
+export const roundThreat = (state) => roundThreatBreakdown(state).reduce((sum, s) => sum + s.amount, 0);
+
+// One encounter card per player, plus one per hazard icon.
+export const encounterDealCount = (state) => state.playerCount + countIcons(state, 'hazard');
+
+// --- ROUND PHASES ---
+// Each player's turn from the first player on, then the villain phase: threat, one villain
+// activation per player, encounter cards, first player pass and the end of the round.
+// Threat goes on when the threat step is done, the first player token moves with its step,
+// and finishing the end step starts the next round. Times come from the action itself.
+export const roundSteps = (state) => {
+  const order = Array.from({ length: state.playerCount }, (_, i) => (state.firstPlayer + i) % state.playerCount);
+  return [
+    ...order.map(player => ({ kind: 'turn', player })),
+    { kind: 'threat' },
+    ...order.map(player => ({ kind: 'activate', player })),
+    { kind: 'deal' },
+    { kind: 'first' },
+    { kind: 'end' },
+  ];
+};
+
+// Stamped when the step is tapped, never during replay.
+export const phaseClock = () => Date.now();
+
+// Changing the team size mid-round can shorten the list, so the step is clamped.
+export const currentStep = (state) => {
+  const phase = state.phase || EMPTY_PHASE;
+  const steps = roundSteps(state);
+  const index = Math.min(phase.step, steps.length - 1);
+  return { index, step: steps[index], steps, started: phase.roundStart !== null };
+};
+
+// "4:05", or "1:02:30" past the hour.
+export const formatDuration = (ms) => {
+  const total = Math.max(0, Math.floor(ms / 1000));
+  const [h, m, sec] = [Math.floor(total / 3600), Math.floor(total / 60) % 60, total % 60];
+  const pad = (n) => String(n).padStart(2, '0');
+  return h > 0 ? `${h}:${pad(m)}:${pad(sec)}` : `${m}:${pad(sec)}`;
+};
+
+const addRoundThreat = (state) => settleScheme({ ...state, mainScheme: { ...state.mainScheme, threat: Math.max(0, state.mainScheme.threat + roundThreat(state)) } });
+const passFirstPlayer = (state) => ({ ...state, firstPlayer: (state.firstPlayer + 1) % state.playerCount });
+
+const nextPhase = (state, time) => {
+  const phase = state.phase || EMPTY_PHASE;
+  if (phase.roundStart === null) return { ...state, phase: { step: 0, roundStart: time, stepStart: time } };
+  const { index, step } = currentStep(state);
+  if (step.kind === 'end') {
+    const roundTimes = [...(state.roundTimes || []), { round: state.round, ms: Math.max(0, time - phase.roundStart) }];
+    return { ...state, round: state.round + 1, roundTimes, phase: { step: 0, roundStart: time, stepStart: time } };
+  }
+  const next = step.kind === 'threat' ? addRoundThreat(state) : step.kind === 'first' ? passFirstPlayer(state) : state;
+  return { ...next, phase: { ...phase, step: index + 1, stepStart: time } };
+};
+
+export const describeDifficulty = (difficulty) => `${t((DIFFICULTY_MODES[difficulty.mode] || DIFFICULTY_MODES.standard).label)}${difficulty.heroic ? ` · ${t('Heroic {level}', { level: difficulty.heroic })}` : ''}`;
+
+// --- ENCOUNTER DECK ---
+// Shuffles take their seed from the action, so replaying the log deals the same cards again.
+const seededRandom = (seed) => {
+  let t = seed >>> 0;
+  return () => {
+    t += 0x6D2B79F5;
+    let r = Math.imul(t ^ (t >>> 15), 1 | t);
+    r ^= r + Math.imul(r ^ (r >>> 7), 61 | r);
+    return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const shuffle = (list, seed) => {
+  const rand = seededRandom(seed);
+  const out = [...list];
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(rand() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+};
+
+export const newSeed = () => Math.floor(Math.random() * 2 ** 32);
+
+// Draws the top card into the discard pile. An emptied deck is reshuffled from the discard
+// pile right away (the card being resolved stays out of it) and adds an acceleration token.
+const drawEncounter = (state, kind, seed) => {
+  let encounter = state.encounter || EMPTY_ENCOUNTER;
+  if (encounter.deck.length === 0) {
+    // Only reachable when the deck ran out with nothing discarded yet (a one-card deck, or
+    // every other card is on the table).
+    if (encounter.discard.length === 0) return state;
+    encounter = { ...encounter, deck: shuffle(encounter.discard, seed), discard: [], accelTokens: encounter.accelTokens + 1 };
+  }
+  const [card, ...rest] = encounter.deck;
+  const reshuffled = rest.length === 0 && encounter.discard.length > 0;
+  return {
+    ...state,
+    encounter: {
+      ...encounter,
+      deck: reshuffled ? shuffle(encounter.discard, seed) : rest,
+      discard: reshuffled ? [card] : [...encounter.discard, card],
+      accelTokens: encounter.accelTokens + (reshuffled ? 1 : 0),
+      draws: encounter.draws + 1,
+      lastDrawn: { ...card, kind, reshuffled },
+    },
+  };
+};
+
+// A drawn minion or side scheme put into play leaves the discard pile with its unit (as
+// `encounterCard`) and goes back when the unit is defeated or removed, so a reshuffle can't
+// return a card that is still on the table.
+const takeFromDiscard = (state, unit, card) => {
+  const encounter = state.encounter || EMPTY_ENCOUNTER;
+  const idx = card ? encounter.discard.map(c => c.code).lastIndexOf(card.code) : -1;
+  if (idx < 0) return { ...state, units: [...state.units, unit] };
+  return {
+    ...state,
+    units: [...state.units, { ...unit, encounterCard: encounter.discard[idx] }],
+    encounter: { ...encounter, discard: encounter.discard.filter((_, i) => i !== idx) },
+  };
+};
+
+const returnToDiscard = (state, unit) => {
+  const encounter = state.encounter || EMPTY_ENCOUNTER;
+  return unit && unit.encounterCard ? { ...state, encounter: { ...encounter, discard: [...encounter.discard, unit.encounterCard] } } : state;
+};
+
+// --- VILLAIN STAGES ---
+// Stage HP is per hero unless the fetcher flagged that stage's card as fixed (`hp_fixed`).
+export const stageMaxHp = (villain, idx, playerCount, fallback = 0) => {
+  const hp = (villain.stages && villain.stages[idx]) || fallback;
+  return villain.hp_fixed && villain.hp_fixed[idx] ? hp : hp * playerCount;
+};
+
+// Villains picked before difficulty existed carry no stageRange and play through every stage.
+export const isFinalVillainStage = (villain) => !villain.stages || villain.stageIdx >= (villain.stageRange ? villain.stageRange[1] : villain.stages.length - 1);
+
+export const isVillainDefeated = (villain) => villain.maxHp > 0 && villain.hp <= 0 && isFinalVillainStage(villain);
+
+const startVillain = (villain, state) => {
+  const stageRange = stageRangeFor(villain, state.difficulty || DEFAULT_DIFFICULTY);
+  const startHp = stageMaxHp(villain, stageRange[0], state.playerCount, 10);
+  return { ...villain, hp: startHp, maxHp: startHp, status: [], attachments: [], counters: [], stageIdx: stageRange[0], stageRange };
+};
+
+// Knocking a villain to 0 on a non-final stage flips it to the next one at full per-player HP.
+// Attachments stay on through the flip, so their HP bonus comes along.
+const settleVillain = (villain, playerCount) => {
+  if (villain.maxHp <= 0 || villain.hp > 0 || isFinalVillainStage(villain)) return villain;
+  const stageIdx = villain.stageIdx + 1;
+  const maxHp = stageMaxHp(villain, stageIdx, playerCount);
+  return { ...villain, stageIdx, maxHp, hp: maxHp + hpBonus(villain) };
+};
+
+// --- MULTI-VILLAIN SCENARIOS ---
+// Scenarios like the Wrecking Crew put several villains in play at once. The first stays in
+// `villain` (so single-villain code keeps working) and the rest go in `coVillains`. Villain
+// actions carry a `slot`: 0 (or none) is `villain`, 1 and up index into `coVillains`.
+export const allVillains = (state) => [state.villain, ...(state.coVillains || [])];
+
+export const villainAt = (state, slot = 0) => allVillains(state)[slot] || null;
+
+// "Wrecking Crew" for a group, the villain's own name otherwise.
+export const villainTitle = (state) => ((state.coVillains || []).length > 0 && state.villain.group) || state.villain.name;
+
+const updateVillain = (state, slot = 0, fn) => (slot === 0
+  ? { ...state, villain: fn(state.villain) }
+  : { ...state, coVillains: (state.coVillains || []).map((v, i) => (i === slot - 1 ? fn(v) : v)) });
+
+const updateVillains = (state, fn) => ({ ...state, villain: fn(state.villain), coVillains: (state.coVillains || []).map(fn) });
+
+// The action that picks the current villain(s) again, for restarts and rematches.
+const villainPick = (state) => {
+  if ((state.coVillains || []).length > 0) {
+    const villains = allVillains(state);
+    return { type: 'villains/select', name: state.villain.group, villains, optional: villains.filter(v => v.required === false).map(v => v.code) };
+  }
+  return state.villain.code ? { type: 'villain/select', villain: state.villain } : null;
+};
+
+// --- STATUSES, ATTACHMENTS AND COUNTERS ---
+// Any tracked card (villain, hero, unit) can carry statuses, attachments and counters.
+// Stored max HP (`maxHp`, or `max` on units) never includes attachment bonuses; current HP
+// does, so attaching +2 HP heals 2 and removing it takes 2 away again.
+export const STATUSES = ['stunned', 'confused', 'tough', 'retaliate', 'piercing', 'guard', 'patrol', 'steady', 'stalwart'];
+export const ATTACHMENT_STATS = ['hp', 'atk', 'thw', 'sch', 'def'];
+
+export const hpBonus = (card) => (card.attachments || []).reduce((sum, a) => sum + (a.hp || 0), 0);
+
+// Targets: { kind: 'villain', slot? }, { kind: 'hero', slot } or { kind: 'unit', id }.
+export const getTarget = (state, target) => {
+  if (target.kind === 'villain') return villainAt(state, target.slot);
+  if (target.kind === 'hero') return state.heroes[target.slot] || null;
+  return state.units.find(u => u.id === target.id) || null;
+};
+
+const updateTarget = (state, target, fn) => {
+  if (target.kind === 'villain') return updateVillain(state, target.slot, fn);
+  if (target.kind === 'hero') return updateHero(state, target.slot, fn);
+  return updateUnit(state, target.id, fn);
+};
+
+// Units track their dial in `val`; villains and heroes in `hp`.
+const shiftHp = (card, target, delta) => (target.kind === 'unit' ? { ...card, val: Math.max(0, card.val + delta) } : { ...card, hp: Math.max(0, card.hp + delta) });
+
+// --- OUTCOME ---
+// 'scheme' (final scheme stage completed), 'defeat' (every hero at 0) or 'victory' (final stage
+// of every required villain at 0).
+export const getOutcome = (state) => {
+  const { mainScheme, heroes } = state;
+  const required = allVillains(state).filter(v => v.required !== false);
+  if (mainScheme.target > 0 && mainScheme.threat >= mainScheme.target && isFinalSchemeStage(mainScheme)) return 'scheme';
+  if (heroes.length > 0 && heroes.every(h => h.maxHp > 0 && h.hp <= 0)) return 'defeat';
+  if (required.length > 0 && required.every(isVillainDefeated)) return 'victory';
+  return null;
+};
+
+// Same villain, scheme, heroes and team size, back at round 1 with a clean board.
+export const rematchState = (state) => {
+  const { mainScheme, heroes, playerCount, difficulty } = state;
+  let next = { ...DEFAULT_GAME, playerCount, difficulty: difficulty || DEFAULT_DIFFICULTY, heroes: resizeHeroes(heroes, playerCount).map(h => ({ ...h, hp: h.maxHp, status: [], attachments: [], counters: [], ...(h.code ? { form: 'alter_ego', mechanics: {} } : {}) })) };
+  const pick = villainPick(state);
+  if (pick) next = gameReducer(next, pick);
+  const encounter = state.encounter || EMPTY_ENCOUNTER;
+  if (encounter.sets.length > 0) next = gameReducer(next, { type: 'encounter/build', sets: encounter.sets, cards: [...encounter.deck, ...encounter.discard, ...state.units.filter(u => u.encounterCard).map(u => u.encounterCard)], seed: newSeed() });
+  if (mainScheme.code) {
+    const stages = mainScheme.stages || [{ name: mainScheme.name, code: mainScheme.code, target: mainScheme.baseTarget, accel: mainScheme.accel, fixed: mainScheme.fixed }];
+    next = gameReducer(next, { type: 'scheme/select', scheme: stages[0], stages });
+  }
+  return next;
+};
+
+const toggleIn = (list, type) => (list.includes(type) ? list.filter(s => s !== type) : [...list, type]);
+
+const updateHero = (state, slot, fn) => ({ ...state, heroes: state.heroes.map((h, i) => (i === slot ? fn(h) : h)) });
+const updateUnit = (state, id, fn) => ({ ...state, units: state.units.map(u => (u.id === id ? fn(u) : u)) });
+
+export const gameReducer = (state, action) => {
+  switch (action.type) {
+    case 'villain/select':
+      return { ...state, villain: startVillain(action.villain, state), coVillains: [] };
+    case 'villains/select': {
+      const [lead, ...rest] = action.villains.map(v => ({ ...startVillain(v, state), group: action.name, required: !(action.optional || []).includes(v.code) }));
+      return { ...state, villain: lead, coVillains: rest };
+    }
+    case 'villain/stage': {
+      if (!villainAt(state, action.slot)?.stages) return state;
+      return updateVillain(state, action.slot, v => {
+        const maxHp = stageMaxHp(v, action.idx, state.playerCount);
+        return { ...v, stageIdx: action.idx, maxHp, hp: state.round === 1 ? maxHp + hpBonus(v) : v.hp };
+      });
+    }
+    case 'villain/hp':
+      return updateVillain(state, action.slot, v => settleVillain({ ...v, hp: Math.max(0, v.hp + action.delta) }, state.playerCount));
+    case 'villain/status':
+      return updateVillain(state, action.slot, v => ({ ...v, status: toggleIn(v.status, action.status) }));
+
+    case 'difficulty/set': {
+      const difficulty = { ...(state.difficulty || DEFAULT_DIFFICULTY), ...action.difficulty };
+      const next = { ...state, difficulty };
+      if (!state.villain.code) return next;
+      // Before the first Advance, switching mode restarts the villains on the new opening stage.
+      if (state.round === 1) return gameReducer(next, villainPick(state));
+      return updateVillains(next, v => ({ ...v, stageRange: stageRangeFor(v, difficulty) }));
+    }
+
+    // Heroes start the game in alter-ego form.
+    case 'hero/select':
+      return updateHero({ ...state, heroes: resizeHeroes(state.heroes, state.playerCount) }, action.slot, () => ({ ...action.hero, hp: action.hero.hp, maxHp: action.hero.hp, status: [], form: 'alter_ego', mechanics: {} }));
+    case 'hero/form':
+      return updateHero(state, action.slot, h => ({ ...h, form: h.form === 'alter_ego' ? 'hero' : 'alter_ego' }));
+    // Counters move by `delta`; choices are set by `value` (an index into the options).
+    case 'hero/mechanic':
+      return updateHero(state, action.slot, h => {
+        const mechanic = heroMechanics(h).find(m => m.key === action.key);
+        if (!mechanic) return h;
+        const max = mechanic.options ? mechanic.options.length - 1 : mechanic.max ?? Infinity;
+        const value = action.value !== undefined ? action.value : mechanicValue(h, mechanic) + action.delta;
+        return { ...h, mechanics: { ...h.mechanics, [action.key]: Math.min(max, Math.max(0, value)) } };
+      });
+    case 'hero/hp':
+      return updateHero(state, action.slot, h => ({ ...h, hp: Math.max(0, h.hp + action.delta) }));
+    case 'hero/status':
+      return updateHero(state, action.slot, h => ({ ...h, status: toggleIn(h.status, action.status) }));
+
+    case 'scheme/select': {
+      const stages = action.stages && action.stages.length > 0 ? action.stages : [action.scheme];
+      const idx = Math.max(0, stages.findIndex(s => s.code === action.scheme.code));
+      return { ...state, mainScheme: enterSchemeStage(stages, idx, state.playerCount) };
+    }
+    case 'scheme/threat':
+      if (action.delta < 0 && countIcons(state, 'crisis') > 0) return state;
+      return settleScheme({ ...state, mainScheme: { ...state.mainScheme, threat: Math.max(0, state.mainScheme.threat + action.delta) } });
+
+    case 'players/set': {
+      const n = action.count;
+      const { mainScheme } = state;
+      const rescale = (villain) => {
+        const maxHp = villain.stages && villain.stages.length > 0 ? stageMaxHp(villain, villain.stageIdx, n) : villain.maxHp;
+        return { ...villain, maxHp, hp: state.round === 1 ? maxHp + hpBonus(villain) : villain.hp };
+      };
+      return {
+        ...updateVillains(state, rescale),
+        playerCount: n,
+        heroes: resizeHeroes(state.heroes, n),
+        firstPlayer: state.firstPlayer < n ? state.firstPlayer : 0,
+        mainScheme: {
+          ...mainScheme,
+          target: mainScheme.target_fixed ? mainScheme.target : (mainScheme.baseTarget || 0) * n,
+          threat: state.round === 1 && mainScheme.stages ? scaleInit(mainScheme.stages[mainScheme.stageIdx], n) : mainScheme.threat,
+        },
+        units: state.units.map(u => (u.type === 'ally' && (u.owner || 0) >= n ? { ...u, owner: 0 } : u)),
+      };
+    }
+
+    case 'unit/add':
+      return takeFromDiscard(state, action.unit, action.encounterCard);
+    case 'unit/val':
+      return updateUnit(state, action.id, u => ({ ...u, val: Math.max(0, u.val + action.delta) }));
+    case 'unit/restore':
+      return updateUnit(state, action.id, u => ({ ...u, val: 1 }));
+    case 'unit/remove':
+      return returnToDiscard({ ...state, units: state.units.filter(u => u.id !== action.id) }, state.units.find(u => u.id === action.id));
+    case 'unit/status':
+      return updateUnit(state, action.id, u => ({ ...u, status: toggleIn(u.status || [], action.status) }));
+
+    case 'attachment/add':
+      return updateTarget(state, action.target, c => shiftHp({ ...c, attachments: [...(c.attachments || []), action.attachment] }, action.target, action.attachment.hp || 0));
+    case 'attachment/remove': {
+      const attachment = (getTarget(state, action.target)?.attachments || []).find(a => a.id === action.tokenId);
+      if (!attachment) return state;
+      return updateTarget(state, action.target, c => shiftHp({ ...c, attachments: c.attachments.filter(a => a.id !== action.tokenId) }, action.target, -(attachment.hp || 0)));
+    }
+    case 'counter/add':
+      return updateTarget(state, action.target, c => ({ ...c, counters: [...(c.counters || []), action.counter] }));
+    case 'counter/val':
+      return updateTarget(state, action.target, c => ({ ...c, counters: (c.counters || []).map(k => (k.id === action.tokenId ? { ...k, value: Math.max(0, k.value + action.delta) } : k)) }));
+    case 'counter/remove':
+      return updateTarget(state, action.target, c => ({ ...c, counters: (c.counters || []).filter(k => k.id !== action.tokenId) }));
+
+    // The one-tap advance from before the phase stepper; kept so older logs replay.
+    case 'round/advance':
+      return { ...passFirstPlayer(addRoundThreat(state)), round: state.round + 1, phase: EMPTY_PHASE };
+    case 'phase/next':
+      return nextPhase(state, action.time);
+    // Cards already on the table belong to the old deck and are not returned to the new one.
+    case 'encounter/build':
+      return { ...state, units: state.units.map(u => (u.encounterCard ? { ...u, encounterCard: null } : u)), encounter: { ...EMPTY_ENCOUNTER, sets: action.sets, deck: shuffle(action.cards, action.seed) } };
+    case 'encounter/deal':
+    case 'encounter/boost':
+      return drawEncounter(state, action.type === 'encounter/boost' ? 'boost' : 'deal', action.seed);
+
+    default:
+      return state;
+  }
+};
+
+// --- HISTORY LABELS ---
+const signed = (n) => (n > 0 ? `+${n}` : `−${Math.abs(n)}`);
+const UNIT_LABELS = { minion: 'Minion', ally: 'Ally', side_scheme: 'Side scheme' };
+
+// Labels are built when the history is shown, so they follow the language in use; card names
+// go through cardName() like everywhere else on screen.
+const targetName = (state, target) => {
+  const card = getTarget(state, target);
+  return card ? cardName(card) : target.kind === 'hero' ? `P${target.slot + 1}` : t('a card');
+};
+
+const attachmentMods = (attachment) => {
+  const mods = ATTACHMENT_STATS.filter(stat => attachment[stat]).map(stat => `${signed(attachment[stat])} ${stat.toUpperCase()}`);
+  return mods.length > 0 ? ` (${mods.join(', ')})` : '';
+};
+
+const statusNote = (name, list, status) => t((list || []).includes(status) ? '{name} no longer {status}' : '{name} {status}', { name, status: t(status) });
+
+const schemeAdvanceNote = (state, delta) => {
+  const next = settleScheme({ ...state, mainScheme: { ...state.mainScheme, threat: state.mainScheme.threat + delta } });
+  return next.mainScheme.stageIdx !== state.mainScheme.stageIdx ? ` → ${cardName(next.mainScheme)}` : '';
+};
+
+const STAGE_LABELS = ["I", "II", "III"];
+const stageLabel = (idx) => STAGE_LABELS[idx] || idx + 1;
+
+export const playerName = (state, slot) => {
+  const hero = state.heroes[slot];
+  return hero && hero.code ? cardName(hero) : `P${slot + 1}`;
+};
+
+const describePhase = (state, time) => {
+  const { step, started } = currentStep(state);
+  if (!started) return t('Round {round} started', { round: state.round });
+  switch (step.kind) {
+    case 'turn': return t("{player}'s turn done", { player: playerName(state, step.player) });
+    case 'threat': return t('Villain phase: +{threat} threat', { threat: roundThreat(state) }) + schemeAdvanceNote(state, roundThreat(state));
+    case 'activate': return t('{villain} activated against {player}', { villain: ((state.coVillains || []).length > 0 && state.villain.group) || cardName(state.villain), player: playerName(state, step.player) });
+    case 'deal': return t('Encounter cards dealt');
+    case 'first': return t('First player → {player}', { player: playerName(state, (state.firstPlayer + 1) % state.playerCount) });
+    default: return t('Round {round} over ({time})', { round: state.round, time: formatDuration(time - state.phase.roundStart) });
+  }
+};
+
+const villainAdvanceNote = (state, action) => {
+  const before = villainAt(state, action.slot);
+  const after = villainAt(gameReducer(state, action), action.slot);
+  if (after.stageIdx !== before.stageIdx) return ` → ${t('stage {stage}', { stage: stageLabel(after.stageIdx) })}`;
+  return (state.coVillains || []).length > 0 && isVillainDefeated(after) && !isVillainDefeated(before) ? ` · ${t('defeated')}` : '';
+};
+
+export const describeAction = (state, action) => {
+  const unit = action.id !== undefined ? state.units.find(u => u.id === action.id) : null;
+  const hero = action.slot !== undefined ? state.heroes[action.slot] : null;
+  const heroName = hero && hero.code ? cardName(hero) : `P${action.slot + 1}`;
+  const villain = action.type.startsWith('villain/') ? villainAt(state, action.slot) || state.villain : null;
+  switch (action.type) {
+    case 'villain/select': return t('Villain: {name}', { name: cardName(action.villain) });
+    case 'villains/select': return t('Villains: {group} ({names})', { group: action.name, names: action.villains.map(cardName).join(', ') });
+    case 'villain/stage': return `${cardName(villain)} → ${t('stage {stage}', { stage: stageLabel(action.idx) })}`;
+    case 'villain/hp': return `${cardName(villain)} ${signed(action.delta)}${villainAdvanceNote(state, action)}`;
+    case 'villain/status': return statusNote(cardName(villain), villain.status, action.status);
+    case 'hero/select': return `P${action.slot + 1}: ${cardName(action.hero)}`;
+    case 'hero/hp': return `${heroName} ${signed(action.delta)}`;
+    case 'hero/status': return statusNote(heroName, hero && hero.status, action.status);
+    case 'hero/form': return hero ? t('{hero} flips to {form}', { hero: cardName(hero), form: formName(gameReducer(state, action).heroes[action.slot]) }) : t('Form flipped');
+    case 'hero/mechanic': {
+      const mechanic = hero && heroMechanics(hero).find(m => m.key === action.key);
+      if (!mechanic) return t('Hero tracker changed');
+      return mechanic.options ? `${cardName(hero)} ${t(mechanic.label)}: ${t(mechanicLabel(mechanic, action.value))}` : `${cardName(hero)} ${t(mechanic.label)} ${signed(action.delta)}`;
+    }
+    case 'scheme/select': return t('Main scheme: {name}', { name: cardName(action.scheme) });
+    case 'scheme/threat': return t('{scheme} threat {delta}', { scheme: cardName(state.mainScheme), delta: signed(action.delta) }) + schemeAdvanceNote(state, action.delta);
+    case 'players/set': return t('Team size: {count}', { count: action.count });
+    case 'unit/add': return t("{kind} '{name}' enters play", { kind: t(UNIT_LABELS[action.unit.type]), name: cardName(action.unit) });
+    case 'unit/val':
+      if (!unit) return t('Unit changed');
+      return unit.type === 'side_scheme' ? t('{scheme} threat {delta}', { scheme: cardName(unit), delta: signed(action.delta) }) : `${cardName(unit)} ${signed(action.delta)}`;
+    case 'unit/restore': return unit ? t('{name} restored', { name: cardName(unit) }) : t('Unit restored');
+    case 'unit/remove':
+      if (!unit) return t('Unit removed');
+      return t(unit.type === 'side_scheme' ? "{kind} '{name}' cleared" : "{kind} '{name}' defeated", { kind: t(UNIT_LABELS[unit.type]), name: cardName(unit) });
+    case 'unit/status': return unit ? statusNote(cardName(unit), unit.status, action.status) : t('Status changed');
+    case 'attachment/add': return t("'{name}' attached to {target}", { name: action.attachment.name, target: targetName(state, action.target) }) + attachmentMods(action.attachment);
+    case 'attachment/remove': {
+      const attachment = (getTarget(state, action.target)?.attachments || []).find(a => a.id === action.tokenId);
+      return attachment ? t("'{name}' removed from {target}", { name: attachment.name, target: targetName(state, action.target) }) : t('Attachment removed from {target}', { target: targetName(state, action.target) });
+    }
+    case 'counter/add': return t('{name} counters on {target} ({value})', { name: action.counter.name, target: targetName(state, action.target), value: action.counter.value });
+    case 'counter/val': {
+      const counter = (getTarget(state, action.target)?.counters || []).find(k => k.id === action.tokenId);
+      return `${targetName(state, action.target)} ${counter ? counter.name : t('counters')} ${signed(action.delta)}`;
+    }
+    case 'counter/remove': return t('Counters removed from {target}', { target: targetName(state, action.target) });
+    case 'round/advance': return t('End of round: +{threat} threat', { threat: roundThreat(state) }) + schemeAdvanceNote(state, roundThreat(state));
+    case 'phase/next': return describePhase(state, action.time);
+    case 'difficulty/set': return t('Difficulty: {difficulty}', { difficulty: describeDifficulty({ ...(state.difficulty || DEFAULT_DIFFICULTY), ...action.difficulty }) });
+    case 'encounter/build': return t('Encounter deck built ({count} cards)', { count: action.cards.length });
+    case 'encounter/deal':
+    case 'encounter/boost': {
+      const drawn = gameReducer(state, action).encounter.lastDrawn;
+      if (!drawn || drawn === (state.encounter || EMPTY_ENCOUNTER).lastDrawn) return t('Encounter deck empty');
+      const boost = action.type === 'encounter/boost' ? ` (${t('{boost} boost', { boost: `${drawn.boost || 0}${drawn.boost_star ? '★' : ''}` })})` : '';
+      return t(action.type === 'encounter/boost' ? "Boost '{name}'" : "Dealt '{name}'", { name: cardName(drawn) }) + boost + (drawn.reshuffled ? ` · ${t('reshuffled, +1 acceleration')}` : '');
+    }
+    default: return action.type;
+  }
+};
+
+// --- LOG OPERATIONS ---
+// Ids are minted when the action is created, never during replay, so folding stays deterministic.
+export const newUnitId = () => Date.now();
+
+// `id` ties a finished game's record back to the log it came from.
+export const createLog = (base = DEFAULT_GAME) => ({ id: `g${Date.now().toString(36)}`, base, actions: [], cursor: 0 });
+
+const MERGEABLE = ['villain/hp', 'hero/hp', 'scheme/threat', 'unit/val', 'counter/val', 'hero/mechanic'];
+const sameTarget = (a, b) => a.type === b.type && a.slot === b.slot && a.id === b.id && a.tokenId === b.tokenId && a.key === b.key;
+
+// Folding the taps only counts if it lands on the same board; a stage flip in between
+// (villain to 0, scheme to target) makes the second tap hit the new stage instead.
+const mergesCleanly = (log, actions, merged, action) => {
+  const before = actions.slice(0, -1).reduce(gameReducer, log.base);
+  const tapped = gameReducer(gameReducer(before, actions[actions.length - 1]), action);
+  return JSON.stringify(gameReducer(before, merged)) === JSON.stringify(tapped);
+};
+
+export const appendAction = (log, action) => {
+  const stamped = { ...action, at: Date.now() };
+  const actions = log.actions.slice(0, log.cursor);
+  const last = actions[actions.length - 1];
+
+  // Same-sign taps on one dial fold into a single entry ("Rhino −4" instead of four "−1"s).
+  if (last && MERGEABLE.includes(action.type) && sameTarget(last, action) && Math.sign(last.delta) === Math.sign(action.delta) && stamped.at - last.at < MERGE_WINDOW_MS) {
+    const merged = { ...last, delta: last.delta + action.delta, at: stamped.at };
+    if (mergesCleanly(log, actions, merged, action)) {
+      actions[actions.length - 1] = merged;
+      return { ...log, actions, cursor: actions.length };
+    }
+  }
+
+  actions.push(stamped);
+  if (actions.length <= MAX_ACTIONS) return { ...log, actions, cursor: actions.length };
+
+  const dropped = actions.splice(0, actions.length - MAX_ACTIONS);
+  return { ...log, base: dropped.reduce(gameReducer, log.base), actions, cursor: actions.length };
+};
+
+export const undo = (log) => ({ ...log, cursor: Math.max(0, log.cursor - 1) });
+export const redo = (log) => ({ ...log, cursor: Math.min(log.actions.length, log.cursor + 1) });
+export const jumpTo = (log, cursor) => ({ ...log, cursor: Math.max(0, Math.min(log.actions.length, cursor)) });
+
+// The state at the cursor, for logs that aren't on screen (save slot summaries).
+export const foldLog = (log) => log.actions.slice(0, log.cursor).reduce(gameReducer, log.base);
+
+// Folds the whole log once, returning the current state and an entry per action. Entries keep
+// the state each action was applied to; describeAction() turns them into labels when shown.
+export const useGameLog = (log) => useMemo(() => {
+  const entries = [];
+  let state = log.base;
+  let current = state;
+  for (let i = 0; i < log.actions.length; i++) {
+    const action = log.actions[i];
+    entries.push({ index: i, round: state.round, state, action, at: action.at, undone: i >= log.cursor });
+    state = gameReducer(state, action);
+    if (i < log.cursor) current = state;
+  }
+  return { state: current, entries };
+}, [log]);
+
+// Builds a starting snapshot from the per-slice keys used before the action log existed.
+export const loadLegacyGame = () => {
+  const read = (key, fallback) => {
+    try {
+      const raw = window.localStorage.getItem(key);
+      return raw !== null ? JSON.parse(raw) : fallback;
+    } catch {
+      return fallback;
+    }
+  };
+  const playerCount = read('mc_players', 1);
+  const legacyHero = read('mc_hero', null);
+  return {
+    villain: read('mc_villain', EMPTY_VILLAIN),
+    heroes: resizeHeroes(read('mc_heroes', legacyHero ? [legacyHero] : [EMPTY_HERO]), playerCount),
+    firstPlayer: read('mc_first', 0),
+    mainScheme: read('mc_scheme', EMPTY_SCHEME),
+    units: read('mc_units', []),
+    round: read('mc_round', 1),
+    playerCount,
+    difficulty: DEFAULT_DIFFICULTY,
+    encounter: EMPTY_ENCOUNTER,
+  };
+};
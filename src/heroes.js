@@ -0,0 +1,42 @@
+import { t, cardName } from './i18n.js';
+
+// --- HERO IDENTITIES ---
+// A hero card carries its hero-side stats (thw, atk, def, hand) and, when the fetcher found
+// the other side, `alter_ego` with { name, code, rec, hand }. `form` is 'hero' or 'alter_ego';
+// heroes picked before forms existed have none and stay on their hero side.
+export const isAlterEgo = (hero) => hero.form === 'alter_ego';
+
+export const formName = (hero) => (isAlterEgo(hero) ? (hero.alter_ego && cardName(hero.alter_ego)) || t('Alter-ego') : cardName(hero));
+
+// marvelcdb prints the alter-ego on the "b" side of the hero card.
+export const formCode = (hero) => (isAlterEgo(hero) ? (hero.alter_ego && hero.alter_ego.code) || hero.code.replace(/a$/, 'b') : hero.code);
+
+const HERO_STATS = [['thw', 'THW'], ['atk', 'ATK'], ['def', 'DEF'], ['hand', 'HAND']];
+const ALTER_EGO_STATS = [['rec', 'REC'], ['hand', 'HAND']];
+
+// Stats of the side face up, with attachment modifiers added in. Stats the card data
+// doesn't have (older fetches) are left out.
+export const formStats = (hero) => {
+  const source = isAlterEgo(hero) ? hero.alter_ego || {} : hero;
+  return (isAlterEgo(hero) ? ALTER_EGO_STATS : HERO_STATS)
+    .filter(([key]) => source[key] !== undefined && source[key] !== null)
+    .map(([key, label]) => ({ key, label, value: source[key] + (hero.attachments || []).reduce((sum, a) => sum + (a[key] || 0), 0) }));
+};
+
+// --- HERO MECHANICS ---
+// Trackers for heroes whose play hangs on something the board doesn't otherwise show.
+// A tracker is either a counter { key, label, max? } or a choice { key, label, options }.
+// New heroes only need an entry here; the hero panel and history read this list.
+export const HERO_MECHANICS = {
+  'Ant-Man': [{ key: 'size', label: 'Size', options: ['Tiny', 'Giant'] }],
+  'Wasp': [{ key: 'size', label: 'Size', options: ['Tiny', 'Giant'] }],
+  'Ironheart': [{ key: 'armor', label: 'Armor', options: ['Mk. I', 'Mk. II', 'Mk. III'] }],
+  'Groot': [{ key: 'growth', label: 'Growth' }],
+  'Spider-Ham': [{ key: 'toon', label: 'Toon' }],
+};
+
+export const heroMechanics = (hero) => HERO_MECHANICS[hero.name] || [];
+
+export const mechanicValue = (hero, mechanic) => (hero.mechanics || {})[mechanic.key] ?? 0;
+
+export const mechanicLabel = (mechanic, value) => (mechanic.options ? mechanic.options[value] || mechanic.options[0] : String(value));
@@ -0,0 +1,42 @@
+import { STRINGS } from './translations.js';
+
+// --- LANGUAGES ---
+// Interface text is written in English in the components and looked up by that same text, so
+// anything not yet translated stays English. Card names, traits, set and pack names and card art
+// come from `translations` in the card data (update_data.js). Cards keep their English name in
+// game state and records, so stats and campaigns don't split by language; they are only
+// translated for display and search.
+export const LANGUAGES = [
+  { code: 'en', label: 'English' },
+  { code: 'fr', label: 'Français' },
+  { code: 'de', label: 'Deutsch' },
+  { code: 'es', label: 'Español' },
+  { code: 'it', label: 'Italiano' },
+];
+
+// The browser's language when it is one of ours, for a first visit.
+export const browserLanguage = () => {
+  const code = (typeof navigator !== 'undefined' && navigator.language || 'en').slice(0, 2).toLowerCase();
+  return LANGUAGES.some(l => l.code === code) ? code : 'en';
+};
+
+// Set by the app before each render; everything below reads it.
+let active = { lang: 'en', data: null, cards: null };
+
+export const setLanguage = (lang, data) => {
+  if (active.lang === lang && active.data === data) return;
+  active = { lang, data, cards: (data.translations || {})[lang] || null };
+};
+
+// English needs no card translations; other languages only have them in data fetched since.
+export const hasCardTranslations = (data, lang) => lang === 'en' || !!(data.translations && data.translations[lang]);
+
+export const t = (text, values = {}) => ((STRINGS[active.lang] || {})[text] || text).replace(/\{(\w+)\}/g, (match, key) => (key in values ? values[key] : match));
+
+const lookup = (table, key) => (active.cards && active.cards[table] && active.cards[table][key]) || null;
+
+export const cardName = (card) => (card.code && lookup('names', card.code)) || card.name;
+export const traitName = (trait) => lookup('traits', trait) || trait;
+export const localSetName = (code) => lookup('sets', code);
+export const localPackName = (code) => lookup('packs', code);
+export const localCardImage = (code) => lookup('images', code);
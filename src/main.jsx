@@ -1,10 +1,13 @@
 import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
-import App from './App.jsx'
+import App, { SpectatorView } from './App.jsx'
+
+// `?view=spectator` is the read-only board that follows the tracker open in another window.
+const spectating = new URLSearchParams(window.location.search).get('view') === 'spectator'
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    {spectating ? <SpectatorView /> : <App />}
   </StrictMode>,
 )
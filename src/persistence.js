@@ -0,0 +1,161 @@
+import { DEFAULT_GAME, EMPTY_VILLAIN, EMPTY_HERO, EMPTY_SCHEME, EMPTY_ENCOUNTER, DEFAULT_DIFFICULTY, resizeHeroes } from './gameLog.js';
+
+// --- VERSIONED STORAGE ---
+// Every value is stored as { version, data }. A bare value without that envelope was written
+// before versioning and counts as version 0, so it runs through every migration step below.
+export const SCHEMA_VERSION = 2;
+
+// Which migrations apply to a key: action logs (one per save slot), the slot index, game records, the campaign log.
+const kindOf = (key) => (key === 'mc_log' || key.startsWith('mc_slot_') ? 'log' : { mc_slots: 'slots', mc_records: 'records', mc_campaign: 'campaign' }[key] || null);
+const LABELS = { log: 'game', slots: 'save slot list', records: 'game records', campaign: 'campaign log' };
+const labelOf = (key) => LABELS[kindOf(key)] || (key === 'mc_collection' ? 'collection' : key);
+
+// --- MIGRATIONS ---
+// Fields added to cards and game state over time get their defaults here, so the reducer
+// never has to guess. Each step only touches the kinds it names.
+const normalizeGame = (state) => {
+  const game = { ...DEFAULT_GAME, ...state };
+  const playerCount = game.playerCount || 1;
+  return {
+    ...game,
+    playerCount,
+    villain: { ...EMPTY_VILLAIN, ...game.villain, status: (game.villain && game.villain.status) || [] },
+    coVillains: Array.isArray(game.coVillains) ? game.coVillains : [],
+    heroes: resizeHeroes((Array.isArray(game.heroes) ? game.heroes : [EMPTY_HERO]).map(h => ({ ...EMPTY_HERO, ...h, status: (h && h.status) || [] })), playerCount),
+    mainScheme: { ...EMPTY_SCHEME, baseTarget: game.mainScheme && !game.mainScheme.target_fixed ? Math.round((game.mainScheme.target || 0) / playerCount) : 0, fixed: false, ...game.mainScheme },
+    units: (Array.isArray(game.units) ? game.units : []).filter(u => u && u.name).map((u, i) => ({ id: i + 1, type: 'minion', val: 0, max: 0, ...u })),
+    difficulty: { ...DEFAULT_DIFFICULTY, ...game.difficulty },
+    encounter: { ...EMPTY_ENCOUNTER, ...game.encounter },
+  };
+};
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    log: (log) => ({
+      id: log.id || `g${Date.now().toString(36)}`,
+      base: normalizeGame(log.base),
+      actions: (Array.isArray(log.actions) ? log.actions : []).filter(a => a && typeof a.type === 'string'),
+      cursor: Math.min(Number(log.cursor) || 0, Array.isArray(log.actions) ? log.actions.length : 0),
+    }),
+  },
+  {
+    version: 2,
+    records: (records) => records.map(r => ({ difficulty: DEFAULT_DIFFICULTY, reason: r.result === 'win' ? 'victory' : null, ...r })),
+    slots: (index) => {
+      const slots = index.slots.map(s => ({ createdAt: Date.now(), ...s }));
+      return { slots, active: slots.some(s => s.id === index.active) ? index.active : slots[0].id };
+    },
+  },
+];
+
+const migrate = (kind, data, from) => MIGRATIONS.reduce((value, step) => (step.version > from && step[kind] ? step[kind](value) : value), data);
+
+// A value that won't parse or migrate is kept under `<key>_corrupt` instead of being overwritten,
+// and one saved by a newer version of the app under `<key>_newer`, since the fallback returned in
+// its place gets saved straight back over it.
+const keepCopy = (key, raw) => {
+  try { window.localStorage.setItem(key, raw); } catch { /* nothing more we can do */ }
+};
+
+export const loadStored = (key, fallback) => {
+  let raw = null;
+  try {
+    raw = window.localStorage.getItem(key);
+    if (raw === null) return { value: fallback, issues: [] };
+    const parsed = JSON.parse(raw);
+    const versioned = parsed && typeof parsed === 'object' && !Array.isArray(parsed) && typeof parsed.version === 'number' && 'data' in parsed;
+    const version = versioned ? parsed.version : 0;
+    if (version > SCHEMA_VERSION) {
+      keepCopy(`${key}_newer`, raw);
+      return { value: fallback, issues: [`The saved ${labelOf(key)} comes from a newer version of the app and was not loaded (a copy was kept under ${key}_newer).`] };
+    }
+    const kind = kindOf(key);
+    return { value: kind ? migrate(kind, versioned ? parsed.data : parsed, version) : (versioned ? parsed.data : parsed), issues: [] };
+  } catch {
+    keepCopy(`${key}_corrupt`, raw);
+    return { value: fallback, issues: [`The saved ${labelOf(key)} could not be read and was reset (a copy was kept under ${key}_corrupt).`] };
+  }
+};
+
+export const saveStored = (key, value) => {
+  try { window.localStorage.setItem(key, JSON.stringify({ version: SCHEMA_VERSION, data: value })); } catch { /* quota: keep playing in memory */ }
+};
+
+// --- VALIDATION AGAINST CARD DATA ---
+// Cards are matched by code, then by name (codes have changed between data updates).
+// A matched card carried by an action is swapped for the current copy; a card the data
+// no longer has is dropped along with the action that added it, and reported.
+const findCard = (list, card) => list.find(c => card.code && c.code === card.code) || list.find(c => c.name === card.name);
+
+const UNIT_LISTS = { minion: 'minions', ally: 'allies', side_scheme: 'side_schemes' };
+
+const repairAction = (action, data, issues) => {
+  const lookup = (listName, card, label) => {
+    const list = data[listName] || [];
+    if (list.length === 0 || !card) return card;
+    const match = findCard(list, card);
+    if (!match) issues.push(`${label} "${card.name}" is no longer in the card data and was removed.`);
+    return match;
+  };
+  switch (action.type) {
+    case 'villain/select': {
+      const villain = lookup('villains', action.villain, 'Villain');
+      return villain && { ...action, villain };
+    }
+    case 'villains/select': {
+      // A group plays as a whole; losing any member drops the pick.
+      const villains = action.villains.map(v => lookup('villains', v, 'Villain'));
+      return villains.every(Boolean) && { ...action, villains };
+    }
+    case 'hero/select': {
+      const hero = lookup('heroes', action.hero, 'Hero');
+      return hero && { ...action, hero };
+    }
+    case 'scheme/select': {
+      const scheme = lookup('schemes', action.scheme, 'Scheme');
+      const stages = (action.stages || []).map(s => findCard(data.schemes || [], s) || s);
+      return scheme && { ...action, scheme, stages };
+    }
+    case 'unit/add': {
+      const match = lookup(UNIT_LISTS[action.unit.type] || 'minions', action.unit, 'Card');
+      return match && { ...action, unit: { ...action.unit, code: match.code } };
+    }
+    default:
+      return action;
+  }
+};
+
+const repairBase = (state, data, issues) => {
+  const known = (listName, card, label) => {
+    const list = data[listName] || [];
+    if (list.length === 0 || findCard(list, card)) return true;
+    issues.push(`${label} "${card.name}" is no longer in the card data and was removed.`);
+    return false;
+  };
+  const scheme = state.mainScheme.stages ? state.mainScheme.stages[state.mainScheme.stageIdx || 0] : state.mainScheme;
+  const coVillains = state.coVillains || [];
+  const villainsKnown = [state.villain, ...coVillains].every(v => v.name === EMPTY_VILLAIN.name || known('villains', v, 'Villain'));
+  return {
+    ...state,
+    villain: villainsKnown ? state.villain : EMPTY_VILLAIN,
+    coVillains: villainsKnown ? coVillains : [],
+    heroes: state.heroes.map(h => (h.name === EMPTY_HERO.name || known('heroes', h, 'Hero') ? h : EMPTY_HERO)),
+    mainScheme: state.mainScheme.name === EMPTY_SCHEME.name || known('schemes', scheme, 'Scheme') ? state.mainScheme : EMPTY_SCHEME,
+    units: state.units.filter(u => known(UNIT_LISTS[u.type] || 'minions', u, 'Card')),
+  };
+};
+
+// Dropped actions before the cursor pull it back so undo/redo still line up.
+export const repairLog = (log, data) => {
+  const issues = [];
+  const base = repairBase(log.base, data, issues);
+  const actions = [];
+  let cursor = log.cursor;
+  log.actions.forEach((action, i) => {
+    const repaired = repairAction(action, data, issues);
+    if (repaired) actions.push(repaired);
+    else if (i < log.cursor) cursor -= 1;
+  });
+  return { log: { ...log, base, actions, cursor }, issues: [...new Set(issues)] };
+};
@@ -0,0 +1,89 @@
+import { roundThreatBreakdown, roundThreat, countIcons, encounterDealCount, allVillains, isVillainDefeated, playerName, EMPTY_ENCOUNTER } from './gameLog.js';
+import { isAlterEgo, formName, formStats } from './heroes.js';
+import { t, cardName } from './i18n.js';
+
+// --- ROUND PHASE REMINDERS ---
+// Titles and reminders for each step of the round stepper, built from the board as it stands
+// so they only mention what is actually in play.
+export const stepTitle = (state, step) => {
+  switch (step.kind) {
+    case 'turn': return t("{player}'s turn", { player: playerName(state, step.player) });
+    case 'threat': return t('Villain phase: threat');
+    case 'activate': return t('Villain activates vs {player}', { player: playerName(state, step.player) });
+    case 'deal': return t('Deal encounter cards');
+    case 'first': return t('Pass first player');
+    default: return t('End of round');
+  }
+};
+
+const STATUS_REMINDERS = {
+  stunned: '{name} is stunned: the next attack only removes the stun.',
+  confused: '{name} is confused: the next thwart or scheme only removes the confusion.',
+  tough: '{name} is tough: the next damage only removes the tough status.',
+};
+
+// t() has no plural rules, so each count picks between a singular and a plural sentence.
+const counted = (n, one, many, values = {}) => t(n === 1 ? one : many, { n, ...values });
+
+const statusNotes = (card) => (card.status || []).filter(s => STATUS_REMINDERS[s]).map(s => t(STATUS_REMINDERS[s], { name: cardName(card) }));
+const counterNotes = (card) => (card.counters || []).filter(k => k.value > 0).map(k => counted(k.value, '{name} has {n} {counter} counter.', '{name} has {n} {counter} counters.', { name: cardName(card), counter: k.name }));
+
+// Heroes picked before forms were tracked don't say which side is up.
+const activationNote = (state, villain, slot) => {
+  const hero = state.heroes[slot];
+  if (!hero || !hero.code || !hero.form) return t('{villain} attacks if {player} is a hero, schemes if an alter-ego.', { villain: cardName(villain), player: playerName(state, slot) });
+  return isAlterEgo(hero) ? t('{villain} schemes: {alterEgo} is in alter-ego form.', { villain: cardName(villain), alterEgo: formName(hero) }) : t('{villain} attacks {hero}.', { villain: cardName(villain), hero: cardName(hero) });
+};
+
+const handSize = (hero) => (formStats(hero).find(st => st.key === 'hand') || {}).value;
+
+export const stepReminders = (state, step) => {
+  const villains = allVillains(state).filter(v => v.code && !isVillainDefeated(v));
+  const minions = state.units.filter(u => u.type === 'minion');
+  const encounter = state.encounter || EMPTY_ENCOUNTER;
+
+  switch (step.kind) {
+    case 'turn': {
+      const hero = state.heroes[step.player];
+      const allies = state.units.filter(u => u.type === 'ally' && (u.owner || 0) === step.player);
+      return [
+        t('You may flip between hero and alter-ego once this turn.'),
+        ...(hero && hero.code ? [...statusNotes(hero), ...counterNotes(hero)] : []),
+        ...(allies.length > 0 ? [counted(allies.length, '{n} ally in play: {names}.', '{n} allies in play: {names}.', { names: allies.map(cardName).join(', ') })] : []),
+      ];
+    }
+    case 'threat': {
+      const notes = roundThreatBreakdown(state).map(s => `${s.label}: +${s.amount}`);
+      notes.push(t('Total: +{total} threat on {scheme}.', { total: roundThreat(state), scheme: cardName(state.mainScheme) }));
+      if (countIcons(state, 'crisis') > 0) notes.push(t("Crisis: threat can't be removed from the main scheme."));
+      return notes;
+    }
+    case 'activate': {
+      const amplify = countIcons(state, 'amplify');
+      return [
+        ...villains.map(v => activationNote(state, v, step.player)),
+        ...villains.flatMap(statusNotes),
+        t('Deal one boost card facedown per activation.'),
+        ...(amplify > 0 ? [counted(amplify, 'Amplify: each boost card counts {n} extra boost icon.', 'Amplify: each boost card counts {n} extra boost icons.')] : []),
+        ...(minions.length > 0 ? [counted(minions.length, 'Minions engaged with {player} activate too ({n} minion in play).', 'Minions engaged with {player} activate too ({n} minions in play).', { player: playerName(state, step.player) })] : []),
+      ];
+    }
+    case 'deal': {
+      const hazard = countIcons(state, 'hazard');
+      return [
+        t('Deal one encounter card facedown to each player.'),
+        ...(hazard > 0 ? [counted(hazard, 'Hazard: {n} extra card, {total} cards in all, starting with the first player.', 'Hazard: {n} extra cards, {total} cards in all, starting with the first player.', { total: encounterDealCount(state) })] : []),
+        ...(encounter.deck.length > 0 || encounter.discard.length > 0 ? [counted(encounter.deck.length, 'The encounter deck has {n} card left.', 'The encounter deck has {n} cards left.')] : []),
+        t('Reveal them in player order, starting with the first player.'),
+      ];
+    }
+    case 'first':
+      return state.playerCount > 1
+        ? [t('The first player token passes from {from} to {to}.', { from: playerName(state, state.firstPlayer), to: playerName(state, (state.firstPlayer + 1) % state.playerCount) })]
+        : [t('Solo: you stay the first player.')];
+    default: {
+      const hands = state.heroes.filter(h => h.code && handSize(h) !== undefined).map(h => `${formName(h)} ${handSize(h)}`);
+      return [t('Ready all exhausted cards.'), hands.length > 0 ? t('Each player may discard any cards, then draws up to hand size ({hands}).', { hands: hands.join(', ') }) : t('Each player may discard any cards, then draws up to hand size.')];
+    }
+  }
+};
@@ -0,0 +1,72 @@
+import { DEFAULT_DIFFICULTY } from './gameLog.js';
+import { villainGroups, groupedVillainCodes } from './villainGroups.js';
+import { filterOwned, ownedModularSets } from './collection.js';
+
+// --- RANDOM GAMES ---
+// Rolls heroes, a villain (or villain group) and modular sets from what the players own,
+// optionally steered by the game records. Records name heroes and villains rather than
+// coding them, so history is matched by name throughout.
+
+// What a roll can draw from. Villain entries are { name, villain } or { name, group },
+// where `name` is what a finished game records as its villain.
+export const randomPool = (data, owned) => {
+  const groups = villainGroups(data);
+  const grouped = groupedVillainCodes(groups);
+  return {
+    heroes: filterOwned(data.heroes || [], owned),
+    villains: [
+      ...groups.filter(g => filterOwned(g.villains, owned).length === g.villains.length).map(group => ({ name: group.name, group })),
+      ...filterOwned(data.villains || [], owned).filter(v => !grouped.has(v.code)).map(villain => ({ name: villain.name, villain })),
+    ],
+    modulars: ownedModularSets(data, owned),
+  };
+};
+
+// How the records weigh a candidate, given the past games it appeared in.
+export const FAVOR_MODES = {
+  any: { label: 'Any', weight: () => 1 },
+  least: { label: 'Least played', weight: (games) => 1 / (1 + games.length) },
+  losses: { label: 'Most lost to', weight: (games) => 1 + games.filter(r => r.result === 'loss').length },
+};
+
+export const RECENT_OPTIONS = [0, 3, 5, 10];
+
+const sameDifficulty = (a, b) => a.mode === b.mode && (a.heroic || 0) === (b.heroic || 0);
+
+const weightedPick = (items, weight, rand) => {
+  const weights = items.map(weight);
+  let roll = rand() * weights.reduce((sum, w) => sum + w, 0);
+  const index = weights.findIndex(w => (roll -= w) < 0);
+  return items[index === -1 ? items.length - 1 : index];
+};
+
+// Fills every slot `locked` leaves empty (null). A hero is only paired with the villain again
+// within the last `recent` games when nobody else is left to pick.
+export const rollGame = ({ pool, records, playerCount, difficulty = DEFAULT_DIFFICULTY, favor = 'any', recent = 0, modularCount = 1, locked = {}, rand = Math.random }) => {
+  const weight = FAVOR_MODES[favor].weight;
+  const played = records.filter(r => sameDifficulty(r.difficulty || DEFAULT_DIFFICULTY, difficulty));
+  const villain = locked.villain || (pool.villains.length > 0 ? weightedPick(pool.villains, v => weight(played.filter(r => r.villain === v.name)), rand) : null);
+
+  const recentPairs = new Set((recent > 0 ? records.slice(-recent) : []).flatMap(r => r.heroes.map(h => `${h} vs ${r.villain}`)));
+  const lockedHeroes = locked.heroes || [];
+  const heroes = [];
+  for (let slot = 0; slot < playerCount; slot++) {
+    if (lockedHeroes[slot]) { heroes.push(lockedHeroes[slot]); continue; }
+    const taken = [...lockedHeroes, ...heroes].filter(Boolean).map(h => h.name);
+    const open = pool.heroes.filter(h => !taken.includes(h.name));
+    const fresh = villain ? open.filter(h => !recentPairs.has(`${h.name} vs ${villain.name}`)) : open;
+    const candidates = fresh.length > 0 ? fresh : open;
+    heroes.push(candidates.length > 0 ? weightedPick(candidates, h => weight(played.filter(r => villain && r.villain === villain.name && r.heroes.includes(h.name))), rand) : null);
+  }
+
+  const lockedModulars = locked.modulars || [];
+  const modulars = [];
+  for (let i = 0; i < modularCount; i++) {
+    if (lockedModulars[i]) { modulars.push(lockedModulars[i]); continue; }
+    const taken = [...lockedModulars, ...modulars].filter(Boolean).map(m => m.code);
+    const open = pool.modulars.filter(m => !taken.includes(m.code));
+    if (open.length > 0) modulars.push(weightedPick(open, () => 1, rand));
+  }
+
+  return { villain, heroes, modulars, difficulty };
+};
@@ -0,0 +1,135 @@
+import { gameReducer, DEFAULT_GAME, DEFAULT_DIFFICULTY } from './gameLog.js';
+import { villainGroups } from './villainGroups.js';
+
+// --- SHARED BOARD SNAPSHOTS ---
+// A snapshot keeps only card codes and the numbers on the table; names, stages and images
+// come back from marvel_data.json on import. The encounter deck and undo history stay behind.
+//   { v, p: players, r: round, f: first player, d: [mode, heroic],
+//     vi: [code, stageIdx, hp, status, tokens?], s: [stageCodes, stageIdx, threat],
+//     h: [[code, hp, status, tokens, form, mechanics]], u: [[type, code, val, max, owner, status, tokens?]],
+//     g?: group name, cv?: [[code, stageIdx, hp, status, tokens?]] }
+// `tokens` is { a: attachments, c: counters }, left off cards that have neither (null on heroes,
+// whose form and mechanics come after it).
+// `g` and `cv` only appear for multi-villain scenarios; `cv` holds every villain after the first.
+const SNAPSHOT_VERSION = 1;
+
+const tokensOf = (card) => ((card.attachments || []).length || (card.counters || []).length ? [{ a: card.attachments || [], c: card.counters || [] }] : []);
+const withTokens = (card, tokens) => (tokens ? { ...card, attachments: tokens.a || [], counters: tokens.c || [] } : card);
+const villainEntry = (v) => [v.code, v.stageIdx || 0, v.hp, v.status, ...tokensOf(v)];
+
+export const snapshotGame = (state) => {
+  const difficulty = state.difficulty || DEFAULT_DIFFICULTY;
+  const scheme = state.mainScheme;
+  const coVillains = state.coVillains || [];
+  return {
+    v: SNAPSHOT_VERSION,
+    p: state.playerCount,
+    r: state.round,
+    f: state.firstPlayer,
+    d: [difficulty.mode, difficulty.heroic],
+    vi: state.villain.code ? villainEntry(state.villain) : null,
+    s: scheme.code ? [scheme.stages ? scheme.stages.map(s => s.code) : [scheme.code], scheme.stageIdx || 0, scheme.threat] : null,
+    h: state.heroes.map(h => (h.code ? [h.code, h.hp, h.status, tokensOf(h)[0] || null, h.form || 'alter_ego', h.mechanics || {}] : null)),
+    u: state.units.filter(u => u.code).map(u => [u.type, u.code, u.val, u.max, u.owner || 0, u.status || [], ...tokensOf(u)]),
+    ...(coVillains.length > 0 ? { g: state.villain.group, cv: coVillains.map(villainEntry) } : {}),
+  };
+};
+
+const UNIT_LISTS = { minion: 'minions', ally: 'allies', side_scheme: 'side_schemes' };
+const toInt = (n, fallback = 0) => (Number.isFinite(Number(n)) ? Math.max(0, Math.round(Number(n))) : fallback);
+
+// Rebuilds the board through gameReducer so HP scaling and stage ranges match a live game,
+// then lays the snapshot's numbers on top. Unknown card codes are skipped and reported.
+export const restoreGame = (snapshot, data) => {
+  if (!snapshot || snapshot.v !== SNAPSHOT_VERSION) throw new Error("Not a shared game");
+  const issues = [];
+  const find = (listName, code, label) => {
+    const card = (data[listName] || []).find(c => c.code === code || (c.stage_codes || []).includes(code));
+    if (!card) issues.push(`${label} ${code} is not in the card data and was left out.`);
+    return card;
+  };
+
+  const playerCount = Math.min(4, Math.max(1, toInt(snapshot.p, 1)));
+  const [mode, heroic] = Array.isArray(snapshot.d) ? snapshot.d : [];
+  let state = gameReducer(DEFAULT_GAME, { type: 'players/set', count: playerCount });
+  state = gameReducer(state, { type: 'difficulty/set', difficulty: { mode: mode === 'expert' ? 'expert' : 'standard', heroic: Math.min(4, toInt(heroic)) } });
+
+  (snapshot.h || []).slice(0, playerCount).forEach((entry, slot) => {
+    if (!entry) return;
+    const hero = find('heroes', entry[0], 'Hero');
+    if (!hero) return;
+    state = gameReducer(state, { type: 'hero/select', slot, hero });
+    // Form and mechanics go back through the reducer so unknown keys and out-of-range values drop out.
+    if (entry[4] === 'hero') state = gameReducer(state, { type: 'hero/form', slot });
+    Object.entries(entry[5] || {}).forEach(([key, value]) => { state = gameReducer(state, { type: 'hero/mechanic', slot, key, value: toInt(value) }); });
+    state = { ...state, heroes: state.heroes.map((h, i) => (i === slot ? withTokens({ ...h, hp: toInt(entry[1], h.hp), status: entry[2] || [] }, entry[3]) : h)) };
+  });
+
+  if (snapshot.vi) {
+    // A group whose members can't all be found falls back to whichever villain leads it.
+    const entries = [snapshot.vi, ...(Array.isArray(snapshot.cv) ? snapshot.cv : [])];
+    const found = entries.map(([code]) => find('villains', code, 'Villain'));
+    if (entries.length > 1 && found.every(Boolean)) {
+      const group = villainGroups(data).find(g => g.name === snapshot.g);
+      state = gameReducer(state, { type: 'villains/select', name: snapshot.g || found.map(v => v.name).join(' & '), villains: found, optional: group ? group.optional : [] });
+    } else if (found[0]) {
+      state = gameReducer(state, { type: 'villain/select', villain: found[0] });
+    }
+    const placed = [state.villain, ...state.coVillains].filter(v => v.code).length;
+    entries.slice(0, placed).forEach(([, stageIdx, hp, status, tokens], slot) => {
+      const idx = Math.min(toInt(stageIdx), (found[slot].stages || [0]).length - 1);
+      state = gameReducer(state, { type: 'villain/stage', slot, idx });
+      const overlay = (v) => withTokens({ ...v, hp: toInt(hp, v.hp), status: status || [] }, tokens);
+      state = slot === 0 ? { ...state, villain: overlay(state.villain) } : { ...state, coVillains: state.coVillains.map((v, i) => (i === slot - 1 ? overlay(v) : v)) };
+    });
+  }
+
+  if (snapshot.s) {
+    const [codes, idx, threat] = snapshot.s;
+    const stages = (codes || []).map(code => find('schemes', code, 'Scheme')).filter(Boolean);
+    if (stages.length > 0) {
+      state = gameReducer(state, { type: 'scheme/select', scheme: stages[Math.min(toInt(idx), stages.length - 1)], stages });
+      state = { ...state, mainScheme: { ...state.mainScheme, threat: toInt(threat, state.mainScheme.threat) } };
+    }
+  }
+
+  const units = [];
+  (snapshot.u || []).forEach(([type, code, val, max, owner, status, tokens], i) => {
+    if (!UNIT_LISTS[type]) return;
+    const template = find(UNIT_LISTS[type], code, 'Card');
+    if (template) units.push(withTokens({ ...template, id: i + 1, type, val: toInt(val), max: toInt(max), status: status || [], ...(type === 'ally' ? { owner: Math.min(toInt(owner), playerCount - 1) } : {}) }, tokens));
+  });
+
+  return {
+    state: { ...state, units, round: Math.max(1, toInt(snapshot.r, 1)), firstPlayer: Math.min(toInt(snapshot.f), playerCount - 1) },
+    issues: [...new Set(issues)],
+  };
+};
+
+// --- LINKS ---
+// "#g=<base64url JSON>" — a fragment never reaches a server, and a full board stays well under URL limits.
+const LINK_PREFIX = '#g=';
+
+const toBase64Url = (text) => btoa(String.fromCharCode(...new TextEncoder().encode(text))).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+const fromBase64Url = (text) => new TextDecoder().decode(Uint8Array.from(atob(text.replace(/-/g, '+').replace(/_/g, '/')), c => c.charCodeAt(0)));
+
+export const gameLink = (state, baseUrl) => `${baseUrl}${LINK_PREFIX}${toBase64Url(JSON.stringify(snapshotGame(state)))}`;
+
+// Returns the snapshot in a shared link, or null when the URL doesn't carry one (or it's garbled).
+export const readGameLink = (hash) => {
+  if (!hash || !hash.startsWith(LINK_PREFIX)) return null;
+  try {
+    return JSON.parse(fromBase64Url(hash.slice(LINK_PREFIX.length)));
+  } catch {
+    return null;
+  }
+};
+
+// --- FILES ---
+export const exportGame = (state) => JSON.stringify({ app: 'marvel-tracker', kind: 'game', version: SNAPSHOT_VERSION, game: snapshotGame(state) }, null, 2);
+
+export const importGame = (text) => {
+  const parsed = JSON.parse(text);
+  if (!parsed || parsed.kind !== 'game' || !parsed.game) throw new Error("File does not contain a game");
+  return parsed.game;
+};
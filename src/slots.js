@@ -0,0 +1,64 @@
+import { createLog, foldLog, loadLegacyGame, describeDifficulty, villainTitle, DEFAULT_DIFFICULTY } from './gameLog.js';
+import { loadStored, saveStored } from './persistence.js';
+
+// --- SAVE SLOTS ---
+// The slot index lives under `mc_slots` as { active, slots: [{ id, name, createdAt }] }.
+// Each slot's action log has its own key, so playing in one slot never rewrites the others.
+const slotKey = (id) => `mc_slot_${id}`;
+
+export const newSlotId = () => `s${Date.now().toString(36)}`;
+
+// Returns { value, issues }; value is null when the slot has never been saved or couldn't be read.
+export const readSlotLog = (id) => loadStored(slotKey(id), null);
+
+export const writeSlotLog = (id, log) => saveStored(slotKey(id), log);
+
+export const removeSlotLog = (id) => {
+  try { window.localStorage.removeItem(slotKey(id)); } catch { /* nothing to clean up */ }
+};
+
+// First run with slots: the single game saved under `mc_log` (or the older per-slice keys) becomes "Game 1".
+export const initialSlots = () => ({ active: 's1', slots: [{ id: 's1', name: 'Game 1', createdAt: Date.now() }] });
+
+export const loadActiveLog = (id) => {
+  const slot = readSlotLog(id);
+  if (slot.value) return slot;
+  const single = loadStored('mc_log', null);
+  return { value: single.value || createLog(loadLegacyGame()), issues: [...slot.issues, ...single.issues] };
+};
+
+// --- SLOT LIST EDITS ---
+export const addSlot = (index, slot) => ({ ...index, slots: [...index.slots, slot] });
+
+export const renameSlot = (index, id, name) => ({ ...index, slots: index.slots.map(s => (s.id === id ? { ...s, name } : s)) });
+
+// Deleting the active slot hands over to its neighbour; the last slot can't be deleted.
+export const deleteSlot = (index, id) => {
+  if (index.slots.length <= 1) return index;
+  const at = index.slots.findIndex(s => s.id === id);
+  const slots = index.slots.filter(s => s.id !== id);
+  return { active: index.active === id ? slots[Math.min(at, slots.length - 1)].id : index.active, slots };
+};
+
+export const copyName = (index, name) => {
+  const names = new Set(index.slots.map(s => s.name));
+  let n = 2;
+  while (names.has(`${name} (${n})`)) n += 1;
+  return `${name} (${n})`;
+};
+
+// --- SUMMARIES ---
+export const summarizeSlot = (slot, log) => {
+  const state = foldLog(log);
+  const last = log.actions[Math.max(0, log.cursor - 1)];
+  return {
+    ...slot,
+    lastPlayed: (log.cursor > 0 && last && last.at) || slot.createdAt,
+    villain: villainTitle(state),
+    heroes: state.heroes.filter(h => h.code).map(h => h.name),
+    round: state.round,
+    threat: state.mainScheme.threat,
+    target: state.mainScheme.target,
+    difficulty: describeDifficulty(state.difficulty || DEFAULT_DIFFICULTY),
+  };
+};
@@ -0,0 +1,86 @@
+import { villainTitle, DEFAULT_DIFFICULTY } from './gameLog.js';
+
+// --- FINISHED GAME RECORDS ---
+// One entry per finished game, stored under `mc_records` and untouched by resetGame.
+// `timeline` is the game's round-by-round board (see timeline.js); older records have none.
+
+export const buildRecord = (state, outcome, gameId, timeline = null) => {
+  const firstScheme = state.mainScheme.stages ? state.mainScheme.stages[0] : state.mainScheme;
+  return {
+    id: `${gameId || 'game'}-${Date.now()}`,
+    gameId: gameId || null,
+    endedAt: new Date().toISOString(),
+    heroes: state.heroes.filter(h => h.code).map(h => h.name),
+    villain: villainTitle(state),
+    scheme: firstScheme.name,
+    playerCount: state.playerCount,
+    difficulty: state.difficulty || DEFAULT_DIFFICULTY,
+    rounds: state.round,
+    result: outcome === 'victory' ? 'win' : 'loss',
+    reason: outcome,
+    ...(timeline ? { timeline } : {}),
+  };
+};
+
+// Undoing a finish and playing on replaces that game's record instead of adding a second one.
+export const upsertRecord = (records, record) => {
+  if (!record.gameId) return [...records, record];
+  const rest = records.filter(r => r.gameId !== record.gameId);
+  return [...rest, { ...record, id: (records.find(r => r.gameId === record.gameId) || record).id }];
+};
+
+// --- AGGREGATES ---
+const tally = (map, key, record) => {
+  const row = map.get(key) || { key, games: 0, wins: 0, winRounds: 0 };
+  row.games += 1;
+  if (record.result === 'win') { row.wins += 1; row.winRounds += record.rounds; }
+  map.set(key, row);
+};
+
+const finish = (map) => [...map.values()]
+  .map(row => ({ ...row, winRate: row.games ? row.wins / row.games : 0, avgWinRounds: row.wins ? row.winRounds / row.wins : null }))
+  .sort((a, b) => b.games - a.games || b.winRate - a.winRate || a.key.localeCompare(b.key));
+
+export const computeStats = (records) => {
+  const heroes = new Map();
+  const villains = new Map();
+  const matchups = new Map();
+  const scenarios = new Map();
+  let wins = 0;
+  let winRounds = 0;
+
+  for (const r of records) {
+    if (r.result === 'win') { wins += 1; winRounds += r.rounds; }
+    tally(villains, r.villain, r);
+    tally(scenarios, `${r.villain} — ${r.scheme}`, r);
+    for (const hero of r.heroes) {
+      tally(heroes, hero, r);
+      tally(matchups, `${hero} vs ${r.villain}`, r);
+    }
+  }
+
+  return {
+    games: records.length,
+    wins,
+    winRate: records.length ? wins / records.length : 0,
+    avgWinRounds: wins ? winRounds / wins : null,
+    heroes: finish(heroes),
+    villains: finish(villains),
+    matchups: finish(matchups),
+    scenarios: finish(scenarios),
+  };
+};
+
+// --- IMPORT / EXPORT ---
+export const exportRecords = (records) => JSON.stringify({ app: 'marvel-tracker', kind: 'records', version: 1, records }, null, 2);
+
+// Accepts our export envelope or a bare array; merges by id so re-importing the same file is harmless.
+export const importRecords = (records, text) => {
+  const parsed = JSON.parse(text);
+  const incoming = Array.isArray(parsed) ? parsed : parsed && Array.isArray(parsed.records) ? parsed.records : null;
+  if (!incoming) throw new Error("File does not contain a game log");
+  const valid = incoming.filter(r => r && typeof r.id === 'string' && typeof r.villain === 'string' && Array.isArray(r.heroes) && (r.result === 'win' || r.result === 'loss'));
+  const known = new Set(records.map(r => r.id));
+  const added = valid.filter(r => !known.has(r.id)).map(r => ({ ...r, rounds: Number(r.rounds) || 0 }));
+  return { records: [...records, ...added].sort((a, b) => (a.endedAt || "").localeCompare(b.endedAt || "")), added: added.length, skipped: incoming.length - added.length };
+};
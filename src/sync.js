@@ -0,0 +1,139 @@
+import { useState, useEffect, useRef, useEffectEvent } from 'react';
+import { appendAction, undo, redo, jumpTo } from './gameLog.js';
+
+// --- TABLE SYNC ---
+// One device hosts; its action log is the board every device shows. Joiners send their
+// actions to the host, which appends them in arrival order and publishes the new log.
+// Dial changes are deltas, so two players tapping at once both count; picks (villain,
+// hero, scheme) go to whichever reached the host last. Until the host confirms a joiner's
+// action, that joiner replays it on top of the latest board so taps never bounce back.
+//
+// Messages: hello {from} · bye {from} · state {from, seq, log, acks}
+//           action {from, n, action} · command {from, command, cursor?, log?}
+const SESSION_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+export const newSessionCode = () => Array.from({ length: 5 }, () => SESSION_CHARS[Math.floor(Math.random() * SESSION_CHARS.length)]).join('');
+
+const newPeerId = () => `p${Math.random().toString(36).slice(2, 10)}`;
+
+// BroadcastChannel covers tabs on one device; the relay (relay_server.js) covers other devices.
+// With both open a message can arrive twice, which the seq/n checks below absorb.
+// `onRelayOpen` runs each time the relay stream (re)connects: anything sent before that
+// moment, like the host's reply to a hello, may never have reached this device.
+const openTransport = (code, relayUrl, onMessage, onRelayStatus, onRelayOpen) => {
+  const channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(`mc_sync_${code}`) : null;
+  if (channel) channel.onmessage = (e) => onMessage(e.data);
+
+  const url = relayUrl ? `${relayUrl.replace(/\/+$/, '')}/s/${code}` : null;
+  const events = url ? new EventSource(url) : null;
+  if (events) {
+    onRelayStatus('connecting');
+    events.onopen = () => { onRelayStatus('open'); onRelayOpen(); };
+    events.onerror = () => onRelayStatus(events.readyState === EventSource.CLOSED ? 'error' : 'connecting');
+    events.onmessage = (e) => { try { onMessage(JSON.parse(e.data)); } catch { /* not a sync message */ } };
+  }
+
+  return {
+    send: (message) => {
+      if (channel) channel.postMessage(message);
+      if (url) fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(message) }).catch(() => onRelayStatus('error'));
+    },
+    close: () => {
+      if (channel) channel.close();
+      if (events) events.close();
+    },
+  };
+};
+
+const COMMANDS = { undo, redo };
+
+// `applyRemote` runs a joiner's action through the host's own dispatch, so records and
+// stage flips behave exactly as if it had been tapped on the host.
+export const useTableSync = ({ log, setLog, applyRemote }) => {
+  const [peerId] = useState(newPeerId);
+  const [session, setSession] = useState(null);
+  const [status, setStatus] = useState({ peers: [], relay: null, synced: false });
+  const transport = useRef(null);
+  const seq = useRef(0);
+  const acks = useRef({});
+  const pending = useRef([]);
+  const counter = useRef(0);
+  const lastState = useRef({ host: null, seq: -1 });
+
+  const publish = useEffectEvent(() => {
+    seq.current += 1;
+    transport.current.send({ type: 'state', from: peerId, seq: seq.current, log, acks: acks.current });
+  });
+
+  const onMessage = useEffectEvent((msg) => {
+    if (!msg || msg.from === peerId || !transport.current) return;
+    if (session.role === 'host') {
+      if (msg.type === 'hello') {
+        setStatus(s => ({ ...s, peers: s.peers.includes(msg.from) ? s.peers : [...s.peers, msg.from] }));
+        publish();
+      } else if (msg.type === 'bye') {
+        setStatus(s => ({ ...s, peers: s.peers.filter(p => p !== msg.from) }));
+      } else if (msg.type === 'action' && msg.n > (acks.current[msg.from] || 0)) {
+        acks.current = { ...acks.current, [msg.from]: msg.n };
+        applyRemote(msg.action);
+      } else if (msg.type === 'command') {
+        if (COMMANDS[msg.command]) setLog(COMMANDS[msg.command]);
+        if (msg.command === 'jump') setLog(prev => jumpTo(prev, msg.cursor));
+        if (msg.command === 'replace' && msg.log) setLog(msg.log);
+      }
+      return;
+    }
+    if (msg.type !== 'state') return;
+    // A restarted host counts from zero again, so sequence numbers only compare within one host.
+    if (msg.from === lastState.current.host && msg.seq <= lastState.current.seq) return;
+    lastState.current = { host: msg.from, seq: msg.seq };
+    pending.current = pending.current.filter(p => p.n > ((msg.acks || {})[peerId] || 0));
+    setLog(pending.current.reduce((current, p) => appendAction(current, p.action), msg.log));
+    setStatus(s => (s.synced ? s : { ...s, synced: true }));
+  });
+
+  useEffect(() => {
+    if (!session) return undefined;
+    // Said again once the relay stream is open, so the host's answer can't slip past it.
+    const hello = () => t.send({ type: 'hello', from: peerId });
+    const t = openTransport(session.code, session.relayUrl, (msg) => onMessage(msg), (relay) => setStatus(s => ({ ...s, relay })), hello);
+    transport.current = t;
+    seq.current = 0;
+    acks.current = {};
+    pending.current = [];
+    lastState.current = { host: null, seq: -1 };
+    hello();
+    return () => {
+      t.send({ type: 'bye', from: peerId });
+      t.close();
+      transport.current = null;
+    };
+  }, [session, peerId]);
+
+  // The host publishes every change to its log, whoever made it.
+  useEffect(() => {
+    if (session && session.role === 'host' && transport.current) publish();
+  }, [session, log]);
+
+  const joined = Boolean(session && session.role === 'join');
+
+  return {
+    session,
+    status,
+    joined,
+    start: (next) => { setStatus({ peers: [], relay: next.relayUrl ? 'connecting' : null, synced: next.role === 'host' }); setSession(next); },
+    stop: () => setSession(null),
+    // Joiners hand their actions to the host; returns false when this device decides alone.
+    submit: (action) => {
+      if (!joined || !transport.current) return false;
+      counter.current += 1;
+      pending.current = [...pending.current, { n: counter.current, action }];
+      transport.current.send({ type: 'action', from: peerId, n: counter.current, action });
+      return true;
+    },
+    command: (command, extra = {}) => {
+      if (!joined || !transport.current) return false;
+      transport.current.send({ type: 'command', from: peerId, command, ...extra });
+      return true;
+    },
+  };
+};
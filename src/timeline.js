@@ -0,0 +1,69 @@
+import { gameReducer, allVillains, getOutcome } from './gameLog.js';
+
+// --- ROUND TIMELINE ---
+// Replays the action log and samples the board as each round ends, plus once more for the board
+// as it stands (the final board, for a finished game). Marks note villain stage flips, main
+// scheme stages completed and side schemes cleared, in the round they happened.
+//   { heroes: [names], points: [{ round, villainHp, threat, sideThreat, minions, heroHp: [], final? }],
+//     marks: [{ round, kind: 'villain' | 'scheme' | 'side' | 'end', label }] }
+
+// Stage changes caused by picking the scenario aren't part of the game's story.
+const SETUP_ACTIONS = ['villain/select', 'villains/select', 'scheme/select', 'difficulty/set', 'players/set'];
+const STAGE_LABELS = ['I', 'II', 'III'];
+const OUTCOME_LABELS = { victory: 'Villain defeated', defeat: 'Heroes defeated', scheme: 'Scheme completed' };
+
+export const timelinePoint = (state) => ({
+  round: state.round,
+  villainHp: allVillains(state).filter(v => v.code).reduce((sum, v) => sum + Math.max(0, v.hp), 0),
+  threat: state.mainScheme.threat,
+  sideThreat: state.units.filter(u => u.type === 'side_scheme').reduce((sum, u) => sum + u.val, 0),
+  minions: state.units.filter(u => u.type === 'minion').length,
+  heroHp: state.heroes.map(h => (h.code ? h.hp : null)),
+});
+
+const stageMarks = (before, after, action) => {
+  if (SETUP_ACTIONS.includes(action.type)) return [];
+  const marks = [];
+  const previous = allVillains(before);
+  allVillains(after).forEach((v, slot) => {
+    const was = previous[slot];
+    if (was && was.code === v.code && (was.stageIdx || 0) !== (v.stageIdx || 0)) marks.push({ kind: 'villain', label: `${v.name} stage ${STAGE_LABELS[v.stageIdx || 0] || (v.stageIdx || 0) + 1}` });
+  });
+  const scheme = before.mainScheme;
+  if (scheme.stages && after.mainScheme.stages === scheme.stages && after.mainScheme.stageIdx > scheme.stageIdx) marks.push({ kind: 'scheme', label: `${scheme.name} completed` });
+  if (action.type === 'unit/remove') {
+    const unit = before.units.find(u => u.id === action.id);
+    if (unit && unit.type === 'side_scheme') marks.push({ kind: 'side', label: `${unit.name} cleared` });
+  }
+  return marks;
+};
+
+export const buildTimeline = (log) => {
+  const points = [];
+  const marks = [];
+  let state = log.base;
+  for (const action of log.actions.slice(0, log.cursor)) {
+    const next = gameReducer(state, action);
+    marks.push(...stageMarks(state, next, action).map(mark => ({ round: state.round, ...mark })));
+    if (next.round > state.round) points.push(timelinePoint(state));
+    state = next;
+  }
+  points.push({ ...timelinePoint(state), final: true });
+  const outcome = getOutcome(state);
+  if (outcome) marks.push({ round: state.round, kind: 'end', label: OUTCOME_LABELS[outcome] });
+  return { heroes: state.heroes.map(h => (h.code ? h.name : null)), points, marks };
+};
+
+// --- CSV ---
+const csvCell = (value) => (/[",\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : String(value));
+
+export const timelineCsv = (timeline) => {
+  const heroes = timeline.heroes.map((name, i) => [name, i]).filter(([name]) => name);
+  const header = ['round', 'villain_hp', 'main_scheme_threat', 'side_scheme_threat', 'minions', ...heroes.map(([name]) => `${name} hp`), 'events'];
+  const rows = timeline.points.map(p => [
+    p.final ? `${p.round} (latest)` : p.round, p.villainHp, p.threat, p.sideThreat, p.minions,
+    ...heroes.map(([, i]) => p.heroHp[i] ?? ''),
+    timeline.marks.filter(m => m.round === p.round).map(m => m.label).join('; '),
+  ]);
+  return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\n');
+};
@@ -0,0 +1,1261 @@
+// --- INTERFACE TRANSLATIONS ---
+// Keyed by the English text as written in the components; `{name}` placeholders are filled in
+// by t() in i18n.js. A string missing from a language is shown in English.
+export const STRINGS = {
+  fr: {
+    'SETUP': 'PRÉPARATION',
+    'START': 'JOUER',
+    'Team Size': 'Joueurs',
+    'Difficulty': 'Difficulté',
+    'Heroic': 'Héroïque',
+    'OFF': 'NON',
+    'Language': 'Langue',
+    'Standard': 'Standard',
+    'Expert': 'Expert',
+    'Card names stay in English until the card data is fetched with its translations.': 'Les noms des cartes restent en anglais tant que les données ne sont pas récupérées avec leurs traductions.',
+    'HEROES': 'HÉROS',
+    'VILLAINS': 'MÉCHANTS',
+    'Main Scheme': 'Manigance principale',
+    'Villain HP': 'PV du méchant',
+    'Hero HP': 'PV du héros',
+    'Defeated': 'Vaincu',
+    'Optional': 'Facultatif',
+    'Crisis': 'Crise',
+    'Alter-ego': 'Alter-ego',
+    'Start': 'Commencer',
+    'Next round': 'Round suivant',
+    'Done': 'Fait',
+    'Round {round}': 'Round {round}',
+    'Step {step}/{total}': 'Étape {step}/{total}',
+    'Not started': 'Pas commencé',
+    'Tap Start when round {round} begins': 'Touchez Commencer au début du round {round}',
+    'Round times': 'Durée des rounds',
+    'avg': 'moy.',
+    "{player}'s turn": 'Tour de {player}',
+    'Villain phase: threat': 'Phase du méchant : menace',
+    'Villain activates vs {player}': "Le méchant s'active contre {player}",
+    'Deal encounter cards': 'Distribuer les cartes Rencontre',
+    'Pass first player': 'Passer le premier joueur',
+    'End of round': 'Fin du round',
+    'Round {round} · +{total} threat': 'Round {round} · +{total} menace',
+    'Hazard: deal {count} encounter cards ({extra} extra)': 'Danger : distribuez {count} cartes Rencontre ({extra} en plus)',
+    'Encounter': 'Rencontre',
+    'No boost': 'Pas de boost',
+    'PUT INTO PLAY': 'METTRE EN JEU',
+    'DONE': 'OK',
+    'Scheme Completed!': 'Manigance accomplie !',
+    'The final main scheme stage has reached its target threat level. The villain wins.': 'La dernière étape de la manigance principale a atteint sa menace cible. Le méchant gagne.',
+    'Heroes Defeated': 'Héros vaincus',
+    'Every hero has been knocked out. The villain wins.': 'Tous les héros sont hors de combat. Le méchant gagne.',
+    'Villain Defeated!': 'Méchant vaincu !',
+    "The villain's final stage has been knocked out. The heroes win.": 'La dernière phase du méchant est vaincue. Les héros gagnent.',
+    'REMATCH': 'REVANCHE',
+    'PICK ANOTHER SCHEME': 'CHOISIR UNE AUTRE MANIGANCE',
+    'Dismiss': 'Fermer',
+    'REINFORCEMENTS': 'RENFORTS',
+    'minions': 'sbires',
+    'allies': 'alliés',
+    'schemes': 'manigances',
+    'For': 'Pour',
+    'Search name, trait, set, text...': 'Nom, trait, set, texte...',
+    'Any trait': 'Tous les traits',
+    'Any set': 'Tous les sets',
+    'Any pack': 'Toutes les boîtes',
+    'trait': 'trait',
+    'set': 'set',
+    'pack': 'boîte',
+    'Shared board': 'Partie partagée',
+    'Open it in a new save slot? Your current game stays where it is.': "L'ouvrir dans un nouvel emplacement ? Votre partie en cours reste intacte.",
+    'IGNORE': 'IGNORER',
+    'OPEN': 'OUVRIR',
+    'COLLECTION': 'COLLECTION',
+    'SAVES': 'SAUVEGARDES',
+    'STORAGE': 'STOCKAGE',
+    'RANDOM GAME': 'PARTIE ALÉATOIRE',
+    'CAMPAIGN': 'CAMPAGNE',
+    'TABLE SYNC': 'SYNCHRO DE TABLE',
+    'TIMELINE': 'CHRONOLOGIE',
+    'STATS': 'STATS',
+    'HISTORY': 'HISTORIQUE',
+    'heroes': 'héros',
+    'villains': 'méchants',
+    'matchups': 'affrontements',
+    'scenarios': 'scénarios',
+    'log': 'journal',
+    'Saved game partly restored': 'Partie sauvegardée restaurée en partie',
+    '+{amplify} boost from amplify': '+{amplify} boost grâce à amplification',
+    'Deck reshuffled — acceleration token added': 'Deck mélangé — jeton accélération ajouté',
+    'Base': 'Base',
+    '{name} acceleration': 'Accélération de {name}',
+    '{name} acceleration icon': "Icône d'accélération de {name}",
+    'Heroic {level}': 'Héroïque {level}',
+    'Acceleration tokens': 'Jetons accélération',
+    '{name} is stunned: the next attack only removes the stun.': '{name} est sonné : la prochaine attaque ne fait que retirer le sonné.',
+    '{name} is confused: the next thwart or scheme only removes the confusion.': '{name} est désorienté : la prochaine contrecarre ou manigance ne fait que retirer la désorientation.',
+    '{name} is tough: the next damage only removes the tough status.': '{name} est résistant : les prochains dégâts ne font que retirer le statut résistant.',
+    '{name} has {n} {counter} counter.': '{name} a {n} marqueur {counter}.',
+    '{name} has {n} {counter} counters.': '{name} a {n} marqueurs {counter}.',
+    '{villain} attacks if {player} is a hero, schemes if an alter-ego.': "{villain} attaque si {player} est un héros, manigance s'il est en alter-ego.",
+    '{villain} schemes: {alterEgo} is in alter-ego form.': '{villain} manigance : {alterEgo} est en forme alter-ego.',
+    '{villain} attacks {hero}.': '{villain} attaque {hero}.',
+    'You may flip between hero and alter-ego once this turn.': 'Vous pouvez passer de héros à alter-ego une fois pendant ce tour.',
+    '{n} ally in play: {names}.': '{n} allié en jeu : {names}.',
+    '{n} allies in play: {names}.': '{n} alliés en jeu : {names}.',
+    'Total: +{total} threat on {scheme}.': 'Total : +{total} menace sur {scheme}.',
+    "Crisis: threat can't be removed from the main scheme.": 'Crise : la menace ne peut pas être retirée de la manigance principale.',
+    'Deal one boost card facedown per activation.': 'Distribuez une carte boost face cachée par activation.',
+    'Amplify: each boost card counts {n} extra boost icon.': 'Amplification : chaque carte boost compte {n} icône boost en plus.',
+    'Amplify: each boost card counts {n} extra boost icons.': 'Amplification : chaque carte boost compte {n} icônes boost en plus.',
+    'Minions engaged with {player} activate too ({n} minion in play).': "Les sbires engagés avec {player} s'activent aussi ({n} sbire en jeu).",
+    'Minions engaged with {player} activate too ({n} minions in play).': "Les sbires engagés avec {player} s'activent aussi ({n} sbires en jeu).",
+    'Deal one encounter card facedown to each player.': 'Distribuez une carte Rencontre face cachée à chaque joueur.',
+    'Hazard: {n} extra card, {total} cards in all, starting with the first player.': 'Danger : {n} carte en plus, {total} cartes en tout, en commençant par le premier joueur.',
+    'Hazard: {n} extra cards, {total} cards in all, starting with the first player.': 'Danger : {n} cartes en plus, {total} cartes en tout, en commençant par le premier joueur.',
+    'The encounter deck has {n} card left.': 'Il reste {n} carte dans le deck Rencontre.',
+    'The encounter deck has {n} cards left.': 'Il reste {n} cartes dans le deck Rencontre.',
+    'Reveal them in player order, starting with the first player.': "Révélez-les dans l'ordre des joueurs, en commençant par le premier joueur.",
+    'The first player token passes from {from} to {to}.': 'Le jeton premier joueur passe de {from} à {to}.',
+    'Solo: you stay the first player.': 'Solo : vous restez le premier joueur.',
+    'Ready all exhausted cards.': 'Préparez toutes les cartes épuisées.',
+    'Each player may discard any cards, then draws up to hand size.': "Chaque joueur peut défausser des cartes, puis pioche jusqu'à sa taille de main.",
+    'Each player may discard any cards, then draws up to hand size ({hands}).': "Chaque joueur peut défausser des cartes, puis pioche jusqu'à sa taille de main ({hands}).",
+    'a card': 'une carte',
+    '{name} no longer {status}': "{name} n'est plus {status}",
+    '{name} {status}': '{name} {status}',
+    'Round {round} started': 'Round {round} commencé',
+    "{player}'s turn done": 'Tour de {player} terminé',
+    'Villain phase: +{threat} threat': 'Phase du méchant : +{threat} menace',
+    '{villain} activated against {player}': "{villain} s'active contre {player}",
+    'Encounter cards dealt': 'Cartes Rencontre distribuées',
+    'First player → {player}': 'Premier joueur → {player}',
+    'Round {round} over ({time})': 'Round {round} terminé ({time})',
+    'stage {stage}': 'phase {stage}',
+    'defeated': 'vaincu',
+    'Villain: {name}': 'Méchant : {name}',
+    'Villains: {group} ({names})': 'Méchants : {group} ({names})',
+    '{hero} flips to {form}': '{hero} passe en {form}',
+    'Form flipped': 'Forme changée',
+    'Hero tracker changed': 'Suivi du héros modifié',
+    'Main scheme: {name}': 'Manigance principale : {name}',
+    '{scheme} threat {delta}': '{scheme} menace {delta}',
+    'Team size: {count}': 'Joueurs : {count}',
+    "{kind} '{name}' enters play": "{kind} '{name}' entre en jeu",
+    'Unit changed': 'Carte modifiée',
+    '{name} restored': '{name} rétabli',
+    'Unit restored': 'Carte rétablie',
+    'Unit removed': 'Carte retirée',
+    "{kind} '{name}' cleared": "{kind} '{name}' déjouée",
+    "{kind} '{name}' defeated": "{kind} '{name}' vaincu",
+    'Status changed': 'Statut modifié',
+    "'{name}' attached to {target}": "'{name}' attaché à {target}",
+    "'{name}' removed from {target}": "'{name}' retiré de {target}",
+    'Attachment removed from {target}': 'Attachement retiré de {target}',
+    '{name} counters on {target} ({value})': 'Marqueurs {name} sur {target} ({value})',
+    'counters': 'marqueurs',
+    'Counters removed from {target}': 'Marqueurs retirés de {target}',
+    'End of round: +{threat} threat': 'Fin du round : +{threat} menace',
+    'Difficulty: {difficulty}': 'Difficulté : {difficulty}',
+    'Encounter deck built ({count} cards)': 'Deck Rencontre créé ({count} cartes)',
+    'Encounter deck empty': 'Deck Rencontre vide',
+    '{boost} boost': '{boost} boost',
+    "Boost '{name}'": "Boost '{name}'",
+    "Dealt '{name}'": "Distribuée '{name}'",
+    'reshuffled, +1 acceleration': 'mélangé, +1 accélération',
+    'Minion': 'Sbire',
+    'Ally': 'Allié',
+    'Side scheme': 'Manigance annexe',
+    'stunned': 'sonné',
+    'confused': 'désorienté',
+    'tough': 'résistant',
+    'retaliate': 'riposte',
+    'piercing': 'perçant',
+    'guard': 'garde',
+    'patrol': 'patrouille',
+    'steady': 'inébranlable',
+    'stalwart': 'vaillant',
+    'Any': 'Tous',
+    'Least played': 'Moins joués',
+    'Most lost to': 'Plus de défaites',
+    'Size': 'Taille',
+    'Tiny': 'Minuscule',
+    'Giant': 'Géant',
+    'Armor': 'Armure',
+    'Growth': 'Croissance',
+    'Toon': 'Toon',
+    'Status': 'Statut',
+    'Attachments': 'Attachements',
+    'Attachment name...': "Nom de l'attachement...",
+    'ATTACH': 'ATTACHER',
+    'Counters': 'Compteurs',
+    'Counter name...': 'Nom du compteur...',
+    'ADD': 'AJOUTER',
+    'Loaded {count} packs ({unknown} unknown skipped).': '{count} paquets chargés ({unknown} inconnus ignorés).',
+    'Loaded {count} packs.': '{count} paquets chargés.',
+    'Code copied.': 'Code copié.',
+    'Clipboard unavailable': 'Presse-papiers indisponible',
+    'Share Code': 'Code de partage',
+    'Paste a code...': 'Collez un code...',
+    'LOAD': 'CHARGER',
+    'All packs': 'Tous les paquets',
+    '{owned} / {total} packs': '{owned} / {total} paquets',
+    'All': 'Tous',
+    'None': 'Aucun',
+    'Link copied.': 'Lien copié.',
+    'Opened as "{name}".': 'Ouverte sous « {name} ».',
+    'New': 'Nouvelle',
+    'Import failed: {error}': "Échec de l'import : {error}",
+    'Playing': 'En cours',
+    'Threat {threat}/{target}': 'Menace {threat}/{target}',
+    'Empty': 'Vide',
+    'Delete?': 'Supprimer ?',
+    'Last played {date}': 'Dernière partie le {date}',
+    '{failed} of {total} images could not be downloaded.': "{failed} images sur {total} n'ont pas pu être téléchargées.",
+    'All {total} images are available offline.': 'Les {total} images sont disponibles hors ligne.',
+    'Card art cleared.': 'Illustrations effacées.',
+    "This browser can't store card art offline.": 'Ce navigateur ne peut pas stocker les illustrations hors ligne.',
+    'Cached art': 'Illustrations en cache',
+    'Storage used': 'Stockage utilisé',
+    'of {quota}': 'sur {quota}',
+    'DOWNLOADING {done}/{total}': 'TÉLÉCHARGEMENT {done}/{total}',
+    'DOWNLOAD ART FOR THIS SCENARIO ({count})': 'TÉLÉCHARGER LES ILLUSTRATIONS DU SCÉNARIO ({count})',
+    'CLEAR CARD ART': 'EFFACER LES ILLUSTRATIONS',
+    'Every card the app shows is kept for offline use automatically. Downloading ahead covers the villain, scheme, hero and minion art for the current setup before you lose signal.': "Chaque carte affichée est conservée automatiquement pour un usage hors ligne. Télécharger à l'avance récupère les illustrations du méchant, de la manigance, des héros et des sbires de la partie en cours avant de perdre le réseau.",
+    'Nothing to pick': 'Rien à tirer',
+    '{played} played · {lost} lost': '{played} jouées · {lost} perdues',
+    'Never played': 'Jamais joué',
+    'Mode': 'Mode',
+    'Favor': 'Préférence',
+    'Skip last': 'Exclure les',
+    'Off': 'Non',
+    '{count} games': '{count} parties',
+    'Modulars': 'Modulaires',
+    'Only packs in your collection are rolled.': 'Seuls les paquets de votre collection sont tirés.',
+    'REROLL': 'RELANCER',
+    'ACCEPT': 'ACCEPTER',
+    'Starts a campaign log for {heroes}.': 'Démarre un journal de campagne pour {heroes}.',
+    'Pick your heroes in setup first; the campaign follows them from scenario to scenario.': "Choisissez d'abord vos héros dans la mise en place ; la campagne les suit d'un scénario à l'autre.",
+    'Scenarios': 'Scénarios',
+    'Won': 'Gagné',
+    'Lost': 'Perdu',
+    'START {scenario}': 'LANCER {scenario}',
+    'Campaign complete': 'Campagne terminée',
+    'Heroes': 'Héros',
+    'Carry HP on': 'Conserver les PV : oui',
+    'Carry HP off': 'Conserver les PV : non',
+    'Full HP': 'PV au max',
+    'Add obligation': 'Ajouter une obligation',
+    'Campaign values': 'Valeurs de campagne',
+    'Track a value…': 'Suivre une valeur…',
+    'Rewards': 'Récompenses',
+    'Unlock a reward…': 'Débloquer une récompense…',
+    'Started {date}': 'Commencée le {date}',
+    'End campaign?': 'Terminer la campagne ?',
+    'End campaign': 'Terminer la campagne',
+    'Hosting table': 'Table hébergée',
+    'Joined table': 'Table rejointe',
+    "Showing the host's board": "Plateau de l'hôte affiché",
+    'Waiting for the host…': "En attente de l'hôte…",
+    'LEAVE': 'QUITTER',
+    'Relay server (other devices)': 'Serveur relais (autres appareils)',
+    'http://192.168.1.20:8787 — blank for this device only': 'http://192.168.1.20:8787 — vide pour cet appareil seulement',
+    'Run {command} on a laptop on the same network. Without it, only tabs in this browser share the board.': 'Lancez {command} sur un ordinateur du même réseau. Sans lui, seuls les onglets de ce navigateur partagent le plateau.',
+    'HOST THIS GAME': 'HÉBERGER CETTE PARTIE',
+    'Join a table': 'Rejoindre une table',
+    'CODE': 'CODE',
+    'JOIN': 'REJOINDRE',
+    'Build encounter deck': 'Construire le deck rencontre',
+    'Deck': 'Deck',
+    'Discard': 'Défausse',
+    'BOOST': 'BOOST',
+    'DEAL': 'DISTRIBUER',
+    'Encounter Deck': 'Deck rencontre',
+    'This card data has no encounter cards. Run {command} to refresh it.': "Ces données n'ont pas de cartes rencontre. Lancez {command} pour les actualiser.",
+    'Modular sets...': 'Sets modulaires...',
+    'SHUFFLE {count} CARDS': 'MÉLANGER {count} CARTES',
+    'Boost': 'Boost',
+    'now': 'maint.',
+    'Threat': 'Menace',
+    'Side threat': 'Menace annexe',
+    'Minions': 'Sbires',
+    'The charts fill in as rounds end.': 'Les graphiques se remplissent à la fin de chaque round.',
+    'Villain & schemes': 'Méchant et manigances',
+    'Key moments': 'Moments clés',
+    'Games': 'Parties',
+    'Win Rate': 'Victoires',
+    'Rnds to Win': 'Rounds/victoire',
+    'Finished games show up here.': "Les parties terminées s'affichent ici.",
+    'WIN': 'VICTOIRE',
+    'LOSS': 'DÉFAITE',
+    '{heroes} vs {villain}': '{heroes} contre {villain}',
+    'No heroes': 'Aucun héros',
+    'No actions yet.': "Aucune action pour l'instant.",
+    'Game start': 'Début de partie',
+    '{count} other device connected': '{count} autre appareil connecté',
+    '{count} other devices connected': '{count} autres appareils connectés',
+    'Imported {added} game, skipped {skipped}.': '{added} partie importée, {skipped} ignorées.',
+    'Imported {added} games, skipped {skipped}.': '{added} parties importées, {skipped} ignorées.',
+    'Imported {added} game.': '{added} partie importée.',
+    'Imported {added} games.': '{added} parties importées.',
+    'Connecting to relay…': 'Connexion au relais…',
+    'Relay connected': 'Relais connecté',
+    'Relay unreachable': 'Relais injoignable',
+    'Captive allies rescued': 'Alliés captifs secourus',
+    'Units': 'Unités',
+    'Civilians rescued': 'Civils secourus',
+    'Mutants rescued': 'Mutants secourus',
+    'Mansion damage': 'Dégâts du manoir',
+    'Rebels rescued': 'Rebelles secourus',
+    'S.H.I.E.L.D. Tech': 'Technologie du S.H.I.E.L.D.',
+    'Milano upgrade': 'Amélioration du Milano',
+    'Space Stone': "Pierre de l'Espace",
+    'Mind Stone': "Pierre de l'Esprit",
+    'Reality Stone': 'Pierre de Réalité',
+    'Power Stone': 'Pierre de Pouvoir',
+    'Time Stone': 'Pierre du Temps',
+    'Soul Stone': "Pierre de l'Âme",
+    'Campaign upgrade': 'Amélioration de campagne',
+    'X-Men recruit': 'Recrue X-Men',
+  },
+  de: {
+    'SETUP': 'AUFBAU',
+    'START': 'START',
+    'Team Size': 'Spieler',
+    'Difficulty': 'Schwierigkeit',
+    'Heroic': 'Heroisch',
+    'OFF': 'AUS',
+    'Language': 'Sprache',
+    'Standard': 'Standard',
+    'Expert': 'Experte',
+    'Card names stay in English until the card data is fetched with its translations.': 'Kartennamen bleiben englisch, bis die Kartendaten mit ihren Übersetzungen geladen werden.',
+    'HEROES': 'HELDEN',
+    'VILLAINS': 'SCHURKEN',
+    'Main Scheme': 'Haupt-Plan',
+    'Villain HP': 'LP Schurke',
+    'Hero HP': 'LP Held',
+    'Defeated': 'Besiegt',
+    'Optional': 'Optional',
+    'Crisis': 'Krise',
+    'Alter-ego': 'Alter Ego',
+    'Start': 'Start',
+    'Next round': 'Nächste Runde',
+    'Done': 'Fertig',
+    'Round {round}': 'Runde {round}',
+    'Step {step}/{total}': 'Schritt {step}/{total}',
+    'Not started': 'Nicht begonnen',
+    'Tap Start when round {round} begins': 'Tippe auf Start, wenn Runde {round} beginnt',
+    'Round times': 'Rundenzeiten',
+    'avg': 'Ø',
+    "{player}'s turn": 'Zug von {player}',
+    'Villain phase: threat': 'Schurkenphase: Bedrohung',
+    'Villain activates vs {player}': 'Schurke aktiviert sich gegen {player}',
+    'Deal encounter cards': 'Begegnungskarten austeilen',
+    'Pass first player': 'Startspieler weitergeben',
+    'End of round': 'Rundenende',
+    'Round {round} · +{total} threat': 'Runde {round} · +{total} Bedrohung',
+    'Hazard: deal {count} encounter cards ({extra} extra)': 'Gefahr: {count} Begegnungskarten austeilen ({extra} zusätzlich)',
+    'Encounter': 'Begegnung',
+    'No boost': 'Kein Boost',
+    'PUT INTO PLAY': 'INS SPIEL BRINGEN',
+    'DONE': 'OK',
+    'Scheme Completed!': 'Plan erfüllt!',
+    'The final main scheme stage has reached its target threat level. The villain wins.': 'Die letzte Stufe des Haupt-Plans hat ihre Zielbedrohung erreicht. Der Schurke gewinnt.',
+    'Heroes Defeated': 'Helden besiegt',
+    'Every hero has been knocked out. The villain wins.': 'Alle Helden sind ausgeschaltet. Der Schurke gewinnt.',
+    'Villain Defeated!': 'Schurke besiegt!',
+    "The villain's final stage has been knocked out. The heroes win.": 'Die letzte Stufe des Schurken ist besiegt. Die Helden gewinnen.',
+    'REMATCH': 'REVANCHE',
+    'PICK ANOTHER SCHEME': 'ANDEREN PLAN WÄHLEN',
+    'Dismiss': 'Schließen',
+    'REINFORCEMENTS': 'VERSTÄRKUNG',
+    'minions': 'Schergen',
+    'allies': 'Verbündete',
+    'schemes': 'Pläne',
+    'For': 'Für',
+    'Search name, trait, set, text...': 'Name, Merkmal, Set, Text suchen...',
+    'Any trait': 'Alle Merkmale',
+    'Any set': 'Alle Sets',
+    'Any pack': 'Alle Packs',
+    'trait': 'Merkmal',
+    'set': 'Set',
+    'pack': 'Pack',
+    'Shared board': 'Geteiltes Spiel',
+    'Open it in a new save slot? Your current game stays where it is.': 'In einem neuen Speicherplatz öffnen? Dein aktuelles Spiel bleibt erhalten.',
+    'IGNORE': 'IGNORIEREN',
+    'OPEN': 'ÖFFNEN',
+    'COLLECTION': 'SAMMLUNG',
+    'SAVES': 'SPIELSTÄNDE',
+    'STORAGE': 'SPEICHER',
+    'RANDOM GAME': 'ZUFALLSSPIEL',
+    'CAMPAIGN': 'KAMPAGNE',
+    'TABLE SYNC': 'TISCH-SYNC',
+    'TIMELINE': 'ZEITLEISTE',
+    'STATS': 'STATISTIK',
+    'HISTORY': 'VERLAUF',
+    'heroes': 'Helden',
+    'villains': 'Schurken',
+    'matchups': 'Paarungen',
+    'scenarios': 'Szenarien',
+    'log': 'Protokoll',
+    'Saved game partly restored': 'Gespeichertes Spiel teilweise wiederhergestellt',
+    '+{amplify} boost from amplify': '+{amplify} Boost durch Verstärken',
+    'Deck reshuffled — acceleration token added': 'Deck neu gemischt — Beschleunigungsmarker hinzugefügt',
+    'Base': 'Basis',
+    '{name} acceleration': 'Beschleunigung von {name}',
+    '{name} acceleration icon': 'Beschleunigungssymbol von {name}',
+    'Heroic {level}': 'Heroisch {level}',
+    'Acceleration tokens': 'Beschleunigungsmarker',
+    '{name} is stunned: the next attack only removes the stun.': '{name} ist betäubt: Der nächste Angriff entfernt nur die Betäubung.',
+    '{name} is confused: the next thwart or scheme only removes the confusion.': '{name} ist verwirrt: Das nächste Vereiteln oder Planen entfernt nur die Verwirrung.',
+    '{name} is tough: the next damage only removes the tough status.': '{name} ist zäh: Der nächste Schaden entfernt nur den Status zäh.',
+    '{name} has {n} {counter} counter.': '{name} hat {n} {counter}-Marker.',
+    '{name} has {n} {counter} counters.': '{name} hat {n} {counter}-Marker.',
+    '{villain} attacks if {player} is a hero, schemes if an alter-ego.': '{villain} greift an, wenn {player} ein Held ist, und plant, wenn im Alter Ego.',
+    '{villain} schemes: {alterEgo} is in alter-ego form.': '{villain} plant: {alterEgo} ist in Alter-Ego-Gestalt.',
+    '{villain} attacks {hero}.': '{villain} greift {hero} an.',
+    'You may flip between hero and alter-ego once this turn.': 'Du darfst in diesem Zug einmal zwischen Held und Alter Ego wechseln.',
+    '{n} ally in play: {names}.': '{n} Verbündeter im Spiel: {names}.',
+    '{n} allies in play: {names}.': '{n} Verbündete im Spiel: {names}.',
+    'Total: +{total} threat on {scheme}.': 'Gesamt: +{total} Bedrohung auf {scheme}.',
+    "Crisis: threat can't be removed from the main scheme.": 'Krise: Bedrohung kann nicht vom Haupt-Plan entfernt werden.',
+    'Deal one boost card facedown per activation.': 'Teile pro Aktivierung eine Boostkarte verdeckt aus.',
+    'Amplify: each boost card counts {n} extra boost icon.': 'Verstärken: Jede Boostkarte zählt {n} zusätzliches Boostsymbol.',
+    'Amplify: each boost card counts {n} extra boost icons.': 'Verstärken: Jede Boostkarte zählt {n} zusätzliche Boostsymbole.',
+    'Minions engaged with {player} activate too ({n} minion in play).': 'Schergen, die mit {player} im Kampf sind, aktivieren sich ebenfalls ({n} Scherge im Spiel).',
+    'Minions engaged with {player} activate too ({n} minions in play).': 'Schergen, die mit {player} im Kampf sind, aktivieren sich ebenfalls ({n} Schergen im Spiel).',
+    'Deal one encounter card facedown to each player.': 'Teile jedem Spieler eine Begegnungskarte verdeckt aus.',
+    'Hazard: {n} extra card, {total} cards in all, starting with the first player.': 'Gefahr: {n} zusätzliche Karte, insgesamt {total} Karten, beginnend beim Startspieler.',
+    'Hazard: {n} extra cards, {total} cards in all, starting with the first player.': 'Gefahr: {n} zusätzliche Karten, insgesamt {total} Karten, beginnend beim Startspieler.',
+    'The encounter deck has {n} card left.': 'Im Begegnungsdeck ist noch {n} Karte.',
+    'The encounter deck has {n} cards left.': 'Im Begegnungsdeck sind noch {n} Karten.',
+    'Reveal them in player order, starting with the first player.': 'Deckt sie in Spielerreihenfolge auf, beginnend beim Startspieler.',
+    'The first player token passes from {from} to {to}.': 'Der Startspielermarker geht von {from} an {to}.',
+    'Solo: you stay the first player.': 'Solo: Du bleibst Startspieler.',
+    'Ready all exhausted cards.': 'Mach alle erschöpften Karten spielbereit.',
+    'Each player may discard any cards, then draws up to hand size.': 'Jeder Spieler darf beliebig viele Karten abwerfen und zieht dann bis zu seinem Handkartenlimit.',
+    'Each player may discard any cards, then draws up to hand size ({hands}).': 'Jeder Spieler darf beliebig viele Karten abwerfen und zieht dann bis zu seinem Handkartenlimit ({hands}).',
+    'a card': 'eine Karte',
+    '{name} no longer {status}': '{name} nicht mehr {status}',
+    '{name} {status}': '{name} {status}',
+    'Round {round} started': 'Runde {round} begonnen',
+    "{player}'s turn done": 'Zug von {player} beendet',
+    'Villain phase: +{threat} threat': 'Schurkenphase: +{threat} Bedrohung',
+    '{villain} activated against {player}': '{villain} aktiviert sich gegen {player}',
+    'Encounter cards dealt': 'Begegnungskarten ausgeteilt',
+    'First player → {player}': 'Startspieler → {player}',
+    'Round {round} over ({time})': 'Runde {round} vorbei ({time})',
+    'stage {stage}': 'Phase {stage}',
+    'defeated': 'besiegt',
+    'Villain: {name}': 'Schurke: {name}',
+    'Villains: {group} ({names})': 'Schurken: {group} ({names})',
+    '{hero} flips to {form}': '{hero} wechselt zu {form}',
+    'Form flipped': 'Gestalt gewechselt',
+    'Hero tracker changed': 'Helden-Tracker geändert',
+    'Main scheme: {name}': 'Haupt-Plan: {name}',
+    '{scheme} threat {delta}': '{scheme} Bedrohung {delta}',
+    'Team size: {count}': 'Spieler: {count}',
+    "{kind} '{name}' enters play": "{kind} '{name}' kommt ins Spiel",
+    'Unit changed': 'Karte geändert',
+    '{name} restored': '{name} wiederhergestellt',
+    'Unit restored': 'Karte wiederhergestellt',
+    'Unit removed': 'Karte entfernt',
+    "{kind} '{name}' cleared": "{kind} '{name}' abgewehrt",
+    "{kind} '{name}' defeated": "{kind} '{name}' besiegt",
+    'Status changed': 'Status geändert',
+    "'{name}' attached to {target}": "'{name}' an {target} angehängt",
+    "'{name}' removed from {target}": "'{name}' von {target} entfernt",
+    'Attachment removed from {target}': 'Anhang von {target} entfernt',
+    '{name} counters on {target} ({value})': '{name}-Marker auf {target} ({value})',
+    'counters': 'Marker',
+    'Counters removed from {target}': 'Marker von {target} entfernt',
+    'End of round: +{threat} threat': 'Rundenende: +{threat} Bedrohung',
+    'Difficulty: {difficulty}': 'Schwierigkeit: {difficulty}',
+    'Encounter deck built ({count} cards)': 'Begegnungsdeck erstellt ({count} Karten)',
+    'Encounter deck empty': 'Begegnungsdeck leer',
+    '{boost} boost': '{boost} Boost',
+    "Boost '{name}'": "Boost '{name}'",
+    "Dealt '{name}'": "Ausgeteilt '{name}'",
+    'reshuffled, +1 acceleration': 'neu gemischt, +1 Beschleunigung',
+    'Minion': 'Scherge',
+    'Ally': 'Verbündeter',
+    'Side scheme': 'Neben-Plan',
+    'stunned': 'betäubt',
+    'confused': 'verwirrt',
+    'tough': 'zäh',
+    'retaliate': 'Vergeltung',
+    'piercing': 'durchschlagend',
+    'guard': 'Wache',
+    'patrol': 'Patrouille',
+    'steady': 'standhaft',
+    'stalwart': 'unerschütterlich',
+    'Any': 'Alle',
+    'Least played': 'Am wenigsten gespielt',
+    'Most lost to': 'Am häufigsten verloren',
+    'Size': 'Größe',
+    'Tiny': 'Winzig',
+    'Giant': 'Riesig',
+    'Armor': 'Rüstung',
+    'Growth': 'Wachstum',
+    'Toon': 'Toon',
+    'Status': 'Status',
+    'Attachments': 'Verstärkungen',
+    'Attachment name...': 'Name der Verstärkung...',
+    'ATTACH': 'ANHÄNGEN',
+    'Counters': 'Marker',
+    'Counter name...': 'Name des Markers...',
+    'ADD': 'HINZUFÜGEN',
+    'Loaded {count} packs ({unknown} unknown skipped).': '{count} Packs geladen ({unknown} unbekannte übersprungen).',
+    'Loaded {count} packs.': '{count} Packs geladen.',
+    'Code copied.': 'Code kopiert.',
+    'Clipboard unavailable': 'Zwischenablage nicht verfügbar',
+    'Share Code': 'Teilen-Code',
+    'Paste a code...': 'Code einfügen...',
+    'LOAD': 'LADEN',
+    'All packs': 'Alle Packs',
+    '{owned} / {total} packs': '{owned} / {total} Packs',
+    'All': 'Alle',
+    'None': 'Keine',
+    'Link copied.': 'Link kopiert.',
+    'Opened as "{name}".': 'Als „{name}“ geöffnet.',
+    'New': 'Neu',
+    'Import failed: {error}': 'Import fehlgeschlagen: {error}',
+    'Playing': 'Läuft',
+    'Threat {threat}/{target}': 'Bedrohung {threat}/{target}',
+    'Empty': 'Leer',
+    'Delete?': 'Löschen?',
+    'Last played {date}': 'Zuletzt gespielt {date}',
+    '{failed} of {total} images could not be downloaded.': '{failed} von {total} Bildern konnten nicht geladen werden.',
+    'All {total} images are available offline.': 'Alle {total} Bilder sind offline verfügbar.',
+    'Card art cleared.': 'Kartenbilder gelöscht.',
+    "This browser can't store card art offline.": 'Dieser Browser kann Kartenbilder nicht offline speichern.',
+    'Cached art': 'Gespeicherte Bilder',
+    'Storage used': 'Belegter Speicher',
+    'of {quota}': 'von {quota}',
+    'DOWNLOADING {done}/{total}': 'LADE {done}/{total}',
+    'DOWNLOAD ART FOR THIS SCENARIO ({count})': 'BILDER FÜR DIESES SZENARIO LADEN ({count})',
+    'CLEAR CARD ART': 'KARTENBILDER LÖSCHEN',
+    'Every card the app shows is kept for offline use automatically. Downloading ahead covers the villain, scheme, hero and minion art for the current setup before you lose signal.': 'Jede angezeigte Karte wird automatisch für die Offline-Nutzung gespeichert. Vorab laden holt die Bilder von Schurke, Plan, Helden und Schergen des aktuellen Aufbaus, bevor du keinen Empfang mehr hast.',
+    'Nothing to pick': 'Nichts zur Auswahl',
+    '{played} played · {lost} lost': '{played} gespielt · {lost} verloren',
+    'Never played': 'Nie gespielt',
+    'Mode': 'Modus',
+    'Favor': 'Bevorzugen',
+    'Skip last': 'Letzte auslassen',
+    'Off': 'Aus',
+    '{count} games': '{count} Partien',
+    'Modulars': 'Module',
+    'Only packs in your collection are rolled.': 'Es werden nur Packs aus deiner Sammlung gezogen.',
+    'REROLL': 'NEU WÜRFELN',
+    'ACCEPT': 'ÜBERNEHMEN',
+    'Starts a campaign log for {heroes}.': 'Startet ein Kampagnenprotokoll für {heroes}.',
+    'Pick your heroes in setup first; the campaign follows them from scenario to scenario.': 'Wähle zuerst deine Helden im Aufbau; die Kampagne begleitet sie von Szenario zu Szenario.',
+    'Scenarios': 'Szenarien',
+    'Won': 'Gewonnen',
+    'Lost': 'Verloren',
+    'START {scenario}': '{scenario} STARTEN',
+    'Campaign complete': 'Kampagne abgeschlossen',
+    'Heroes': 'Helden',
+    'Carry HP on': 'LP übernehmen: an',
+    'Carry HP off': 'LP übernehmen: aus',
+    'Full HP': 'Volle LP',
+    'Add obligation': 'Verpflichtung hinzufügen',
+    'Campaign values': 'Kampagnenwerte',
+    'Track a value…': 'Wert verfolgen…',
+    'Rewards': 'Belohnungen',
+    'Unlock a reward…': 'Belohnung freischalten…',
+    'Started {date}': 'Begonnen am {date}',
+    'End campaign?': 'Kampagne beenden?',
+    'End campaign': 'Kampagne beenden',
+    'Hosting table': 'Tisch wird gehostet',
+    'Joined table': 'Tisch beigetreten',
+    "Showing the host's board": 'Zeigt das Spielfeld des Hosts',
+    'Waiting for the host…': 'Warte auf den Host…',
+    'LEAVE': 'VERLASSEN',
+    'Relay server (other devices)': 'Relay-Server (andere Geräte)',
+    'http://192.168.1.20:8787 — blank for this device only': 'http://192.168.1.20:8787 — leer nur für dieses Gerät',
+    'Run {command} on a laptop on the same network. Without it, only tabs in this browser share the board.': 'Starte {command} auf einem Laptop im selben Netzwerk. Ohne ihn teilen nur Tabs in diesem Browser das Spielfeld.',
+    'HOST THIS GAME': 'DIESES SPIEL HOSTEN',
+    'Join a table': 'Einem Tisch beitreten',
+    'CODE': 'CODE',
+    'JOIN': 'BEITRETEN',
+    'Build encounter deck': 'Begegnungsdeck bauen',
+    'Deck': 'Deck',
+    'Discard': 'Ablage',
+    'BOOST': 'BOOST',
+    'DEAL': 'AUSTEILEN',
+    'Encounter Deck': 'Begegnungsdeck',
+    'This card data has no encounter cards. Run {command} to refresh it.': 'Diese Kartendaten enthalten keine Begegnungskarten. Starte {command}, um sie zu aktualisieren.',
+    'Modular sets...': 'Modulsets...',
+    'SHUFFLE {count} CARDS': '{count} KARTEN MISCHEN',
+    'Boost': 'Boost',
+    'now': 'jetzt',
+    'Threat': 'Bedrohung',
+    'Side threat': 'Nebenbedrohung',
+    'Minions': 'Schergen',
+    'The charts fill in as rounds end.': 'Die Diagramme füllen sich am Ende jeder Runde.',
+    'Villain & schemes': 'Schurke & Pläne',
+    'Key moments': 'Schlüsselmomente',
+    'Games': 'Partien',
+    'Win Rate': 'Siegquote',
+    'Rnds to Win': 'Runden/Sieg',
+    'Finished games show up here.': 'Beendete Partien erscheinen hier.',
+    'WIN': 'SIEG',
+    'LOSS': 'NIEDERLAGE',
+    '{heroes} vs {villain}': '{heroes} gegen {villain}',
+    'No heroes': 'Keine Helden',
+    'No actions yet.': 'Noch keine Aktionen.',
+    'Game start': 'Spielbeginn',
+    '{count} other device connected': '{count} weiteres Gerät verbunden',
+    '{count} other devices connected': '{count} weitere Geräte verbunden',
+    'Imported {added} game, skipped {skipped}.': '{added} Partie importiert, {skipped} übersprungen.',
+    'Imported {added} games, skipped {skipped}.': '{added} Partien importiert, {skipped} übersprungen.',
+    'Imported {added} game.': '{added} Partie importiert.',
+    'Imported {added} games.': '{added} Partien importiert.',
+    'Connecting to relay…': 'Verbinde mit Relay…',
+    'Relay connected': 'Relay verbunden',
+    'Relay unreachable': 'Relay nicht erreichbar',
+    'Captive allies rescued': 'Gefangene Verbündete befreit',
+    'Units': 'Einheiten',
+    'Civilians rescued': 'Zivilisten gerettet',
+    'Mutants rescued': 'Mutanten gerettet',
+    'Mansion damage': 'Schaden am Anwesen',
+    'Rebels rescued': 'Rebellen gerettet',
+    'S.H.I.E.L.D. Tech': 'S.H.I.E.L.D.-Technik',
+    'Milano upgrade': 'Milano-Verbesserung',
+    'Space Stone': 'Raumstein',
+    'Mind Stone': 'Gedankenstein',
+    'Reality Stone': 'Realitätsstein',
+    'Power Stone': 'Machtstein',
+    'Time Stone': 'Zeitstein',
+    'Soul Stone': 'Seelenstein',
+    'Campaign upgrade': 'Kampagnen-Verbesserung',
+    'X-Men recruit': 'X-Men-Rekrut',
+  },
+  es: {
+    'SETUP': 'PREPARACIÓN',
+    'START': 'EMPEZAR',
+    'Team Size': 'Jugadores',
+    'Difficulty': 'Dificultad',
+    'Heroic': 'Heroico',
+    'OFF': 'NO',
+    'Language': 'Idioma',
+    'Standard': 'Estándar',
+    'Expert': 'Experto',
+    'Card names stay in English until the card data is fetched with its translations.': 'Los nombres de las cartas siguen en inglés hasta que se descarguen los datos con sus traducciones.',
+    'HEROES': 'HÉROES',
+    'VILLAINS': 'VILLANOS',
+    'Main Scheme': 'Plan principal',
+    'Villain HP': 'Vida del villano',
+    'Hero HP': 'Vida del héroe',
+    'Defeated': 'Derrotado',
+    'Optional': 'Opcional',
+    'Crisis': 'Crisis',
+    'Alter-ego': 'Álter ego',
+    'Start': 'Empezar',
+    'Next round': 'Siguiente ronda',
+    'Done': 'Hecho',
+    'Round {round}': 'Ronda {round}',
+    'Step {step}/{total}': 'Paso {step}/{total}',
+    'Not started': 'Sin empezar',
+    'Tap Start when round {round} begins': 'Pulsa Empezar cuando comience la ronda {round}',
+    'Round times': 'Tiempos por ronda',
+    'avg': 'media',
+    "{player}'s turn": 'Turno de {player}',
+    'Villain phase: threat': 'Fase del villano: amenaza',
+    'Villain activates vs {player}': 'El villano se activa contra {player}',
+    'Deal encounter cards': 'Repartir cartas de encuentro',
+    'Pass first player': 'Pasar el jugador inicial',
+    'End of round': 'Fin de la ronda',
+    'Round {round} · +{total} threat': 'Ronda {round} · +{total} amenaza',
+    'Hazard: deal {count} encounter cards ({extra} extra)': 'Peligro: reparte {count} cartas de encuentro ({extra} extra)',
+    'Encounter': 'Encuentro',
+    'No boost': 'Sin boost',
+    'PUT INTO PLAY': 'PONER EN JUEGO',
+    'DONE': 'OK',
+    'Scheme Completed!': '¡Plan completado!',
+    'The final main scheme stage has reached its target threat level. The villain wins.': 'La última etapa del plan principal ha alcanzado su amenaza objetivo. Gana el villano.',
+    'Heroes Defeated': 'Héroes derrotados',
+    'Every hero has been knocked out. The villain wins.': 'Todos los héroes han caído. Gana el villano.',
+    'Villain Defeated!': '¡Villano derrotado!',
+    "The villain's final stage has been knocked out. The heroes win.": 'La última etapa del villano ha sido derrotada. Ganan los héroes.',
+    'REMATCH': 'REVANCHA',
+    'PICK ANOTHER SCHEME': 'ELEGIR OTRO PLAN',
+    'Dismiss': 'Cerrar',
+    'REINFORCEMENTS': 'REFUERZOS',
+    'minions': 'esbirros',
+    'allies': 'aliados',
+    'schemes': 'planes',
+    'For': 'Para',
+    'Search name, trait, set, text...': 'Buscar nombre, rasgo, set, texto...',
+    'Any trait': 'Cualquier rasgo',
+    'Any set': 'Cualquier set',
+    'Any pack': 'Cualquier caja',
+    'trait': 'rasgo',
+    'set': 'set',
+    'pack': 'caja',
+    'Shared board': 'Partida compartida',
+    'Open it in a new save slot? Your current game stays where it is.': '¿Abrirla en una nueva ranura de guardado? Tu partida actual no cambia.',
+    'IGNORE': 'IGNORAR',
+    'OPEN': 'ABRIR',
+    'COLLECTION': 'COLECCIÓN',
+    'SAVES': 'PARTIDAS GUARDADAS',
+    'STORAGE': 'ALMACENAMIENTO',
+    'RANDOM GAME': 'PARTIDA ALEATORIA',
+    'CAMPAIGN': 'CAMPAÑA',
+    'TABLE SYNC': 'SINCRONIZAR MESA',
+    'TIMELINE': 'CRONOLOGÍA',
+    'STATS': 'ESTADÍSTICAS',
+    'HISTORY': 'HISTORIAL',
+    'heroes': 'héroes',
+    'villains': 'villanos',
+    'matchups': 'enfrentamientos',
+    'scenarios': 'escenarios',
+    'log': 'registro',
+    'Saved game partly restored': 'Partida guardada restaurada en parte',
+    '+{amplify} boost from amplify': '+{amplify} boost por amplificar',
+    'Deck reshuffled — acceleration token added': 'Mazo barajado — ficha de aceleración añadida',
+    'Base': 'Base',
+    '{name} acceleration': 'Aceleración de {name}',
+    '{name} acceleration icon': 'Icono de aceleración de {name}',
+    'Heroic {level}': 'Heroico {level}',
+    'Acceleration tokens': 'Fichas de aceleración',
+    '{name} is stunned: the next attack only removes the stun.': '{name} está aturdido: el próximo ataque solo retira el aturdimiento.',
+    '{name} is confused: the next thwart or scheme only removes the confusion.': '{name} está confundido: el próximo desbaratar o planear solo retira la confusión.',
+    '{name} is tough: the next damage only removes the tough status.': '{name} está duro: el próximo daño solo retira el estado duro.',
+    '{name} has {n} {counter} counter.': '{name} tiene {n} contador de {counter}.',
+    '{name} has {n} {counter} counters.': '{name} tiene {n} contadores de {counter}.',
+    '{villain} attacks if {player} is a hero, schemes if an alter-ego.': '{villain} ataca si {player} es un héroe y planea si está en álter ego.',
+    '{villain} schemes: {alterEgo} is in alter-ego form.': '{villain} planea: {alterEgo} está en forma de álter ego.',
+    '{villain} attacks {hero}.': '{villain} ataca a {hero}.',
+    'You may flip between hero and alter-ego once this turn.': 'Puedes cambiar entre héroe y álter ego una vez en este turno.',
+    '{n} ally in play: {names}.': '{n} aliado en juego: {names}.',
+    '{n} allies in play: {names}.': '{n} aliados en juego: {names}.',
+    'Total: +{total} threat on {scheme}.': 'Total: +{total} amenaza en {scheme}.',
+    "Crisis: threat can't be removed from the main scheme.": 'Crisis: no se puede retirar amenaza del plan principal.',
+    'Deal one boost card facedown per activation.': 'Reparte una carta de boost boca abajo por activación.',
+    'Amplify: each boost card counts {n} extra boost icon.': 'Amplificar: cada carta de boost cuenta {n} icono de boost extra.',
+    'Amplify: each boost card counts {n} extra boost icons.': 'Amplificar: cada carta de boost cuenta {n} iconos de boost extra.',
+    'Minions engaged with {player} activate too ({n} minion in play).': 'Los esbirros enfrentados a {player} también se activan ({n} esbirro en juego).',
+    'Minions engaged with {player} activate too ({n} minions in play).': 'Los esbirros enfrentados a {player} también se activan ({n} esbirros en juego).',
+    'Deal one encounter card facedown to each player.': 'Reparte una carta de encuentro boca abajo a cada jugador.',
+    'Hazard: {n} extra card, {total} cards in all, starting with the first player.': 'Peligro: {n} carta extra, {total} cartas en total, empezando por el jugador inicial.',
+    'Hazard: {n} extra cards, {total} cards in all, starting with the first player.': 'Peligro: {n} cartas extra, {total} cartas en total, empezando por el jugador inicial.',
+    'The encounter deck has {n} card left.': 'Queda {n} carta en el mazo de encuentros.',
+    'The encounter deck has {n} cards left.': 'Quedan {n} cartas en el mazo de encuentros.',
+    'Reveal them in player order, starting with the first player.': 'Revélalas en orden de jugadores, empezando por el jugador inicial.',
+    'The first player token passes from {from} to {to}.': 'La ficha de jugador inicial pasa de {from} a {to}.',
+    'Solo: you stay the first player.': 'Solitario: sigues siendo el jugador inicial.',
+    'Ready all exhausted cards.': 'Prepara todas las cartas agotadas.',
+    'Each player may discard any cards, then draws up to hand size.': 'Cada jugador puede descartar las cartas que quiera y luego roba hasta su tamaño de mano.',
+    'Each player may discard any cards, then draws up to hand size ({hands}).': 'Cada jugador puede descartar las cartas que quiera y luego roba hasta su tamaño de mano ({hands}).',
+    'a card': 'una carta',
+    '{name} no longer {status}': '{name} ya no está {status}',
+    '{name} {status}': '{name} {status}',
+    'Round {round} started': 'Ronda {round} empezada',
+    "{player}'s turn done": 'Turno de {player} terminado',
+    'Villain phase: +{threat} threat': 'Fase del villano: +{threat} amenaza',
+    '{villain} activated against {player}': '{villain} se activa contra {player}',
+    'Encounter cards dealt': 'Cartas de encuentro repartidas',
+    'First player → {player}': 'Jugador inicial → {player}',
+    'Round {round} over ({time})': 'Ronda {round} terminada ({time})',
+    'stage {stage}': 'fase {stage}',
+    'defeated': 'derrotado',
+    'Villain: {name}': 'Villano: {name}',
+    'Villains: {group} ({names})': 'Villanos: {group} ({names})',
+    '{hero} flips to {form}': '{hero} pasa a {form}',
+    'Form flipped': 'Forma cambiada',
+    'Hero tracker changed': 'Contador del héroe cambiado',
+    'Main scheme: {name}': 'Plan principal: {name}',
+    '{scheme} threat {delta}': '{scheme} amenaza {delta}',
+    'Team size: {count}': 'Jugadores: {count}',
+    "{kind} '{name}' enters play": "{kind} '{name}' entra en juego",
+    'Unit changed': 'Carta cambiada',
+    '{name} restored': '{name} restaurado',
+    'Unit restored': 'Carta restaurada',
+    'Unit removed': 'Carta retirada',
+    "{kind} '{name}' cleared": "{kind} '{name}' superado",
+    "{kind} '{name}' defeated": "{kind} '{name}' derrotado",
+    'Status changed': 'Estado cambiado',
+    "'{name}' attached to {target}": "'{name}' vinculada a {target}",
+    "'{name}' removed from {target}": "'{name}' retirada de {target}",
+    'Attachment removed from {target}': 'Vínculo retirado de {target}',
+    '{name} counters on {target} ({value})': 'Contadores de {name} en {target} ({value})',
+    'counters': 'contadores',
+    'Counters removed from {target}': 'Contadores retirados de {target}',
+    'End of round: +{threat} threat': 'Fin de ronda: +{threat} amenaza',
+    'Difficulty: {difficulty}': 'Dificultad: {difficulty}',
+    'Encounter deck built ({count} cards)': 'Mazo de encuentros creado ({count} cartas)',
+    'Encounter deck empty': 'Mazo de encuentros vacío',
+    '{boost} boost': '{boost} boost',
+    "Boost '{name}'": "Boost '{name}'",
+    "Dealt '{name}'": "Repartida '{name}'",
+    'reshuffled, +1 acceleration': 'barajado, +1 aceleración',
+    'Minion': 'Esbirro',
+    'Ally': 'Aliado',
+    'Side scheme': 'Plan secundario',
+    'stunned': 'aturdido',
+    'confused': 'confundido',
+    'tough': 'duro',
+    'retaliate': 'represalia',
+    'piercing': 'perforante',
+    'guard': 'guardia',
+    'patrol': 'patrulla',
+    'steady': 'firme',
+    'stalwart': 'incondicional',
+    'Any': 'Cualquiera',
+    'Least played': 'Menos jugados',
+    'Most lost to': 'Más derrotas',
+    'Size': 'Tamaño',
+    'Tiny': 'Diminuto',
+    'Giant': 'Gigante',
+    'Armor': 'Armadura',
+    'Growth': 'Crecimiento',
+    'Toon': 'Toon',
+    'Status': 'Estado',
+    'Attachments': 'Adjuntos',
+    'Attachment name...': 'Nombre del adjunto...',
+    'ATTACH': 'ADJUNTAR',
+    'Counters': 'Contadores',
+    'Counter name...': 'Nombre del contador...',
+    'ADD': 'AÑADIR',
+    'Loaded {count} packs ({unknown} unknown skipped).': '{count} paquetes cargados ({unknown} desconocidos omitidos).',
+    'Loaded {count} packs.': '{count} paquetes cargados.',
+    'Code copied.': 'Código copiado.',
+    'Clipboard unavailable': 'Portapapeles no disponible',
+    'Share Code': 'Código para compartir',
+    'Paste a code...': 'Pega un código...',
+    'LOAD': 'CARGAR',
+    'All packs': 'Todos los paquetes',
+    '{owned} / {total} packs': '{owned} / {total} paquetes',
+    'All': 'Todos',
+    'None': 'Ninguno',
+    'Link copied.': 'Enlace copiado.',
+    'Opened as "{name}".': 'Abierta como «{name}».',
+    'New': 'Nueva',
+    'Import failed: {error}': 'Error al importar: {error}',
+    'Playing': 'En curso',
+    'Threat {threat}/{target}': 'Amenaza {threat}/{target}',
+    'Empty': 'Vacía',
+    'Delete?': '¿Borrar?',
+    'Last played {date}': 'Última partida {date}',
+    '{failed} of {total} images could not be downloaded.': 'No se pudieron descargar {failed} de {total} imágenes.',
+    'All {total} images are available offline.': 'Las {total} imágenes están disponibles sin conexión.',
+    'Card art cleared.': 'Ilustraciones borradas.',
+    "This browser can't store card art offline.": 'Este navegador no puede guardar ilustraciones sin conexión.',
+    'Cached art': 'Ilustraciones guardadas',
+    'Storage used': 'Almacenamiento usado',
+    'of {quota}': 'de {quota}',
+    'DOWNLOADING {done}/{total}': 'DESCARGANDO {done}/{total}',
+    'DOWNLOAD ART FOR THIS SCENARIO ({count})': 'DESCARGAR ILUSTRACIONES DEL ESCENARIO ({count})',
+    'CLEAR CARD ART': 'BORRAR ILUSTRACIONES',
+    'Every card the app shows is kept for offline use automatically. Downloading ahead covers the villain, scheme, hero and minion art for the current setup before you lose signal.': 'Cada carta que muestra la app se guarda automáticamente para usarla sin conexión. Descargar por adelantado obtiene las ilustraciones del villano, el plan, los héroes y los esbirros de la partida actual antes de perder la señal.',
+    'Nothing to pick': 'Nada que elegir',
+    '{played} played · {lost} lost': '{played} jugadas · {lost} perdidas',
+    'Never played': 'Nunca jugado',
+    'Mode': 'Modo',
+    'Favor': 'Preferencia',
+    'Skip last': 'Omitir últimas',
+    'Off': 'No',
+    '{count} games': '{count} partidas',
+    'Modulars': 'Modulares',
+    'Only packs in your collection are rolled.': 'Solo se sortean paquetes de tu colección.',
+    'REROLL': 'VOLVER A SORTEAR',
+    'ACCEPT': 'ACEPTAR',
+    'Starts a campaign log for {heroes}.': 'Inicia un registro de campaña para {heroes}.',
+    'Pick your heroes in setup first; the campaign follows them from scenario to scenario.': 'Elige primero tus héroes en la preparación; la campaña los sigue de escenario en escenario.',
+    'Scenarios': 'Escenarios',
+    'Won': 'Ganado',
+    'Lost': 'Perdido',
+    'START {scenario}': 'EMPEZAR {scenario}',
+    'Campaign complete': 'Campaña completada',
+    'Heroes': 'Héroes',
+    'Carry HP on': 'Conservar PV: sí',
+    'Carry HP off': 'Conservar PV: no',
+    'Full HP': 'PV completos',
+    'Add obligation': 'Añadir obligación',
+    'Campaign values': 'Valores de campaña',
+    'Track a value…': 'Seguir un valor…',
+    'Rewards': 'Recompensas',
+    'Unlock a reward…': 'Desbloquear una recompensa…',
+    'Started {date}': 'Empezada el {date}',
+    'End campaign?': '¿Terminar la campaña?',
+    'End campaign': 'Terminar la campaña',
+    'Hosting table': 'Mesa anfitriona',
+    'Joined table': 'Mesa unida',
+    "Showing the host's board": 'Mostrando el tablero del anfitrión',
+    'Waiting for the host…': 'Esperando al anfitrión…',
+    'LEAVE': 'SALIR',
+    'Relay server (other devices)': 'Servidor de retransmisión (otros dispositivos)',
+    'http://192.168.1.20:8787 — blank for this device only': 'http://192.168.1.20:8787 — vacío solo para este dispositivo',
+    'Run {command} on a laptop on the same network. Without it, only tabs in this browser share the board.': 'Ejecuta {command} en un portátil de la misma red. Sin él, solo las pestañas de este navegador comparten el tablero.',
+    'HOST THIS GAME': 'SER ANFITRIÓN',
+    'Join a table': 'Unirse a una mesa',
+    'CODE': 'CÓDIGO',
+    'JOIN': 'UNIRSE',
+    'Build encounter deck': 'Crear mazo de encuentros',
+    'Deck': 'Mazo',
+    'Discard': 'Descarte',
+    'BOOST': 'BONIFICACIÓN',
+    'DEAL': 'REPARTIR',
+    'Encounter Deck': 'Mazo de encuentros',
+    'This card data has no encounter cards. Run {command} to refresh it.': 'Estos datos no tienen cartas de encuentro. Ejecuta {command} para actualizarlos.',
+    'Modular sets...': 'Conjuntos modulares...',
+    'SHUFFLE {count} CARDS': 'BARAJAR {count} CARTAS',
+    'Boost': 'Bonificación',
+    'now': 'ahora',
+    'Threat': 'Amenaza',
+    'Side threat': 'Amenaza secundaria',
+    'Minions': 'Esbirros',
+    'The charts fill in as rounds end.': 'Los gráficos se completan al terminar cada ronda.',
+    'Villain & schemes': 'Villano y planes',
+    'Key moments': 'Momentos clave',
+    'Games': 'Partidas',
+    'Win Rate': 'Victorias',
+    'Rnds to Win': 'Rondas/victoria',
+    'Finished games show up here.': 'Las partidas terminadas aparecen aquí.',
+    'WIN': 'VICTORIA',
+    'LOSS': 'DERROTA',
+    '{heroes} vs {villain}': '{heroes} contra {villain}',
+    'No heroes': 'Sin héroes',
+    'No actions yet.': 'Aún no hay acciones.',
+    'Game start': 'Inicio de la partida',
+    '{count} other device connected': '{count} dispositivo más conectado',
+    '{count} other devices connected': '{count} dispositivos más conectados',
+    'Imported {added} game, skipped {skipped}.': '{added} partida importada, {skipped} omitidas.',
+    'Imported {added} games, skipped {skipped}.': '{added} partidas importadas, {skipped} omitidas.',
+    'Imported {added} game.': '{added} partida importada.',
+    'Imported {added} games.': '{added} partidas importadas.',
+    'Connecting to relay…': 'Conectando al servidor…',
+    'Relay connected': 'Servidor conectado',
+    'Relay unreachable': 'Servidor inaccesible',
+    'Captive allies rescued': 'Aliados cautivos rescatados',
+    'Units': 'Unidades',
+    'Civilians rescued': 'Civiles rescatados',
+    'Mutants rescued': 'Mutantes rescatados',
+    'Mansion damage': 'Daños en la mansión',
+    'Rebels rescued': 'Rebeldes rescatados',
+    'S.H.I.E.L.D. Tech': 'Tecnología de S.H.I.E.L.D.',
+    'Milano upgrade': 'Mejora del Milano',
+    'Space Stone': 'Gema del Espacio',
+    'Mind Stone': 'Gema de la Mente',
+    'Reality Stone': 'Gema de la Realidad',
+    'Power Stone': 'Gema del Poder',
+    'Time Stone': 'Gema del Tiempo',
+    'Soul Stone': 'Gema del Alma',
+    'Campaign upgrade': 'Mejora de campaña',
+    'X-Men recruit': 'Recluta de los X-Men',
+  },
+  it: {
+    'SETUP': 'PREPARAZIONE',
+    'START': 'INIZIA',
+    'Team Size': 'Giocatori',
+    'Difficulty': 'Difficoltà',
+    'Heroic': 'Eroico',
+    'OFF': 'NO',
+    'Language': 'Lingua',
+    'Standard': 'Standard',
+    'Expert': 'Esperto',
+    'Card names stay in English until the card data is fetched with its translations.': 'I nomi delle carte restano in inglese finché i dati non vengono scaricati con le traduzioni.',
+    'HEROES': 'EROI',
+    'VILLAINS': 'CATTIVI',
+    'Main Scheme': 'Piano principale',
+    'Villain HP': 'PV del cattivo',
+    'Hero HP': "PV dell'eroe",
+    'Defeated': 'Sconfitto',
+    'Optional': 'Opzionale',
+    'Crisis': 'Crisi',
+    'Alter-ego': 'Alter ego',
+    'Start': 'Inizia',
+    'Next round': 'Round successivo',
+    'Done': 'Fatto',
+    'Round {round}': 'Round {round}',
+    'Step {step}/{total}': 'Passo {step}/{total}',
+    'Not started': 'Non iniziato',
+    'Tap Start when round {round} begins': 'Tocca Inizia quando comincia il round {round}',
+    'Round times': 'Durata dei round',
+    'avg': 'media',
+    "{player}'s turn": 'Turno di {player}',
+    'Villain phase: threat': 'Fase del cattivo: minaccia',
+    'Villain activates vs {player}': 'Il cattivo si attiva contro {player}',
+    'Deal encounter cards': 'Distribuisci le carte incontro',
+    'Pass first player': 'Passa il primo giocatore',
+    'End of round': 'Fine del round',
+    'Round {round} · +{total} threat': 'Round {round} · +{total} minaccia',
+    'Hazard: deal {count} encounter cards ({extra} extra)': 'Pericolo: distribuisci {count} carte incontro ({extra} in più)',
+    'Encounter': 'Incontro',
+    'No boost': 'Nessun boost',
+    'PUT INTO PLAY': 'METTI IN GIOCO',
+    'DONE': 'OK',
+    'Scheme Completed!': 'Piano completato!',
+    'The final main scheme stage has reached its target threat level. The villain wins.': "L'ultima fase del piano principale ha raggiunto la minaccia obiettivo. Vince il cattivo.",
+    'Heroes Defeated': 'Eroi sconfitti',
+    'Every hero has been knocked out. The villain wins.': 'Tutti gli eroi sono stati messi KO. Vince il cattivo.',
+    'Villain Defeated!': 'Cattivo sconfitto!',
+    "The villain's final stage has been knocked out. The heroes win.": "L'ultima fase del cattivo è stata sconfitta. Vincono gli eroi.",
+    'REMATCH': 'RIVINCITA',
+    'PICK ANOTHER SCHEME': 'SCEGLI UN ALTRO PIANO',
+    'Dismiss': 'Chiudi',
+    'REINFORCEMENTS': 'RINFORZI',
+    'minions': 'sgherri',
+    'allies': 'alleati',
+    'schemes': 'piani',
+    'For': 'Per',
+    'Search name, trait, set, text...': 'Cerca nome, tratto, set, testo...',
+    'Any trait': 'Qualsiasi tratto',
+    'Any set': 'Qualsiasi set',
+    'Any pack': 'Qualsiasi pacchetto',
+    'trait': 'tratto',
+    'set': 'set',
+    'pack': 'pacchetto',
+    'Shared board': 'Partita condivisa',
+    'Open it in a new save slot? Your current game stays where it is.': "Aprirla in un nuovo slot di salvataggio? La partita in corso resta com'è.",
+    'IGNORE': 'IGNORA',
+    'OPEN': 'APRI',
+    'COLLECTION': 'COLLEZIONE',
+    'SAVES': 'SALVATAGGI',
+    'STORAGE': 'ARCHIVIAZIONE',
+    'RANDOM GAME': 'PARTITA CASUALE',
+    'CAMPAIGN': 'CAMPAGNA',
+    'TABLE SYNC': 'SINCRONIA TAVOLO',
+    'TIMELINE': 'CRONOLOGIA',
+    'STATS': 'STATISTICHE',
+    'HISTORY': 'STORICO',
+    'heroes': 'eroi',
+    'villains': 'cattivi',
+    'matchups': 'scontri',
+    'scenarios': 'scenari',
+    'log': 'registro',
+    'Saved game partly restored': 'Partita salvata ripristinata in parte',
+    '+{amplify} boost from amplify': '+{amplify} boost da amplificazione',
+    'Deck reshuffled — acceleration token added': 'Mazzo rimescolato — segnalino accelerazione aggiunto',
+    'Base': 'Base',
+    '{name} acceleration': 'Accelerazione di {name}',
+    '{name} acceleration icon': 'Icona accelerazione di {name}',
+    'Heroic {level}': 'Eroico {level}',
+    'Acceleration tokens': 'Segnalini accelerazione',
+    '{name} is stunned: the next attack only removes the stun.': '{name} è stordito: il prossimo attacco rimuove solo lo stordimento.',
+    '{name} is confused: the next thwart or scheme only removes the confusion.': '{name} è confuso: il prossimo ostacolare o tramare rimuove solo la confusione.',
+    '{name} is tough: the next damage only removes the tough status.': '{name} è robusto: i prossimi danni rimuovono solo lo stato robusto.',
+    '{name} has {n} {counter} counter.': '{name} ha {n} segnalino {counter}.',
+    '{name} has {n} {counter} counters.': '{name} ha {n} segnalini {counter}.',
+    '{villain} attacks if {player} is a hero, schemes if an alter-ego.': "{villain} attacca se {player} è un eroe, trama se è nell'alter ego.",
+    '{villain} schemes: {alterEgo} is in alter-ego form.': '{villain} trama: {alterEgo} è in forma di alter ego.',
+    '{villain} attacks {hero}.': '{villain} attacca {hero}.',
+    'You may flip between hero and alter-ego once this turn.': 'Puoi passare tra eroe e alter ego una volta in questo turno.',
+    '{n} ally in play: {names}.': '{n} alleato in gioco: {names}.',
+    '{n} allies in play: {names}.': '{n} alleati in gioco: {names}.',
+    'Total: +{total} threat on {scheme}.': 'Totale: +{total} minaccia su {scheme}.',
+    "Crisis: threat can't be removed from the main scheme.": 'Crisi: la minaccia non può essere rimossa dal piano principale.',
+    'Deal one boost card facedown per activation.': 'Distribuisci una carta boost coperta per attivazione.',
+    'Amplify: each boost card counts {n} extra boost icon.': 'Amplificazione: ogni carta boost conta {n} icona boost in più.',
+    'Amplify: each boost card counts {n} extra boost icons.': 'Amplificazione: ogni carta boost conta {n} icone boost in più.',
+    'Minions engaged with {player} activate too ({n} minion in play).': 'Anche gli sgherri ingaggiati con {player} si attivano ({n} sgherro in gioco).',
+    'Minions engaged with {player} activate too ({n} minions in play).': 'Anche gli sgherri ingaggiati con {player} si attivano ({n} sgherri in gioco).',
+    'Deal one encounter card facedown to each player.': 'Distribuisci una carta incontro coperta a ogni giocatore.',
+    'Hazard: {n} extra card, {total} cards in all, starting with the first player.': 'Pericolo: {n} carta in più, {total} carte in tutto, a partire dal primo giocatore.',
+    'Hazard: {n} extra cards, {total} cards in all, starting with the first player.': 'Pericolo: {n} carte in più, {total} carte in tutto, a partire dal primo giocatore.',
+    'The encounter deck has {n} card left.': 'Nel mazzo incontri resta {n} carta.',
+    'The encounter deck has {n} cards left.': 'Nel mazzo incontri restano {n} carte.',
+    'Reveal them in player order, starting with the first player.': "Rivelale nell'ordine dei giocatori, a partire dal primo giocatore.",
+    'The first player token passes from {from} to {to}.': 'Il segnalino primo giocatore passa da {from} a {to}.',
+    'Solo: you stay the first player.': 'Solo: resti il primo giocatore.',
+    'Ready all exhausted cards.': 'Prepara tutte le carte esaurite.',
+    'Each player may discard any cards, then draws up to hand size.': 'Ogni giocatore può scartare carte a piacere, poi pesca fino al limite di mano.',
+    'Each player may discard any cards, then draws up to hand size ({hands}).': 'Ogni giocatore può scartare carte a piacere, poi pesca fino al limite di mano ({hands}).',
+    'a card': 'una carta',
+    '{name} no longer {status}': '{name} non è più {status}',
+    '{name} {status}': '{name} {status}',
+    'Round {round} started': 'Round {round} iniziato',
+    "{player}'s turn done": 'Turno di {player} finito',
+    'Villain phase: +{threat} threat': 'Fase del cattivo: +{threat} minaccia',
+    '{villain} activated against {player}': '{villain} si attiva contro {player}',
+    'Encounter cards dealt': 'Carte incontro distribuite',
+    'First player → {player}': 'Primo giocatore → {player}',
+    'Round {round} over ({time})': 'Round {round} finito ({time})',
+    'stage {stage}': 'fase {stage}',
+    'defeated': 'sconfitto',
+    'Villain: {name}': 'Cattivo: {name}',
+    'Villains: {group} ({names})': 'Cattivi: {group} ({names})',
+    '{hero} flips to {form}': '{hero} passa a {form}',
+    'Form flipped': 'Forma cambiata',
+    'Hero tracker changed': "Contatore dell'eroe cambiato",
+    'Main scheme: {name}': 'Piano principale: {name}',
+    '{scheme} threat {delta}': '{scheme} minaccia {delta}',
+    'Team size: {count}': 'Giocatori: {count}',
+    "{kind} '{name}' enters play": "{kind} '{name}' entra in gioco",
+    'Unit changed': 'Carta cambiata',
+    '{name} restored': '{name} ripristinato',
+    'Unit restored': 'Carta ripristinata',
+    'Unit removed': 'Carta rimossa',
+    "{kind} '{name}' cleared": "{kind} '{name}' sventato",
+    "{kind} '{name}' defeated": "{kind} '{name}' sconfitto",
+    'Status changed': 'Stato cambiato',
+    "'{name}' attached to {target}": "'{name}' aggregata a {target}",
+    "'{name}' removed from {target}": "'{name}' rimossa da {target}",
+    'Attachment removed from {target}': 'Aggregato rimosso da {target}',
+    '{name} counters on {target} ({value})': 'Segnalini {name} su {target} ({value})',
+    'counters': 'segnalini',
+    'Counters removed from {target}': 'Segnalini rimossi da {target}',
+    'End of round: +{threat} threat': 'Fine del round: +{threat} minaccia',
+    'Difficulty: {difficulty}': 'Difficoltà: {difficulty}',
+    'Encounter deck built ({count} cards)': 'Mazzo incontri creato ({count} carte)',
+    'Encounter deck empty': 'Mazzo incontri vuoto',
+    '{boost} boost': '{boost} boost',
+    "Boost '{name}'": "Boost '{name}'",
+    "Dealt '{name}'": "Distribuita '{name}'",
+    'reshuffled, +1 acceleration': 'rimescolato, +1 accelerazione',
+    'Minion': 'Sgherro',
+    'Ally': 'Alleato',
+    'Side scheme': 'Piano secondario',
+    'stunned': 'stordito',
+    'confused': 'confuso',
+    'tough': 'robusto',
+    'retaliate': 'rappresaglia',
+    'piercing': 'perforante',
+    'guard': 'guardia',
+    'patrol': 'pattuglia',
+    'steady': 'saldo',
+    'stalwart': 'inflessibile',
+    'Any': 'Qualsiasi',
+    'Least played': 'Meno giocati',
+    'Most lost to': 'Più sconfitte',
+    'Size': 'Taglia',
+    'Tiny': 'Minuscolo',
+    'Giant': 'Gigante',
+    'Armor': 'Armatura',
+    'Growth': 'Crescita',
+    'Toon': 'Toon',
+    'Status': 'Stato',
+    'Attachments': 'Aggregati',
+    'Attachment name...': "Nome dell'aggregato...",
+    'ATTACH': 'AGGREGA',
+    'Counters': 'Segnalini',
+    'Counter name...': 'Nome del segnalino...',
+    'ADD': 'AGGIUNGI',
+    'Loaded {count} packs ({unknown} unknown skipped).': '{count} pacchetti caricati ({unknown} sconosciuti ignorati).',
+    'Loaded {count} packs.': '{count} pacchetti caricati.',
+    'Code copied.': 'Codice copiato.',
+    'Clipboard unavailable': 'Appunti non disponibili',
+    'Share Code': 'Codice di condivisione',
+    'Paste a code...': 'Incolla un codice...',
+    'LOAD': 'CARICA',
+    'All packs': 'Tutti i pacchetti',
+    '{owned} / {total} packs': '{owned} / {total} pacchetti',
+    'All': 'Tutti',
+    'None': 'Nessuno',
+    'Link copied.': 'Link copiato.',
+    'Opened as "{name}".': 'Aperta come «{name}».',
+    'New': 'Nuova',
+    'Import failed: {error}': 'Importazione non riuscita: {error}',
+    'Playing': 'In corso',
+    'Threat {threat}/{target}': 'Minaccia {threat}/{target}',
+    'Empty': 'Vuota',
+    'Delete?': 'Eliminare?',
+    'Last played {date}': 'Ultima partita {date}',
+    '{failed} of {total} images could not be downloaded.': 'Impossibile scaricare {failed} immagini su {total}.',
+    'All {total} images are available offline.': 'Tutte le {total} immagini sono disponibili offline.',
+    'Card art cleared.': 'Illustrazioni cancellate.',
+    "This browser can't store card art offline.": 'Questo browser non può salvare le illustrazioni offline.',
+    'Cached art': 'Illustrazioni salvate',
+    'Storage used': 'Spazio usato',
+    'of {quota}': 'su {quota}',
+    'DOWNLOADING {done}/{total}': 'DOWNLOAD {done}/{total}',
+    'DOWNLOAD ART FOR THIS SCENARIO ({count})': 'SCARICA LE ILLUSTRAZIONI DELLO SCENARIO ({count})',
+    'CLEAR CARD ART': 'CANCELLA ILLUSTRAZIONI',
+    'Every card the app shows is kept for offline use automatically. Downloading ahead covers the villain, scheme, hero and minion art for the current setup before you lose signal.': "Ogni carta mostrata viene salvata automaticamente per l'uso offline. Scaricare in anticipo recupera le illustrazioni di nemico, piano, eroi e sgherri della partita attuale prima di perdere il segnale.",
+    'Nothing to pick': 'Niente da scegliere',
+    '{played} played · {lost} lost': '{played} giocate · {lost} perse',
+    'Never played': 'Mai giocato',
+    'Mode': 'Modalità',
+    'Favor': 'Preferenza',
+    'Skip last': 'Salta ultime',
+    'Off': 'No',
+    '{count} games': '{count} partite',
+    'Modulars': 'Modulari',
+    'Only packs in your collection are rolled.': 'Vengono estratti solo i pacchetti della tua collezione.',
+    'REROLL': 'RIESTRAI',
+    'ACCEPT': 'ACCETTA',
+    'Starts a campaign log for {heroes}.': 'Avvia un registro di campagna per {heroes}.',
+    'Pick your heroes in setup first; the campaign follows them from scenario to scenario.': "Scegli prima i tuoi eroi nella preparazione; la campagna li segue da uno scenario all'altro.",
+    'Scenarios': 'Scenari',
+    'Won': 'Vinto',
+    'Lost': 'Perso',
+    'START {scenario}': 'INIZIA {scenario}',
+    'Campaign complete': 'Campagna completata',
+    'Heroes': 'Eroi',
+    'Carry HP on': 'Mantieni PF: sì',
+    'Carry HP off': 'Mantieni PF: no',
+    'Full HP': 'PF pieni',
+    'Add obligation': 'Aggiungi obbligo',
+    'Campaign values': 'Valori della campagna',
+    'Track a value…': 'Traccia un valore…',
+    'Rewards': 'Ricompense',
+    'Unlock a reward…': 'Sblocca una ricompensa…',
+    'Started {date}': 'Iniziata il {date}',
+    'End campaign?': 'Terminare la campagna?',
+    'End campaign': 'Termina la campagna',
+    'Hosting table': 'Tavolo ospitato',
+    'Joined table': 'Tavolo raggiunto',
+    "Showing the host's board": "Tavolo dell'host visualizzato",
+    'Waiting for the host…': "In attesa dell'host…",
+    'LEAVE': 'ESCI',
+    'Relay server (other devices)': 'Server relay (altri dispositivi)',
+    'http://192.168.1.20:8787 — blank for this device only': 'http://192.168.1.20:8787 — vuoto solo per questo dispositivo',
+    'Run {command} on a laptop on the same network. Without it, only tabs in this browser share the board.': 'Esegui {command} su un portatile nella stessa rete. Senza, solo le schede di questo browser condividono il tavolo.',
+    'HOST THIS GAME': 'OSPITA QUESTA PARTITA',
+    'Join a table': 'Unisciti a un tavolo',
+    'CODE': 'CODICE',
+    'JOIN': 'UNISCITI',
+    'Build encounter deck': 'Crea mazzo incontri',
+    'Deck': 'Mazzo',
+    'Discard': 'Scarti',
+    'BOOST': 'POTENZIAMENTO',
+    'DEAL': 'DISTRIBUISCI',
+    'Encounter Deck': 'Mazzo incontri',
+    'This card data has no encounter cards. Run {command} to refresh it.': 'Questi dati non hanno carte incontro. Esegui {command} per aggiornarli.',
+    'Modular sets...': 'Set modulari...',
+    'SHUFFLE {count} CARDS': 'MESCOLA {count} CARTE',
+    'Boost': 'Potenziamento',
+    'now': 'ora',
+    'Threat': 'Minaccia',
+    'Side threat': 'Minaccia secondaria',
+    'Minions': 'Sgherri',
+    'The charts fill in as rounds end.': 'I grafici si riempiono alla fine di ogni round.',
+    'Villain & schemes': 'Nemico e piani',
+    'Key moments': 'Momenti chiave',
+    'Games': 'Partite',
+    'Win Rate': 'Vittorie',
+    'Rnds to Win': 'Round/vittoria',
+    'Finished games show up here.': 'Le partite concluse compaiono qui.',
+    'WIN': 'VITTORIA',
+    'LOSS': 'SCONFITTA',
+    '{heroes} vs {villain}': '{heroes} contro {villain}',
+    'No heroes': 'Nessun eroe',
+    'No actions yet.': 'Ancora nessuna azione.',
+    'Game start': 'Inizio partita',
+    '{count} other device connected': '{count} altro dispositivo connesso',
+    '{count} other devices connected': '{count} altri dispositivi connessi',
+    'Imported {added} game, skipped {skipped}.': '{added} partita importata, {skipped} ignorate.',
+    'Imported {added} games, skipped {skipped}.': '{added} partite importate, {skipped} ignorate.',
+    'Imported {added} game.': '{added} partita importata.',
+    'Imported {added} games.': '{added} partite importate.',
+    'Connecting to relay…': 'Connessione al relay…',
+    'Relay connected': 'Relay connesso',
+    'Relay unreachable': 'Relay non raggiungibile',
+    'Captive allies rescued': 'Alleati prigionieri salvati',
+    'Units': 'Unità',
+    'Civilians rescued': 'Civili salvati',
+    'Mutants rescued': 'Mutanti salvati',
+    'Mansion damage': 'Danni alla villa',
+    'Rebels rescued': 'Ribelli salvati',
+    'S.H.I.E.L.D. Tech': 'Tecnologia S.H.I.E.L.D.',
+    'Milano upgrade': 'Potenziamento della Milano',
+    'Space Stone': 'Gemma dello Spazio',
+    'Mind Stone': 'Gemma della Mente',
+    'Reality Stone': 'Gemma della Realtà',
+    'Power Stone': 'Gemma del Potere',
+    'Time Stone': 'Gemma del Tempo',
+    'Soul Stone': "Gemma dell'Anima",
+    'Campaign upgrade': 'Potenziamento della campagna',
+    'X-Men recruit': 'Recluta degli X-Men',
+  },
+};
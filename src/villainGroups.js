@@ -0,0 +1,30 @@
+// --- MULTI-VILLAIN SCENARIOS ---
+// Scenarios that put several villains on the table at once, each with its own HP, stage and
+// statuses. Members are listed by name; any named in `optional` may still be standing when the
+// heroes win. update_data.js resolves this list to card codes as `villain_groups`.
+export const VILLAIN_GROUPS = [
+  { name: 'Wrecking Crew', villains: ['Wrecker', 'Bulldozer', 'Piledriver', 'Thunderball'] },
+  { name: 'Four Horsemen', villains: ['War', 'Famine', 'Pestilence', 'Death'] },
+  { name: 'Tower Defense', villains: ['Proxima Midnight', 'Corvus Glaive'] },
+  { name: 'The Sinister Six', villains: ['Doctor Octopus', 'Electro', 'Hobgoblin', 'Kraven the Hunter', 'Scorpion', 'Vulture'] },
+  { name: 'Brotherhood of Mutants', villains: ['Avalanche', 'Blob', 'Pyro', 'Toad'] },
+];
+
+// Groups ready for the setup picker: { name, villains: [villain cards], optional: [codes] }.
+// Data fetched before groups existed has no `villain_groups`, so the names are matched here instead.
+// A group with a member missing from the data is left out.
+export const villainGroups = (data) => {
+  const villains = data.villains || [];
+  const byCode = (code) => villains.find(v => v.code === code);
+  const byName = (name) => villains.find(v => v.name === name);
+  const groups = data.villain_groups
+    ? data.villain_groups.map(g => ({ name: g.name, members: g.villains.map(byCode), optional: g.optional || [] }))
+    : VILLAIN_GROUPS.map(g => {
+      const members = g.villains.map(byName);
+      return { name: g.name, members, optional: members.filter(v => v && (g.optional || []).includes(v.name)).map(v => v.code) };
+    });
+  return groups.filter(g => g.members.length > 0 && g.members.every(Boolean)).map(({ name, members, optional }) => ({ name, villains: members, optional }));
+};
+
+// Codes of every villain that belongs to a group; the picker lists these under their group only.
+export const groupedVillainCodes = (groups) => new Set(groups.flatMap(g => g.villains.map(v => v.code)));
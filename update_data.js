@@ -1,20 +1,33 @@
 import fs from 'fs';
 import https from 'https';
+import path from 'path';
+import { VILLAIN_GROUPS } from './src/villainGroups.js';
 
-const OUTPUT_FILE = './src/marvel_data.json';
+// Usage:
+//   node update_data.js                          fetch packs from marvelcdb + GitHub
+//   node update_data.js --local ../marvelsdb-json-data [--out ./data.json]
+// The local directory is a checkout of zzorba/marvelsdb-json-data (packs.json + pack/*.json,
+// translations/<lang>/ for the other languages).
+const args = process.argv.slice(2);
+const argValue = (flag) => { const i = args.indexOf(flag); return i >= 0 ? args[i + 1] : undefined; };
+
+const LOCAL_DIR = argValue('--local');
+const OUTPUT_FILE = argValue('--out') || './src/marvel_data.json';
 const PACKS_API = "https://marvelcdb.com/api/public/packs";
-const GITHUB_BASE = "https://raw.githubusercontent.com/zzorba/marvelsdb-json-data/master/pack";
+const GITHUB_ROOT = "https://raw.githubusercontent.com/zzorba/marvelsdb-json-data/master";
+const GITHUB_BASE = `${GITHUB_ROOT}/pack`;
+// Languages imported besides English; src/i18n.js lists the same ones for the language setting.
+const LANGUAGES = ['fr', 'de', 'es', 'it'];
 
-// --- GOLDEN STATS MAP ---
-// Manually defines [Stage I, Stage II, Stage III] HP for every villain.
-// Used when the API returns garbage (0, null, or X).
+// --- FALLBACK STATS MAP ---
+// [Stage I, Stage II, Stage III] per-hero HP, only used for stages whose card has no usable
+// health value (missing, 0 or X). Every villain that needs it is reported at the end of a run.
 const VILLAIN_STATS = {
     "Rhino": [14, 15, 16],
     "Klaw": [12, 18, 22],
     "Ultron": [17, 22, 27],
     "Green Goblin": [14, 17, 20], // Mutagen Formula logic
     "Norman Osborn": [14, 17, 20], // Risky Business
-    "Wrecking Crew": [14, 14, 14], // Generic avg for Wrecker/Bulldozer/etc
     "Wrecker": [14, 15, 16],
     "Bulldozer": [12, 13, 14],
     "Piledriver": [11, 12, 13],
@@ -51,13 +64,67 @@ const VILLAIN_STATS = {
     "Mister Sinister": [14, 16, 18],
     "Stryfe": [16, 18, 20],
     "Unus": [13, 15, 17],
-    "Four Horsemen": [12, 12, 12],
     "Apocalypse": [18, 20, 22],
     "Dark Beast": [14, 16, 18],
     "Enchantress": [14, 16, 18],
     "Arcade": [14, 16, 18]
 };
 
+const readLocalJson = (file) => {
+    try { return JSON.parse(fs.readFileSync(file, 'utf8')); } catch { return []; }
+};
+
+const source = LOCAL_DIR ? {
+    label: `local directory ${LOCAL_DIR}`,
+    packs: () => readLocalJson(path.join(LOCAL_DIR, 'packs.json')),
+    sets: () => readLocalJson(path.join(LOCAL_DIR, 'sets.json')),
+    packFile: (name) => readLocalJson(path.join(LOCAL_DIR, 'pack', name)),
+    translation: (lang, name) => readLocalJson(path.join(LOCAL_DIR, 'translations', lang, name)),
+    // Translated card art is only listed by the localized marvelcdb sites.
+    localizedCards: async () => [],
+} : {
+    label: 'marvelcdb.com + GitHub',
+    packs: () => fetchJson(PACKS_API),
+    sets: () => fetchJson(`${GITHUB_ROOT}/sets.json`),
+    packFile: (name) => fetchJson(`${GITHUB_BASE}/${name}`),
+    translation: (lang, name) => fetchJson(`${GITHUB_ROOT}/translations/${lang}/${name}`),
+    localizedCards: (lang) => fetchJson(`https://${lang}.marvelcdb.com/api/public/cards/`),
+};
+
+// Scheme icons come as counts (scheme_acceleration: 2); the app wants one entry per icon.
+const SCHEME_ICONS = ['acceleration', 'crisis', 'hazard', 'amplify'];
+const schemeIcons = (card) => SCHEME_ICONS.flatMap(icon => Array(parseInt(card[`scheme_${icon}`], 10) || 0).fill(icon));
+
+// --- CARD TEXT ---
+// marvelcdb text carries HTML and bracket markup ([[Hydra]], [star], <b>Forced Response</b>);
+// the app shows it as plain text, one paragraph per line.
+const TEXT_ICONS = { star: '★', boost: '⚡', energy: 'Energy', mental: 'Mental', physical: 'Physical', wild: 'Wild', per_hero: 'per player', per_player: 'per player', unique: '' };
+const cardText = (text) => (text || '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/\[\[([^\]]+)\]\]/g, '$1')
+    .replace(/\[([a-z_]+)\]/g, (match, icon) => (icon in TEXT_ICONS ? TEXT_ICONS[icon] : match))
+    .replace(/[ \t]+/g, ' ')
+    .split('\n').map(line => line.trim()).filter(Boolean).join('\n');
+
+const traitsOf = (card) => (card.traits || '').split('.').map(t => t.trim()).filter(Boolean);
+
+// Keywords printed at the start of a line or sentence, with their value when they take one.
+const KEYWORDS = ['Assault', 'Guard', 'Hinder', 'Incite', 'Overkill', 'Patrol', 'Peril', 'Permanent', 'Piercing', 'Quickstrike', 'Ranged', 'Restricted', 'Retaliate', 'Setup', 'Stalwart', 'Steady', 'Surge', 'Team-Up', 'Teamwork', 'Toughness', 'Uses', 'Victory', 'Villainous'];
+const KEYWORD_PATTERN = new RegExp(`(?<=^|[\\n.] ?)(${KEYWORDS.join('|')})(?: (\\d+|X|\\([^)]*\\)))?\\.`, 'g');
+const keywordsOf = (text) => [...new Set([...text.matchAll(KEYWORD_PATTERN)].map(m => (m[2] ? `${m[1]} ${m[2]}` : m[1])))];
+
+// Text, traits and keywords for the detail sheet and search; empty fields are left off to keep the file small.
+const cardDetails = (card) => {
+    const text = cardText(card.text);
+    const traits = traitsOf(card);
+    const keywords = keywordsOf(text);
+    return { ...(text ? { text } : {}), ...(traits.length ? { traits } : {}), ...(keywords.length ? { keywords } : {}) };
+};
+
+// Card types that get shuffled into the encounter deck.
+const ENCOUNTER_DECK_TYPES = ['minion', 'treachery', 'attachment', 'side_scheme'];
+
 const fetchJson = (url) => {
     return new Promise((resolve) => {
         const options = { headers: { 'User-Agent': 'MarvelChampionsApp/1.0' } };
@@ -65,53 +132,160 @@ const fetchJson = (url) => {
             if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) return resolve(fetchJson(res.headers.location));
             let data = '';
             res.on('data', (chunk) => data += chunk);
-            res.on('end', () => { try { resolve(JSON.parse(data)); } catch (e) { resolve([]); } });
+            res.on('end', () => { try { resolve(JSON.parse(data)); } catch { resolve([]); } });
         }).on('error', () => resolve([]));
     });
 };
 
+// --- TRANSLATIONS ---
+// Translated pack files carry the English card's code and only the fields that were translated.
+// Per language the app gets { names, traits, sets, packs, images }: names and images by card
+// code, traits by their English name, sets and packs by code. Only what differs from English is
+// kept. Traits are paired up by position, so a card whose translation lists a different number
+// of traits is skipped for them.
+const translate = async (lang, db, englishCards) => {
+    const codes = new Set([
+        ...['villains', 'schemes', 'heroes', 'side_schemes', 'minions', 'allies', 'encounter_cards'].flatMap(list => db[list].map(c => c.code)),
+        ...db.villains.flatMap(v => v.stage_codes),
+        ...db.heroes.filter(h => h.alter_ego).map(h => h.alter_ego.code),
+    ]);
+    const names = {};
+    const traits = {};
+    for (const pack of db.packs) {
+        for (const file of [`${pack.code}.json`, `${pack.code}_encounter.json`]) {
+            for (const card of await source.translation(lang, `pack/${file}`)) {
+                const english = englishCards.get(card.code);
+                if (!english || !codes.has(card.code)) continue;
+                if (card.name && card.name !== english.name) names[card.code] = card.name;
+                const from = traitsOf(english);
+                const to = traitsOf(card);
+                if (from.length === to.length) from.forEach((trait, i) => { if (to[i] !== trait && !traits[trait]) traits[trait] = to[i]; });
+            }
+        }
+    }
+    const renamed = async (file, english) => Object.fromEntries((await source.translation(lang, file) || [])
+        .filter(entry => english.some(e => e.code === entry.code && e.name !== entry.name) && entry.name)
+        .map(entry => [entry.code, entry.name]));
+    const images = Object.fromEntries((await source.localizedCards(lang) || [])
+        .filter(card => codes.has(card.code) && card.imagesrc && card.imagesrc !== `/bundles/cards/${card.code}.png`)
+        .map(card => [card.code, `https://${lang}.marvelcdb.com${card.imagesrc}`]));
+    return { names, traits, sets: await renamed('sets.json', db.sets), packs: await renamed('packs.json', db.packs), images };
+};
+
+// --- VILLAIN STAGES FROM CARD DATA ---
+// Health comes as a number, a numeric string, "X" or nothing at all.
+const parseHealth = (value) => {
+    const n = parseInt(String(value ?? '').replace(/[^0-9]/g, ''), 10);
+    return n > 0 ? n : null;
+};
+
+const stageNumber = (card) => parseInt(card.stage, 10) || 0;
+
+// Builds one villain entry from all of its stage cards. Double-sided cards (01234a/01234b)
+// share a stage number, so only the first side with usable health is kept per stage.
+const buildVillain = (cards, fallbacks) => {
+    const byStage = new Map();
+    for (const card of [...cards].sort((a, b) => stageNumber(a) - stageNumber(b) || a.code.localeCompare(b.code))) {
+        const current = byStage.get(stageNumber(card));
+        if (!current || (parseHealth(current.health) === null && parseHealth(card.health) !== null)) byStage.set(stageNumber(card), card);
+    }
+    const stageCards = [...byStage.values()];
+    const { name, set_code } = stageCards[0];
+    const mapped = VILLAIN_STATS[name];
+
+    const missing = [];
+    const stages = stageCards.map((card, i) => {
+        const hp = parseHealth(card.health);
+        if (hp !== null) return hp;
+        missing.push(card.stage ?? i + 1);
+        return (mapped && mapped[i]) || 15;
+    });
+    if (missing.length > 0) fallbacks.push({ name, set_code, stages: missing, source: mapped ? 'map' : 'default 15' });
+
+    const { pack } = stageCards[0];
+    const villain = { name, code: stageCards[0].code, set_code, stages, stage_codes: stageCards.map(c => c.code), pack_code: pack.code, pack_name: pack.name, ...cardDetails(stageCards[0]) };
+    // Each stage prints its own abilities; `text` above is stage one's.
+    if (stageCards.some(c => c.text)) villain.stage_text = stageCards.map(c => cardText(c.text));
+    // MarvelCDB leaves false flags out, as with the schemes' threat_fixed, so a stage without
+    // health_per_hero has fixed HP and must not be scaled by the app.
+    if (stageCards.some(c => !c.health_per_hero)) villain.hp_fixed = stageCards.map(c => !c.health_per_hero);
+    return villain;
+};
+
+// --- HERO STATS ---
+// Printed stats are numbers, numeric strings or missing; a missing stat stays null.
+const stat = (value) => {
+    const n = parseInt(String(value ?? ''), 10);
+    return Number.isFinite(n) ? n : null;
+};
+
+const cardNumber = (code) => code.replace(/[a-z]+$/, '');
+
+// --- PACK MEMBERSHIP ---
+// Cards deduplicated by name keep the pack they first appeared in (pack_code/pack_name)
+// and collect every pack that reprints them in `packs`, so owning any one of them counts.
+const addUnique = (list, entry, pack) => {
+    const existing = list.find(e => e.name === entry.name);
+    if (existing) {
+        if (!existing.packs.includes(pack.code)) existing.packs.push(pack.code);
+        return;
+    }
+    list.push({ ...entry, pack_code: pack.code, pack_name: pack.name, packs: [pack.code] });
+};
+
 async function run() {
-    console.log("🚀 Starting GOLDEN STATS Data Fetcher...");
-    console.log("   Strategy: Using Hardcoded HP Map to fix 0 HP bug.");
+    console.log("🚀 Starting Data Fetcher...");
+    console.log(`   Source: ${source.label}`);
 
-    const packsData = await fetchJson(PACKS_API);
-    if (!packsData || packsData.length === 0) return console.error("❌ API Error");
+    const packsData = await source.packs();
+    if (!packsData || packsData.length === 0) return console.error("❌ No packs found");
 
-    const packCodes = packsData.map(p => p.code);
-    const db = { villains: [], schemes: [], heroes: [], side_schemes: [], minions: [], allies: [] };
+    const setsData = await source.sets();
+    const db = {
+        packs: packsData.map(p => ({ code: p.code, name: p.name })),
+        // card_set_type_code: villain, modular, standard, expert, nemesis, hero...
+        sets: (setsData || []).map(s => ({ code: s.code, name: s.name, type: s.card_set_type_code })),
+        villains: [], villain_groups: [], schemes: [], heroes: [], side_schemes: [], minions: [], allies: [], encounter_cards: [],
+        translations: {}
+    };
+    // Every English card read, by code, for matching up the translations.
+    const englishCards = new Map();
+    const villainCards = new Map();
+    const alterEgos = [];
 
-    console.log(`   Scanning ${packCodes.length} packs...`);
+    console.log(`   Scanning ${db.packs.length} packs...`);
 
-    for (const code of packCodes) {
+    for (const pack of db.packs) {
+        const { code } = pack;
         process.stdout.write(`.`); 
-        const encounterCards = await fetchJson(`${GITHUB_BASE}/${code}_encounter.json`);
+        const encounterCards = await source.packFile(`${code}_encounter.json`);
         
         for (const card of encounterCards) {
-            const setCode = card.card_set_code || "unknown";
+            englishCards.set(card.code, card);
+            const setCode = card.set_code || card.card_set_code || "unknown";
+
+            // --- ENCOUNTER DECK ---
+            // Every copy matters for deck maths, so these keep their quantity and are never deduplicated.
+            if (ENCOUNTER_DECK_TYPES.includes(card.type_code)) {
+                db.encounter_cards.push({
+                    code: card.code,
+                    name: card.name,
+                    type_code: card.type_code,
+                    set_code: setCode,
+                    quantity: card.quantity || 1,
+                    boost: card.boost || 0,
+                    boost_star: card.boost_star || false,
+                    pack_code: code,
+                    ...cardDetails(card)
+                });
+            }
             
             // --- VILLAINS ---
+            // Collected per set first; stage HP is resolved once every pack has been read.
             if (card.type_code === 'villain') {
-                let existing = db.villains.find(v => v.name === card.name);
-                
-                // 1. TRY TO GET HP FROM GOLDEN MAP
-                // This is our primary source of truth now.
-                let goldenStats = VILLAIN_STATS[card.name];
-                
-                // If not found, use a safe default of 15 to avoid 0
-                if (!goldenStats) goldenStats = [15, 15, 15]; 
-
-                if (!existing) {
-                    existing = {
-                        name: card.name,
-                        code: card.code,
-                        set_code: setCode,
-                        stages: goldenStats // Force the Golden Stats immediately
-                    };
-                    db.villains.push(existing);
-                } else {
-                    // Even if existing, ensure stats are correct
-                    existing.stages = goldenStats;
-                }
+                const key = `${setCode}|${card.name}`;
+                if (!villainCards.has(key)) villainCards.set(key, []);
+                villainCards.get(key).push({ ...card, set_code: setCode, pack });
             }
             
             // --- MAIN SCHEMES ---
@@ -124,39 +298,75 @@ async function run() {
                         init: card.base_threat || 0,
                         target: card.threat || 0,
                         accel: card.acceleration || 0,
-                        fixed: card.base_threat_fixed || false
+                        icons: schemeIcons(card),
+                        fixed: card.base_threat_fixed || false,
+                        target_fixed: card.threat_fixed || false,
+                        stage: card.stage,
+                        pack_code: code,
+                        pack_name: pack.name,
+                        ...cardDetails(card)
                     });
                 }
             }
 
             // --- OTHERS ---
-            else if (card.type_code === 'side_scheme' && !db.side_schemes.some(s => s.name === card.name)) {
-                db.side_schemes.push({ name: card.name, init: card.base_threat || 0, code: card.code });
+            else if (card.type_code === 'side_scheme') {
+                addUnique(db.side_schemes, { name: card.name, init: card.base_threat || 0, code: card.code, set_code: setCode, icons: schemeIcons(card), boost: card.boost || 0, boost_star: card.boost_star || false, ...cardDetails(card) }, pack);
             }
-            else if (card.type_code === 'minion' && !db.minions.some(m => m.name === card.name)) {
+            else if (card.type_code === 'minion') {
                 let hp = parseInt(String(card.health).replace(/[^0-9]/g, '')) || 0;
-                db.minions.push({ name: card.name, hp: hp, code: card.code });
+                addUnique(db.minions, { name: card.name, hp: hp, code: card.code, set_code: setCode, boost: card.boost || 0, boost_star: card.boost_star || false, ...cardDetails(card) }, pack);
             }
         }
 
         // --- HEROES ---
-        const playerCards = await fetchJson(`${GITHUB_BASE}/${code}.json`);
+        // Alter-egos are matched to their hero once every pack has been read.
+        const playerCards = await source.packFile(`${code}.json`);
         for (const card of playerCards) {
-            if (card.type_code === 'hero' && !db.heroes.some(h => h.name === card.name)) {
+            englishCards.set(card.code, card);
+            if (card.type_code === 'hero') {
                 let hp = parseInt(String(card.health).replace(/[^0-9]/g, '')) || 0;
-                db.heroes.push({ name: card.name, hp: hp, code: card.code });
+                addUnique(db.heroes, { name: card.name, hp: hp, code: card.code, thw: stat(card.thwart), atk: stat(card.attack), def: stat(card.defense), hand: stat(card.hand_size), ...cardDetails(card) }, pack);
+            }
+            if (card.type_code === 'alter_ego') {
+                alterEgos.push({ name: card.name, code: card.code, rec: stat(card.recover), hand: stat(card.hand_size), ...cardDetails(card) });
             }
-            if (card.type_code === 'ally' && !db.allies.some(a => a.name === card.name)) {
+            if (card.type_code === 'ally') {
                 let hp = parseInt(String(card.health).replace(/[^0-9]/g, '')) || 0;
-                db.allies.push({ name: card.name, hp: hp, code: card.code });
+                addUnique(db.allies, { name: card.name, hp: hp, code: card.code, set_code: card.card_set_code || card.set_code || null, ...cardDetails(card) }, pack);
             }
         }
     }
 
-    console.log("\n\n💾 Saving Database...");
+    const fallbacks = [];
+    for (const cards of villainCards.values()) db.villains.push(buildVillain(cards, fallbacks));
+
+    // Both sides of an identity share a card number: 01001a is the hero, 01001b the alter-ego.
+    for (const hero of db.heroes) {
+        const alterEgo = alterEgos.find(a => cardNumber(a.code) === cardNumber(hero.code));
+        if (alterEgo) hero.alter_ego = alterEgo;
+    }
+
+    console.log(`\n\n🌍 Translating (${LANGUAGES.join(', ')})...`);
+    for (const lang of LANGUAGES) {
+        const translation = await translate(lang, db, englishCards);
+        const count = Object.keys(translation.names).length;
+        if (count === 0) { console.log(`   ${lang}: no translated cards found, skipped`); continue; }
+        db.translations[lang] = translation;
+        console.log(`   ${lang}: ${count} card names, ${Object.keys(translation.images).length} card images`);
+    }
+
+    console.log("\n💾 Saving Database...");
     
     // Sort
     db.villains.sort((a, b) => a.name.localeCompare(b.name));
+
+    // Multi-villain scenarios, by code so a renamed card doesn't break the group.
+    for (const group of VILLAIN_GROUPS) {
+        const members = group.villains.map(name => db.villains.find(v => v.name === name));
+        if (members.some(m => !m)) { console.log(`\n⚠️  Group ${group.name} skipped: ${group.villains.filter((_, i) => !members[i]).join(', ')} not found`); continue; }
+        db.villain_groups.push({ name: group.name, villains: members.map(m => m.code), optional: members.filter(m => (group.optional || []).includes(m.name)).map(m => m.code) });
+    }
     db.schemes.sort((a, b) => (a.code || "").localeCompare(b.code || ""));
     db.heroes.sort((a, b) => a.name.localeCompare(b.name));
 
@@ -164,6 +374,11 @@ async function run() {
     const ultron = db.villains.find(v => v.name === "Ultron");
     if (ultron) console.log(`\n🔍 CHECK: Ultron Stages: [${ultron.stages.join(", ")}]`);
 
+    if (fallbacks.length > 0) {
+        console.log(`\n⚠️  ${fallbacks.length} villain(s) had stages without usable health:`);
+        for (const f of fallbacks) console.log(`   - ${f.name} [${f.set_code}] stage ${f.stages.join(', ')} → ${f.source}`);
+    }
+
     fs.writeFileSync(OUTPUT_FILE, JSON.stringify(db, null, 2));
     console.log(`✅ DONE! Data written to ${OUTPUT_FILE}`);
 }
@@ -9,6 +9,30 @@ export default defineConfig({
     VitePWA({
       registerType: 'autoUpdate',
       includeAssets: ['favicon.ico', 'apple-touch-icon.png', 'masked-icon.svg'],
+      workbox: {
+        runtimeCaching: [
+          {
+            // Card art: cache-first so the board still has pictures with no signal.
+            // The cache name must match CARD_ART_CACHE in src/artCache.js. Translated art
+            // comes from the localized sites (fr.marvelcdb.com and so on).
+            urlPattern: ({ url }) => /^https:\/\/([a-z]{2}\.)?marvelcdb\.com$/.test(url.origin) && url.pathname.startsWith('/bundles/cards/'),
+            handler: 'CacheFirst',
+            options: {
+              cacheName: 'mc-card-art',
+              expiration: { maxEntries: 2000, maxAgeSeconds: 60 * 60 * 24 * 365 },
+              cacheableResponse: { statuses: [0, 200] }
+            }
+          },
+          {
+            urlPattern: ({ url }) => url.origin === 'https://www.transparenttextures.com',
+            handler: 'CacheFirst',
+            options: {
+              cacheName: 'mc-card-art',
+              cacheableResponse: { statuses: [0, 200] }
+            }
+          }
+        ]
+      },
       manifest: {
         name: 'Marvel Champions Tracker',
         short_name: 'Marvel Tracker',